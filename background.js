@@ -21,6 +21,9 @@ chrome.action.onClicked.addListener((tab) => {
  * Handles messages from content scripts and popup
  */
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Addressed to the offscreen document or the side panel
+  if (message.target) return;
+
   try {
     if (message.action === 'downloadImages') {
       const urls = message.urls;
@@ -51,6 +54,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return;
       }
 
+      // Streams are assembled from their segments instead of downloaded as one file
+      if (isStreamUrl(url)) {
+        downloadStream({ url, filename });
+        sendResponse({ success: true });
+        return;
+      }
+
       // Generate filename if not provided
       const finalFilename = filename || generateDownloadFilename(url, Date.now());
 
@@ -63,6 +73,9 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
 
       sendResponse({ success: true });
+    } else if (message.action === 'downloadStream') {
+      downloadStream(message).then(sendResponse);
+      return true; // Responds asynchronously
     } else {
       console.warn('Unknown message action:', message.action);
       sendResponse({ success: false, error: 'Unknown action' });
@@ -73,6 +86,91 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Blob URLs of assembled streams, by download ID, until their download finishes
+ */
+const streamFileUrls = new Map();
+let offscreenDocumentPromise = null;
+
+/**
+ * Checks whether a URL is an HLS or DASH manifest
+ * @param {string} url - Media URL
+ * @returns {boolean} True for .m3u8 / .mpd URLs
+ */
+function isStreamUrl(url) {
+  return /\.(m3u8|mpd)(\?|#|$)/i.test(url || '');
+}
+
+/**
+ * Downloads an HLS / DASH stream: the offscreen document fetches and joins the segments of the
+ * best rendition with its own audio, then the resulting file is saved
+ * @param {Object} options - { url, filename, saveAs }
+ * @returns {Promise<Object>} { success, downloadId } or { success: false, error }
+ */
+async function downloadStream({ url, filename, saveAs = false }) {
+  try {
+    await ensureOffscreenDocument();
+
+    const label = filename || url.split('?')[0].split('/').pop();
+    const result = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: 'assembleStream',
+      jobId: crypto.randomUUID(),
+      url,
+      label
+    });
+    if (!result?.success) {
+      return { success: false, error: result?.error || 'Stream could not be assembled' };
+    }
+
+    const baseName = (filename || `Videos/stream_${Date.now()}`).replace(/\.[a-z0-9]+$/i, '');
+    const downloadId = await chrome.downloads.download({
+      url: result.blobUrl,
+      filename: `${baseName}.${result.extension}`,
+      conflictAction: 'overwrite',
+      saveAs
+    });
+    streamFileUrls.set(downloadId, result.blobUrl);
+
+    return { success: true, downloadId };
+  } catch (error) {
+    console.error(`Failed to download stream ${url}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Opens the offscreen document that assembles streams, unless it is already open
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  // Parallel stream downloads share one creation
+  offscreenDocumentPromise = offscreenDocumentPromise || chrome.offscreen.createDocument({
+    url: 'offscreen.html',
+    reasons: ['BLOBS'],
+    justification: 'Join HLS / DASH stream segments into downloadable files'
+  });
+  try {
+    await offscreenDocumentPromise;
+  } finally {
+    offscreenDocumentPromise = null;
+  }
+}
+
+/**
+ * Releases an assembled stream's blob once its download has finished or failed
+ */
+chrome.downloads.onChanged.addListener((delta) => {
+  const state = delta.state?.current;
+  if (!streamFileUrls.has(delta.id) || (state !== 'complete' && state !== 'interrupted')) return;
+
+  chrome.runtime.sendMessage({ target: 'offscreen', action: 'revokeStreamFile', blobUrl: streamFileUrls.get(delta.id) })
+    .catch(() => {}); // The offscreen document may already be gone
+  streamFileUrls.delete(delta.id);
+});
+
 /**
  * Generates a filename for downloaded files
  * @param {string} url - The URL to extract filename from
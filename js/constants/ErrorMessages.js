@@ -12,11 +12,15 @@ export const ErrorMessages = {
     TAB_ACCESS_FAILED: 'Failed to access current tab',
     INVALID_SITE: 'This extension only works on Blaze sites',
     PAGE_LOAD_ERROR: 'Failed to load page content',
+    LOGGED_OUT: 'Blaze is showing its login page - log in again',
 
     // Capture errors
     CAPTURE_FAILED: 'Capture failed',
     NO_EVENTS_FOUND: 'No events found on this page',
     EXTRACTION_FAILED: 'Failed to extract event data',
+    INVALID_DATE_RANGE: 'Choose a start date and an end date on or after it',
+    PERIOD_UNREADABLE: 'Could not read the dates shown in the Blaze calendar',
+    PERIOD_NAVIGATION_FAILED: 'Could not move the Blaze calendar to another period',
 
     // Video errors
     VIDEO_SCAN_FAILED: 'Video scan failed',
@@ -31,6 +35,8 @@ export const ErrorMessages = {
     // UI errors
     RENDER_FAILED: 'Failed to update interface',
     EVENT_CLICK_FAILED: 'Failed to open event',
+    EVENT_CARD_NOT_FOUND: 'Event card not found',
+    DETAIL_VIEW_NOT_READY: 'Event detail view did not open',
 
     // Data errors
     INVALID_DATA: 'Invalid data received',
@@ -38,7 +44,8 @@ export const ErrorMessages = {
     CORRUPTED_DATA: 'Data appears to be corrupted',
 
     // Success messages
-    CAPTURE_SUCCESS: (count) => `Captured ${count} events!`,
+    CAPTURE_RANGE_SUCCESS: (count, periods) => `Captured ${count} events across ${periods} calendar periods!`,
+    CAPTURE_SUCCESS: (count, view) => view ? `Captured ${count} events from ${view} view!` : `Captured ${count} events!`,
     DOWNLOAD_SUCCESS: (count) => `Downloaded ${count} files successfully`,
     VIDEO_CONNECTION_SUCCESS: (count) => `Connected ${count} videos to their events!`,
     REEL_OPEN_SUCCESS: (count) => `Opened ${count} events in background tabs`,
@@ -46,11 +53,14 @@ export const ErrorMessages = {
     // Info messages
     DOWNLOAD_STARTED: 'Download started!',
     SCANNING_VIDEOS: 'Scanning for videos...',
+    VIDEO_MATCHES_PENDING: (count) => `${count} video matches need confirmation`,
+    CAPTURE_RANGE_PROGRESS: (index, label, count) => `Capturing period ${index} (${label}) - ${count} events so far...`,
     CREATING_PACKAGE: 'Creating complete package...',
     DOWNLOADING_PACKAGE: (videos, media) => `Downloading complete package: ${videos} captured videos + ${media} media files...`,
 
     // Warning messages
     MISSING_VIDEOS: (count) => `${count} events need manual opening`,
+    CAPTURE_RANGE_LIMIT_REACHED: (limit, label, count) => `Stopped after ${limit} calendar periods: captured ${count} events up to ${label}. Capture again from the next period for the rest of the range.`,
     PARTIAL_SUCCESS: 'Operation completed with some issues'
 };
 
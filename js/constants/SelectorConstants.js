@@ -7,15 +7,29 @@ export const SelectorConstants = {
     EVENT_CONTAINER: '[class*="CalendarEventCard_eventContainer"]',
     EVENT_HEADER: '[class*="CalendarEventCard_eventHeader"]',
     EVENT_IMAGE: '.CalendarEventCard_eventImage__335fa',
-    PLAY_BUTTON_OVERLAY: '.CalendarEventCard_playButtonOverlay__335fa',
+    CONTENT_IMAGE: '[class*="CalendarEventCard_eventImage"] img, img[class*="contentImage"], [class*="Carousel"] img, [class*="carousel"] img',
+    AVATAR_IMAGE: '[class*="Avatar"] img, [class*="avatar"] img, img[class*="vatar"], [class*="ProfileDropdown"] img',
+    PLAY_BUTTON_OVERLAY: '[class*="CalendarEventCard_playButtonOverlay"]',
+    NEW_CARD_CLASS: 'CalendarEventCard_new',
+
+    // Status, approval and author selectors
+    STATUS_CORNER: '[class*="CalendarEventCard_statusCorner"]',
+    STATUS_BADGE: '[data-testid$="-badge"], [data-tag="true"]',
+    AUTHOR: '[data-testid*="author"], [class*="_author"], [class*="_createdBy"], [class*="Avatar"] img[alt], [class*="avatar"] img[alt]',
 
     // Text and content selectors
     TRUNCATED_TEXT: '[class*="TruncatedText_caption"]',
+    CAPTION_FALLBACKS: [
+        '[class*="TruncatedText_text"]',
+        '[class*="CalendarEventCard_content"]',
+        '[class*="CalendarEventCard_description"]',
+        '[class*="CalendarEventCard_captionContainer"]'
+    ],
     TRUNCATED_TEXT_MORE_BUTTON: '[class*="TruncatedText_moreButton"]',
     TEXT_ROOT: 'span[class*="Text_root_"]',
 
     // Channel and platform selectors
-    CHANNEL_CONTAINER: '[class*="CalendarEventCard_channelContainer"]',
+    CHANNEL_CONTAINER: '[class*="CalendarEventCard_channelContainer"], [class*="CalendarItemChannelLabel_root"]',
     PLATFORM_ICON: '[class*="Icon_platform"]',
     PLATFORM_ICON_CONTAINER: '.Icon_platformIconsContainer__d7da4',
 
@@ -42,27 +56,81 @@ export const SelectorConstants = {
     MISSING_VIDEOS_LIST: 'missing-videos-list',
     MISSING_COUNT: 'missing-count',
 
-    // Platform detection patterns
+    // Calendar layout selectors (see CalendarViewDetector)
+    WEEK_DAY_COLUMN: '[class*="WeekViewV2_weekDayColumn"]',
+    WEEK_DAY_HEADER: '[class*="WeekViewV2_weekDayHeaderContainer"]',
+    MONTH_TABLE: '[class*="Calendar_calendarTable"], [class*="MonthView"]',
+    MONTH_DAY_CELL: '[class*="Calendar_dayCell"], [class*="MonthView_dayCell"]',
+    DAY_CONTAINER: '[class*="CalendarDay_container"]',
+    DAY_HEADER: '[class*="CalendarDay_header"]',
+    DAY_DATE: '[class*="CalendarDay_date"]',
+    DAY_ITEMS: '[class*="CalendarDay_itemsContainer"]',
+    CALENDAR_TITLE: '[class*="CalendarToolbar_month"], [class*="CalendarHeader_month"], [class*="CalendarToolbar_heading"]',
+    LIST_CONTAINER: '[class*="ScheduledPosts_list"]',
+    LIST_ROW: '[class*="ScheduledPosts_row"]',
+    LIST_CELL: '[class*="ScheduledPosts_cell"]',
+    CALENDAR_ROOT: '[class*="ScheduledPosts_root"], [class*="ScheduledPosts_view"]',
+    PERIOD_NAVIGATION: '[class*="Navigation_navigationControls"]',
+    TIME_ZONE_LABEL: '[class*="TimeZone"], [class*="Timezone"], [class*="timezone"], [data-testid*="timezone"]',
+    LOGIN_FORM: 'input[type="password"], form[action*="login"], [class*="LoginForm"], [class*="SignIn"]',
+
+    // Event detail view selectors
+    DETAIL_VIEW: '[class*="FullScreenPreview"], [class*="DetailView"], [class*="Modal"]',
+    DETAIL_IMAGE: '[class*="FullScreenPreview"] img, [class*="DetailView"] img, [class*="Modal"] img',
+    DETAIL_DESCRIPTION: '[class*="ReelPreview_caption"], [class*="Preview_caption"], [class*="DetailView"] [class*="description"], [class*="Modal"] [class*="description"]',
+    LINK_PREVIEW: '[class*="LinkPreview"] a[href], [class*="linkPreview"] a[href], [class*="OgPreview"] a[href], [class*="ogPreview"] a[href], [data-testid*="link-preview"] a[href]',
+    DETAIL_CLOSE_BUTTON: '[class*="FullScreenPreview"] button[aria-label*="lose"], [class*="Modal"] button[class*="close"], [class*="DetailView"] button[class*="close"]',
+
+    // Post status from badge test IDs and texts - first match wins, cards without a status badge are scheduled
+    POST_STATUS_PATTERNS: [
+        { STATUS: 'draft', KEYWORDS: ['draft'] },
+        { STATUS: 'failed', KEYWORDS: ['failed', 'error'] },
+        { STATUS: 'needs_connection', KEYWORDS: ['connect'] },
+        { STATUS: 'published', KEYWORDS: ['published', 'posted'] },
+        { STATUS: 'scheduled', KEYWORDS: ['scheduled'] }
+    ],
+    DEFAULT_POST_STATUS: 'scheduled',
+
+    // Approval state from badge test IDs and texts - first match wins
+    APPROVAL_PATTERNS: [
+        { STATE: 'changes_requested', KEYWORDS: ['changes requested', 'request changes', 'changes-requested'] },
+        { STATE: 'rejected', KEYWORDS: ['rejected', 'declined'] },
+        { STATE: 'pending', KEYWORDS: ['pending approval', 'awaiting approval', 'needs approval', 'in review', 'pending-approval'] },
+        { STATE: 'approved', KEYWORDS: ['approved'] }
+    ],
+
+    // Platform detection patterns - CLASSES are class-name prefixes (CSS module hashes vary),
+    // SVG_PATTERNS are path prefixes and SVG_COLORS must all appear in the icon's SVG
     PLATFORM_PATTERNS: {
         FACEBOOK: {
-            CLASSES: ['Icon_facebook__d7da4'],
-            SVG_PATTERNS: ['M14.3921 4.77426']
+            NAME: 'Facebook',
+            CLASSES: ['Icon_facebook', 'ChannelIcon_facebook'],
+            SVG_PATTERNS: ['M14.9808 7.9989', 'M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854'],
+            SVG_COLORS: ['#1877F2']
         },
         INSTAGRAM: {
-            CLASSES: ['Icon_instagram__d7da4'],
-            SVG_PATTERNS: ['M12.0833 1H3.91667C2.30608 1 1 2.30608 1 3.91667V12.0833C1 13.6939 2.30608 15 3.91667 15H12.0833']
+            NAME: 'Instagram',
+            CLASSES: ['Icon_instagram', 'ChannelIcon_instagram'],
+            SVG_PATTERNS: [],
+            SVG_COLORS: ['#FFC800', '#F51780', '#8C3AAA']
         },
         YOUTUBE: {
-            CLASSES: ['Icon_youtube__d7da4'],
-            SVG_PATTERNS: ['M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z']
+            NAME: 'YouTube',
+            CLASSES: ['Icon_youtube', 'ChannelIcon_youtube'],
+            SVG_PATTERNS: ['M14.3921 4.77426', 'M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136'],
+            SVG_COLORS: []
         },
         X_TWITTER: {
-            CLASSES: ['Icon_x__d7da4', 'Icon_twitter__d7da4'],
-            SVG_PATTERNS: ['M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z']
+            NAME: 'X',
+            CLASSES: ['Icon_x__', 'Icon_xplatform', 'Icon_twitter', 'ChannelIcon_x__', 'ChannelIcon_twitter'],
+            SVG_PATTERNS: ['M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z'],
+            SVG_COLORS: []
         },
         LINKEDIN: {
-            CLASSES: ['Icon_linkedin__d7da4'],
-            SVG_PATTERNS: ['M14.3921 4.77426', 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z']
+            NAME: 'LinkedIn',
+            CLASSES: ['Icon_linkedIn', 'Icon_linkedin', 'ChannelIcon_linkedIn', 'ChannelIcon_linkedin'],
+            SVG_PATTERNS: ['M12.0833 1H3.91667C2.30608 1 1 2.30608 1 3.91667V12.0833', 'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037'],
+            SVG_COLORS: ['#0A66C2', '#1275B1']
         }
     }
 };
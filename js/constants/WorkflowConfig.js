@@ -5,18 +5,32 @@
 export const WorkflowConfig = {
     // Timing delays (in milliseconds)
     DELAYS: {
-        TEXT_EXPANSION: 800,
-        CHECKBOX_CLICK: 150,
         SCROLL_AND_CLICK: 300,
         CLICK_STRATEGY_DELAY: 100,
         DOWNLOAD_SEQUENCE: 500,
-        VIDEO_LOAD_CHECK: 100
+        PERIOD_POLL: 200,
+        LIVE_SCAN_DEBOUNCE: 300,
+        LIVE_SCAN_RECONNECT: 2000,
+        SESSION_SAVE: 500,
+        DOM_QUIET: 300, // No mutations for this long counts as "finished rendering"
+        SCROLL_RENDER_QUIET: 100, // Same, for cards rendered by scrolling a column
+        WAIT_POLL: 100, // Re-check interval for conditions that don't cause DOM mutations
+        STREAM_PROGRESS_CLEAR: 4000 // How long a finished stream download stays in the progress list
     },
 
     // Retry and timeout settings
     RETRY: {
         MAX_ATTEMPTS: 3,
-        TIMEOUT_MS: 10000
+        TIMEOUT_MS: 10000,
+        BASE_DELAY_MS: 500, // Backoff before the 2nd attempt, doubled for each one after
+        MAX_DELAY_MS: 8000,
+        // Per operation type, overriding the defaults above (see RetryPolicy)
+        POLICIES: {
+            detail: { MAX_ATTEMPTS: 3, BASE_DELAY_MS: 1000 },
+            click: { MAX_ATTEMPTS: 3, BASE_DELAY_MS: 300, MAX_DELAY_MS: 2000 },
+            download: { MAX_ATTEMPTS: 4, BASE_DELAY_MS: 1000 },
+            segment: { MAX_ATTEMPTS: 3, BASE_DELAY_MS: 500, MAX_DELAY_MS: 4000 }
+        }
     },
 
     // Data processing limits
@@ -24,7 +38,9 @@ export const WorkflowConfig = {
         MAX_FILENAME_LENGTH: 30,
         MAX_URL_DISPLAY_LENGTH: 80,
         DURATION_MATCH_TOLERANCE_SECONDS: 3,
-        MAX_CSV_ROWS: 10000
+        MAX_CSV_ROWS: 10000,
+        MAX_CRAWL_PERIODS: 60,
+        MAX_CHANGE_FEED_ENTRIES: 500
     },
 
     // File naming patterns
@@ -39,6 +55,18 @@ export const WorkflowConfig = {
         MEDIA_FILE: '{timestamp}_{index}_{label}.{extension}'
     },
 
+    // Saved capture sessions (IndexedDB)
+    SESSIONS: {
+        DB_NAME: 'AgencySMMSessions',
+        DB_VERSION: 1,
+        STORE_NAME: 'sessions'
+    },
+
+    // CSV export settings
+    CSV: {
+        MULTI_URL_SEPARATOR: ',' // Between URLs sharing one column (carousel imageUrls)
+    },
+
     // Platform inference rules
     PLATFORM_INFERENCE: {
         EMAIL_KEYWORDS: ['email', 'mail'],
@@ -49,7 +77,38 @@ export const WorkflowConfig = {
     // Video detection settings
     VIDEO_DETECTION: {
         REQUIRED_OVERLAYS: ['playButtonOverlay', 'videoContainer', 'videoTag'],
-        DETECTED_PLACEHOLDER: 'VIDEO DETECTADO'
+        DETECTED_PLACEHOLDER: 'VIDEO DETECTADO',
+        OVERLAY_REFRESH_MS: 500 // How often the video scan marks follow cards the calendar moved
+    },
+
+    // Video-to-event matching (VideoMatcher)
+    VIDEO_MATCHING: {
+        WEIGHTS: { duration: 0.35, thumbnail: 0.3, url: 0.2, proximity: 0.15 },
+        MIN_CONFIDENCE: 0.3, // Weaker candidates are not suggested at all
+        AUTO_CONFIRM_CONFIDENCE: 0.75, // Links below this wait in the "confirm match" list
+        MIN_MARGIN: 0.1, // ...as do links barely ahead of the next best candidate
+        PROXIMITY_RANGE_PX: 600, // Card-to-video distance at which proximity stops counting
+        NEARBY_CARDS: 5, // Closest cards recorded per scanned video
+        FINGERPRINT_TIMEOUT_MS: 5000
+    },
+
+    // Cloudinary renditions for downloads (CloudinaryResolver)
+    CLOUDINARY: {
+        DEFAULT_PRESET: 'original',
+        POSTER_OFFSET_SECONDS: 1, // Video frame used by the poster preset
+        PRESETS: {
+            original: { label: 'Original files' },
+            as_shown: { label: 'As shown on the page', keepUrl: true },
+            reel_mp4: { label: 'Videos as 1080x1920 MP4', video: { transformation: 'c_fill,w_1080,h_1920', format: 'mp4' } },
+            poster_jpg: { label: 'Videos as JPG posters', video: { transformation: 'so_{offset}', format: 'jpg' } }
+        }
+    },
+
+    // Background media probing (MediaProbe)
+    MEDIA_PROBE: {
+        CONCURRENCY: 2, // Media items probed at once
+        HEADER_BYTES: 65536, // First bytes read for the content type and codec
+        TIMEOUT_MS: 10000 // Per probe step (request, image decode, video metadata)
     },
 
     // UI update settings
@@ -64,7 +123,8 @@ export const WorkflowConfig = {
     DOWNLOAD: {
         CHUNK_SIZE: 10,
         CONCURRENT_DOWNLOADS: 3,
-        RETRY_FAILED_DOWNLOADS: true
+        RETRY_FAILED_DOWNLOADS: true,
+        SEGMENT_CONCURRENCY: 4 // Parallel segment requests per HLS / DASH download
     },
 
     // Error handling
@@ -6,6 +6,16 @@ import { VideoService } from '../services/videoService.js';
 import { LiveScanService } from '../services/liveScanService.js';
 import { InspectorService } from '../services/inspectorService.js';
 import { AutoPilotService } from '../services/autoPilotService.js';
+import { TimeZoneService } from '../services/timeZoneService.js';
+import { ExportOptionsService } from '../services/exportOptionsService.js';
+import { NetworkMediaService } from '../services/networkMediaService.js';
+import { VideoMatchService } from '../services/videoMatchService.js';
+import { StreamDownloadService } from '../services/streamDownloadService.js';
+import { ChangeFeedService } from '../services/changeFeedService.js';
+import { SessionService } from '../services/sessionService.js';
+import { ComparisonService } from '../services/comparisonService.js';
+import { MediaProbeService } from '../services/mediaProbeService.js';
+import { PageScriptRunner } from '../utils/PageScriptRunner.js';
 
 /**
  * Popup Controller - Orchestrates popup interactions and data flow
@@ -19,6 +29,7 @@ export class PopupController {
     this.tabId = null; // Will be set dynamically
     this.renderer = new PopupRenderer(this.container, this.tabId);
     this.events = [];
+    this.calendarView = null; // week, month, day or list - set on capture
     this.capturedVideos = [];
     this.isLiveScanning = false;
     this.isHoverInspectorActive = false;
@@ -27,14 +38,25 @@ export class PopupController {
     this.serviceMessage = null;
 
     // Initialize services
+    this.pageScriptRunner = new PageScriptRunner(this);
     this.eventHandlers = new EventHandlers(this);
     this.videoService = new VideoService(this);
     this.liveScanService = new LiveScanService(this);
     this.inspectorService = new InspectorService(this);
     this.autoPilotService = new AutoPilotService(this);
+    this.timeZoneService = new TimeZoneService(this);
+    this.exportOptionsService = new ExportOptionsService(this);
+    this.networkMediaService = new NetworkMediaService(this);
+    this.videoMatchService = new VideoMatchService(this);
+    this.streamDownloadService = new StreamDownloadService(this);
+    this.changeFeedService = new ChangeFeedService(this);
+    this.sessionService = new SessionService(this);
+    this.comparisonService = new ComparisonService(this);
+    this.mediaProbeService = new MediaProbeService(this);
 
     this.bindRendererCallbacks();
     this.inspectorService.setupMessageListener();
+    this.streamDownloadService.setupProgressListener();
   }
 
   /**
@@ -53,6 +75,7 @@ export class PopupController {
    */
   bindRendererCallbacks() {
     this.renderer.onCapture = () => this.eventHandlers.handleCapture();
+    this.renderer.onCaptureRange = (startDate, endDate) => this.eventHandlers.handleCaptureRange(startDate, endDate);
     this.renderer.onEventClick = (index) => this.eventHandlers.handleEventClick(index);
     this.renderer.onBack = () => this.eventHandlers.handleBack();
     this.renderer.onBackToMain = () => this.eventHandlers.handleBackToMain();
@@ -70,9 +93,31 @@ export class PopupController {
     this.renderer.onDownloadSingleCSV = (eventData) => this.eventHandlers.handleDownloadSingleCSV(eventData);
     this.renderer.onVideoScan = () => this.videoService.handleVideoScan();
     this.renderer.onAutoPilot = () => this.autoPilotService.handleAutoPilot();
+    this.renderer.onPauseAutoPilot = () => this.autoPilotService.handlePause();
+    this.renderer.onResumeAutoPilot = () => this.autoPilotService.handleResume();
+    this.renderer.onCancelAutoPilot = () => this.autoPilotService.handleCancel();
+    this.renderer.onRetryFailedAutoPilot = () => this.autoPilotService.handleRetryFailed();
+    this.renderer.onDismissAutoPilot = () => this.autoPilotService.handleDismiss();
+    this.renderer.onExportAutoPilotReport = (format) => this.autoPilotService.handleExportReport(format);
+    this.renderer.onConfirmVideoMatch = (eventId) => this.videoMatchService.handleConfirm(eventId);
+    this.renderer.onRejectVideoMatch = (eventId) => this.videoMatchService.handleReject(eventId);
     this.renderer.onDebugDump = () => this.eventHandlers.handleDebugDump();
     this.renderer.onToggleInspector = () => this.inspectorService.handleToggleInspector();
     this.renderer.onClearCaptured = () => this.eventHandlers.handleClearCaptured();
+    this.renderer.onWorkspaceTimeZoneChange = (timeZone) => this.timeZoneService.setWorkspaceTimeZone(timeZone);
+    this.renderer.onExportTimeZoneChange = (mode) => this.timeZoneService.setExportTimeZone(mode);
+    this.renderer.onExportOptionChange = (name, value) => this.exportOptionsService.setOption(name, value);
+    this.renderer.onNetworkMediaChange = (enabled) => this.networkMediaService.setEnabled(enabled);
+    this.renderer.onExportChangeFeed = () => this.changeFeedService.handleExport();
+    this.renderer.onClearChangeFeed = () => this.changeFeedService.handleClear();
+    this.renderer.onShowSessions = () => this.sessionService.handleShowSessions();
+    this.renderer.onRenameSession = (id, name) => this.sessionService.handleRename(id, name);
+    this.renderer.onOpenSession = (id) => this.sessionService.handleOpen(id);
+    this.renderer.onExportSession = (id) => this.sessionService.handleExport(id);
+    this.renderer.onDeleteSession = (id) => this.sessionService.handleDelete(id);
+    this.renderer.onCompareSessions = (beforeId, afterId) => this.comparisonService.handleCompare(beforeId, afterId);
+    this.renderer.onExportComparisonCSV = () => this.comparisonService.handleExportCSV();
+    this.renderer.onExportComparisonHtml = () => this.comparisonService.handleExportHtml();
   }
 
   /**
@@ -140,6 +185,11 @@ export class PopupController {
 
     // Initialize live scanning settings first
     await this.liveScanService.initLiveScanning();
+    await this.timeZoneService.initTimeZoneSettings();
+    await this.exportOptionsService.initExportOptions();
+    await this.networkMediaService.initNetworkMedia();
+    await this.sessionService.initSessions();
+    await this.autoPilotService.initAutoPilot();
 
     // Show main screen with scan button instead of auto-capturing
     this.renderer.renderMainScreen();
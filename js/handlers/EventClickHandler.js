@@ -1,5 +1,6 @@
 import { ErrorMessages } from '../constants/ErrorMessages.js';
 import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { RetryPolicy } from '../utils/RetryPolicy.js';
 
 /**
  * EventClickHandler - Handles event card click interactions and navigation
@@ -51,45 +52,12 @@ export class EventClickHandler {
      * @returns {Promise<Object>} Click result with success status
      */
     async clickWebElement(event) {
-        const results = await chrome.scripting.executeScript({
-            target: { tabId: this.controller.tabId },
-            func: (cardIndex) => {
-                // Find the event card by index
-                const containers = Array.from(document.querySelectorAll('[class*="CalendarEventCard_eventContainer"]'))
-                    .filter(el => el.offsetWidth > 0 && el.offsetHeight > 0);
-
-                const targetContainer = containers[cardIndex - 1];
-                if (!targetContainer) {
-                    return { success: false, error: 'Card not found at index ' + cardIndex };
-                }
-
-                // Scroll element into view first
-                targetContainer.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'center',
-                    inline: 'center'
-                });
-
-                // Check the checkbox for this event on the web page
-                const checkbox = targetContainer.querySelector('input[type="checkbox"]');
-                const labelElement = targetContainer.querySelector('label');
-                if (checkbox && !checkbox.checked && labelElement) {
-                    labelElement.click();
-                }
-
-                // Wait for scroll and checkbox interaction to complete
-                setTimeout(() => {
-                    // Execute multiple click strategies sequentially
-                    this.executeClickStrategies(targetContainer);
-                }, WorkflowConfig.DELAYS.SCROLL_AND_CLICK);
-
-                return { success: true };
-            },
-            args: [event.cardIndex],
-            world: 'MAIN'
-        });
-
-        return results[0].result;
+        try {
+            // The card is located by its stable ID, so re-renders and scrolling can't redirect the click
+            return await RetryPolicy.run('click', () => this.controller.pageScriptRunner.run('selectEventCard', event.id));
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
     }
 
     /**
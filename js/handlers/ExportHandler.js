@@ -1,5 +1,10 @@
 import { ErrorMessages } from '../constants/ErrorMessages.js';
 import { DownloadManager } from '../utils/DownloadManager.js';
+import { DateResolver } from '../utils/DateResolver.js';
+import { CaptionParser } from '../utils/CaptionParser.js';
+import { PostStatus } from '../utils/PostStatus.js';
+import { MediaProbe } from '../utils/MediaProbe.js';
+import { EventMedia } from '../utils/EventMedia.js';
 
 /**
  * ExportHandler - Handles all export operations (CSV, HTML, media downloads)
@@ -18,7 +23,7 @@ export class ExportHandler {
     async handleDownloadAllCSV() {
         try {
             const { CSVExporter } = await import('../utils/csvExporter.js');
-            await CSVExporter.exportAllEvents(this.controller.events);
+            await CSVExporter.exportAllEvents(this.controller.events, this.controller.exportOptionsService.getCsvOptions());
             this.controller.renderer.showMessage('CSV downloaded successfully!', 'success');
         } catch (error) {
             console.error('CSV export failed:', error);
@@ -157,7 +162,7 @@ export class ExportHandler {
      * @returns {Promise<void>}
      */
     async downloadPlatformCSV(platform, events, timestamp) {
-        const csvContent = this.generateCSVData(events, []);
+        const csvContent = this.generateCSVData(events);
         const csvBlob = new Blob([csvContent], { type: 'text/csv' });
         const csvDataUrl = await this.blobToDataURL(csvBlob);
 
@@ -183,7 +188,7 @@ export class ExportHandler {
     async handleDownloadSingleCSV(eventData) {
         try {
             const { CSVExporter } = await import('../utils/csvExporter.js');
-            await CSVExporter.exportSingleEvent(eventData);
+            await CSVExporter.exportSingleEvent(eventData, this.controller.exportOptionsService.getCsvOptions());
         } catch (error) {
             console.error('Single CSV export failed:', error);
             this.controller.renderer.showMessage(
@@ -201,7 +206,9 @@ export class ExportHandler {
         await this.downloadManager.handleCompleteMediaDownload(
             this.controller.events,
             this.controller.capturedVideos || [],
-            this.controller.renderer
+            this.controller.renderer,
+            this.controller.exportOptionsService.getCsvOptions(),
+            this.controller.exportOptionsService.getMediaPreset()
         );
     }
 
@@ -210,7 +217,7 @@ export class ExportHandler {
      * @param {string} url - Media URL to download
      */
     handleDownloadSingle(url) {
-        this.downloadManager.handleSingleDownload(url, this.controller.renderer);
+        this.downloadManager.handleSingleDownload(url, this.controller.renderer, this.controller.exportOptionsService.getMediaPreset());
     }
 
     /**
@@ -233,89 +240,33 @@ export class ExportHandler {
     }
 
     /**
-     * Connect videos to events for CSV generation
+     * Generate CSV data from events
+     * videoUrls holds each event's videoSrc as VideoProcessor / VideoMatchService left it:
+     * only automatic and user-confirmed matches, never pending or rejected suggestions.
      * @param {Array} events - Events array
-     * @param {Array} capturedVideos - Captured videos array
-     */
-    connectVideosToEventsForCSV(events, capturedVideos) {
-        if (!events || !capturedVideos || capturedVideos.length === 0) return;
-
-        console.log('📊 Connecting videos for CSV generation...');
-
-        const eventsWithVideos = events.filter(event =>
-            event.hasVideo && event.videoSrc === 'VIDEO DETECTADO'
-        );
-        const availableVideos = [...capturedVideos];
-        let connectionsMade = 0;
-
-        eventsWithVideos.forEach(event => {
-            // Parse event duration
-            let eventDurationSeconds = 0;
-            if (event.videoDuration) {
-                const durationMatch = event.videoDuration.match(/^(\d+):(\d+)$/);
-                if (durationMatch) {
-                    eventDurationSeconds = parseInt(durationMatch[1]) * 60 + parseInt(durationMatch[2]);
-                } else {
-                    eventDurationSeconds = parseInt(event.videoDuration) || 0;
-                }
-            }
-
-            if (eventDurationSeconds === 0) return;
-
-            // Find best video match
-            let bestMatch = null;
-            let bestMatchDiff = Infinity;
-
-            availableVideos.forEach((video, index) => {
-                const videoDuration = Math.round(video.duration || 0);
-                const durationDiff = Math.abs(videoDuration - eventDurationSeconds);
-
-                if (durationDiff <= 3 && durationDiff < bestMatchDiff) {
-                    bestMatch = { video, index, durationDiff };
-                    bestMatchDiff = durationDiff;
-                }
-            });
-
-            if (bestMatch) {
-                event.videoSrc = bestMatch.video.url;
-                availableVideos.splice(bestMatch.index, 1);
-                connectionsMade++;
-            }
-        });
-
-        if (connectionsMade > 0) {
-            console.log(`📊 CSV: Connected ${connectionsMade} videos to events`);
-        }
-    }
-
-    /**
-     * Generate CSV data from events and captured videos
-     * @param {Array} events - Events array
-     * @param {Array} capturedVideos - Captured videos array (optional)
      * @returns {string} CSV content
      */
-    generateCSVData(events, capturedVideos = []) {
-        // Ensure videos are connected before generating CSV
-        if (capturedVideos && capturedVideos.length > 0) {
-            this.connectVideosToEventsForCSV(events, capturedVideos);
-        }
-
+    generateCSVData(events) {
         // New CSV format with specific columns
+        const csvOptions = this.controller.exportOptionsService.getCsvOptions();
         const headers = ['postAtSpecificTime (YYYY-MM-DD HH:mm:ss)', 'content', 'link (OGmetaUrl)', 'imageUrls', 'gifUrl', 'videoUrls'];
+        if (csvOptions.captionColumns) {
+            headers.push(...CaptionParser.CSV_HEADERS);
+        }
+        if (csvOptions.statusColumns) {
+            headers.push(...PostStatus.CSV_HEADERS);
+        }
+        if (csvOptions.mediaColumns) {
+            headers.push(...MediaProbe.CSV_HEADERS);
+        }
         const csvRows = [headers.join(',')];
 
         // Add event data in the new format
         events.forEach((event, index) => {
-            const row = this.generateEventCSVRow(event, index);
+            const row = this.generateEventCSVRow(event, index, csvOptions);
             csvRows.push(row);
         });
 
-        // Skip captured videos in the new format since user only wants event data for now
-        // capturedVideos.forEach((video, index) => {
-        //     const row = this.generateVideoCSVRow(video, index);
-        //     if (row) csvRows.push(row); // Only add if not null
-        // });
-
         return csvRows.join('\n');
     }
 
@@ -323,124 +274,48 @@ export class ExportHandler {
      * Generate CSV row for an event
      * @param {Object} event - Event object
      * @param {number} index - Event index
+     * @param {Object} [options] - Export options ({ captionColumns, statusColumns, mediaColumns })
      * @returns {string} CSV row string
      */
-    generateEventCSVRow(event, index) {
+    generateEventCSVRow(event, index, options = {}) {
         // New format: postAtSpecificTime, content, link, imageUrls, gifUrl, videoUrls
 
-        // Use both date and timestamp from the event card
-        let postAtSpecificTime = this.formatTimestampForCSV(event.timestamp, event.date);
+        // Use the full date resolved at capture and the card's time
+        let postAtSpecificTime = this.formatTimestampForCSV(event);
 
         // Use only description for content (full content, not label fallback)
         const content = event.description || '';
+        const media = EventMedia.toBlazeFields(event);
 
         const row = [
             postAtSpecificTime, // postAtSpecificTime (from event card)
             `"${this.escapeCsvField(content)}"`, // content
-            '', // link (empty)
-            `"${event.imageSrc || ''}"`, // imageUrls
-            '', // gifUrl (empty)
-            '' // videoUrls (empty)
+            `"${this.escapeCsvField(media.link)}"`, // link (OG preview or caption link)
+            `"${this.escapeCsvField(media.imageUrls)}"`, // imageUrls (carousel slides in order)
+            `"${this.escapeCsvField(media.gifUrl)}"`, // gifUrl
+            `"${this.escapeCsvField(media.videoUrls)}"` // videoUrls (resolved videos only)
         ];
 
-        return row.join(',');
-    }
-
-    /**
-     * Parse date string from calendar header (e.g., "Nov 2 Sun", "Nov 3 Mon")
-     * @param {string} dateStr - Date string from calendar
-     * @returns {Object} Object with year, month, day or null if parsing fails
-     */
-    parseDateFromCalendar(dateStr) {
-        if (!dateStr) return null;
-
-        // Match patterns like "Nov 2 Sun", "Nov 3 Mon", "November 2", etc.
-        const monthNames = {
-            'jan': '01', 'january': '01',
-            'feb': '02', 'february': '02',
-            'mar': '03', 'march': '03',
-            'apr': '04', 'april': '04',
-            'may': '05',
-            'jun': '06', 'june': '06',
-            'jul': '07', 'july': '07',
-            'aug': '08', 'august': '08',
-            'sep': '09', 'september': '09',
-            'oct': '10', 'october': '10',
-            'nov': '11', 'november': '11',
-            'dec': '12', 'december': '12'
-        };
-
-        const match = dateStr.match(/([a-zA-Z]+)\s+(\d{1,2})/i);
-        if (match) {
-            const monthKey = match[1].toLowerCase().substring(0, 3);
-            const month = monthNames[monthKey];
-            const day = String(parseInt(match[2])).padStart(2, '0');
-
-            if (month) {
-                // Use current year (or next year if the date appears to be in the past)
-                const now = new Date();
-                const year = now.getFullYear();
-                return { year, month, day };
-            }
+        if (options.captionColumns) {
+            row.push(...CaptionParser.toCsvFields(event).map(field => `"${this.escapeCsvField(field)}"`));
+        }
+        if (options.statusColumns) {
+            row.push(...PostStatus.toCsvFields(event).map(field => `"${this.escapeCsvField(field)}"`));
+        }
+        if (options.mediaColumns) {
+            row.push(...MediaProbe.toCsvFields(event.mediaInfo).map(field => `"${this.escapeCsvField(field)}"`));
         }
 
-        return null;
+        return row.join(',');
     }
 
     /**
-     * Format timestamp from event card to CSV format
-     * Converts timestamps like "10:30 AM" to "YYYY-MM-DD HH:mm:ss" using extracted date
-     * @param {string} timestamp - Original timestamp string from event (e.g., "10:30 AM")
-     * @param {string} dateStr - Date string from calendar header (e.g., "Nov 2 Sun")
-     * @returns {string} Formatted timestamp
+     * Format an event's scheduled time for the postAtSpecificTime column, in the chosen export zone
+     * @param {Object} event - Event object with scheduledAt/timeZone, or fullDate/date and timestamp
+     * @returns {string} "YYYY-MM-DD HH:mm:ss", or '' when the date or time is unknown
      */
-    formatTimestampForCSV(timestamp, dateStr) {
-        // Parse the date from calendar or use current date as fallback
-        const parsedDate = this.parseDateFromCalendar(dateStr);
-        const now = new Date();
-
-        const year = parsedDate?.year || now.getFullYear();
-        const month = parsedDate?.month || String(now.getMonth() + 1).padStart(2, '0');
-        const day = parsedDate?.day || String(now.getDate()).padStart(2, '0');
-
-        if (!timestamp) {
-            // Fallback to current time if no timestamp
-            const hours = String(now.getHours()).padStart(2, '0');
-            const minutes = String(now.getMinutes()).padStart(2, '0');
-            const seconds = String(now.getSeconds()).padStart(2, '0');
-            return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-        }
-
-        try {
-            // Parse the time part (e.g., "10:30 AM" -> hours and minutes)
-            const timeMatch = timestamp.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-            if (!timeMatch) {
-                // If no AM/PM format, try 24-hour format or just use the timestamp as-is
-                return `${year}-${month}-${day} ${timestamp}`;
-            }
-
-            let hours = parseInt(timeMatch[1]);
-            const minutes = timeMatch[2];
-            const ampm = timeMatch[3].toUpperCase();
-
-            // Convert to 24-hour format
-            if (ampm === 'PM' && hours !== 12) {
-                hours += 12;
-            } else if (ampm === 'AM' && hours === 12) {
-                hours = 0;
-            }
-
-            const hours24 = String(hours).padStart(2, '0');
-
-            return `${year}-${month}-${day} ${hours24}:${minutes}:00`;
-        } catch (error) {
-            console.error('Error formatting timestamp for CSV:', error);
-            // Fallback to current time
-            const hours = String(now.getHours()).padStart(2, '0');
-            const minutes = String(now.getMinutes()).padStart(2, '0');
-            const seconds = String(now.getSeconds()).padStart(2, '0');
-            return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}`;
-        }
+    formatTimestampForCSV(event) {
+        return DateResolver.formatPostTime(event, this.controller.timeZoneService.getExportTimeZone());
     }
 
     /**
@@ -43,6 +43,10 @@ export class VideoScanHandler {
                 eventsWithoutVideos.length > 0 ? 'info' : 'success'
             );
 
+            // Link the new videos to events and list the matches that need confirmation
+            await this.controller.videoMatchService.connectVideos();
+            this.controller.renderer.updateVideoMatches(this.controller.events || []);
+
         } catch (error) {
             console.error('Video scan failed:', error);
             this.controller.renderer.showMessage(
@@ -57,96 +61,7 @@ export class VideoScanHandler {
      * @returns {Promise<Object>} Scan results with video sources and event status
      */
     async scanForVideos() {
-        const results = await chrome.scripting.executeScript({
-            target: { tabId: this.controller.tabId },
-            func: (capturedEvents) => {
-                // Scan for all video elements and their sources
-                const videos = Array.from(document.querySelectorAll('video'));
-                const videoSources = [];
-
-                videos.forEach((video, index) => {
-                    // Get direct src attribute
-                    if (video.src && video.src.includes('.mp4')) {
-                        videoSources.push({
-                            url: video.src,
-                            type: 'direct',
-                            elementIndex: index,
-                            duration: video.duration || 0,
-                            currentTime: video.currentTime || 0
-                        });
-                    }
-
-                    // Get sources from <source> elements
-                    const sources = video.querySelectorAll('source');
-                    sources.forEach((source, sourceIndex) => {
-                        if (source.src && source.src.includes('.mp4')) {
-                            videoSources.push({
-                                url: source.src,
-                                type: 'source',
-                                elementIndex: index,
-                                sourceIndex: sourceIndex,
-                                duration: video.duration || 0,
-                                currentTime: video.currentTime || 0
-                            });
-                        }
-                    });
-                });
-
-                // Check which events have videos loaded
-                const containers = Array.from(document.querySelectorAll('[class*="CalendarEventCard_eventContainer"]'))
-                    .filter(el => el.offsetWidth > 0 && el.offsetHeight > 0);
-
-                const eventsWithVideos = [];
-                const eventsWithoutVideos = [];
-
-                containers.forEach((container, index) => {
-                    const hasVideoElement = !!container.querySelector('video');
-                    const label = container.querySelector('span[class*="Text_root_"]')?.textContent?.trim() ||
-                                 `Event ${index + 1}`;
-
-                    // Check if this event was marked as having video in captured data
-                    const matchingEvent = capturedEvents.find(event => event.cardIndex === index + 1);
-                    const hasVideoDetected = matchingEvent && (matchingEvent.hasVideo || matchingEvent.videoSrc === 'VIDEO DETECTADO');
-
-                    const hasVideo = hasVideoElement || hasVideoDetected;
-
-                    if (hasVideo) {
-                        eventsWithVideos.push({
-                            index: index + 1,
-                            label: label,
-                            hasVideo: true,
-                            source: hasVideoElement ? 'loaded' : 'detected'
-                        });
-                        // Restore original content if it was hidden
-                        if (container.dataset.wasHidden === 'true') {
-                            delete container.dataset.wasHidden;
-                        }
-                    } else {
-                        eventsWithoutVideos.push({
-                            index: index + 1,
-                            label: label,
-                            hasVideo: false
-                        });
-                        // Hide content for events without videos
-                        if (!container.dataset.wasHidden) {
-                            container.dataset.wasHidden = 'true';
-                            container.dataset.originalContent = container.innerHTML;
-                            container.innerHTML = '<div style="display: none;"></div>';
-                        }
-                    }
-                });
-
-                return {
-                    videoSources,
-                    eventsWithVideos,
-                    eventsWithoutVideos
-                };
-            },
-            args: [this.controller.events || []],
-            world: 'MAIN'
-        });
-
-        return results[0].result;
+        return this.controller.pageScriptRunner.run('scanVideos', this.controller.events || []);
     }
 
     /**
@@ -166,6 +81,8 @@ export class VideoScanHandler {
         );
 
         this.controller.capturedVideos.push(...newVideos);
+        this.controller.sessionService.scheduleSave();
+        this.controller.mediaProbeService.probeAll();
     }
 
     /**
@@ -182,8 +99,9 @@ export class VideoScanHandler {
         // Update the videos list
         this.updateVideosList(videosContainer);
 
-        // Bind download button
+        // Bind download and highlight buttons
         this.bindVideosDownloadButton();
+        this.bindClearHighlightButton();
     }
 
     /**
@@ -211,7 +129,10 @@ export class VideoScanHandler {
         `;
         header.innerHTML = `
             <span>Captured Videos (<span id="videos-count">0</span>)</span>
-            <button id="download-videos-btn" style="background: linear-gradient(135deg, #ff6b6b 0%, #4ecdc4 100%); border: none; padding: 6px 12px; font-size: 11px; color: white; cursor: pointer; border-radius: 4px;">Download All</button>
+            <div style="display: flex; gap: 6px;">
+                <button id="clear-video-highlight-btn" style="background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); padding: 6px 12px; font-size: 11px; color: white; cursor: pointer; border-radius: 4px;">Clear Highlight</button>
+                <button id="download-videos-btn" style="background: linear-gradient(135deg, #ff6b6b 0%, #4ecdc4 100%); border: none; padding: 6px 12px; font-size: 11px; color: white; cursor: pointer; border-radius: 4px;">Download All</button>
+            </div>
         `;
 
         const videosList = document.createElement('div');
@@ -329,6 +250,29 @@ export class VideoScanHandler {
         }
     }
 
+    /**
+     * Bind the button that removes the video scan marks from the Blaze page
+     */
+    bindClearHighlightButton() {
+        const clearBtn = document.getElementById('clear-video-highlight-btn');
+        if (clearBtn) {
+            clearBtn.onclick = () => this.handleClearHighlight();
+        }
+    }
+
+    /**
+     * Remove the video scan marks from the Blaze page
+     * @returns {Promise<void>}
+     */
+    async handleClearHighlight() {
+        try {
+            await this.controller.pageScriptRunner.run('clearVideoScanHighlight');
+        } catch (error) {
+            console.error('Clearing video highlight failed:', error);
+            this.controller.renderer.showMessage('Could not clear the highlight: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Update the UI to display events that don't have videos loaded
      * @param {Array} eventsWithoutVideos - Array of events without videos
@@ -459,7 +403,8 @@ export class VideoScanHandler {
 
         await downloadManager.handleCapturedVideosDownload(
             this.controller.capturedVideos,
-            this.controller.renderer
+            this.controller.renderer,
+            this.controller.exportOptionsService.getMediaPreset()
         );
     }
 
@@ -469,6 +414,7 @@ export class VideoScanHandler {
     handleClearCaptured() {
         this.controller.capturedItems = [];
         this.controller.renderer.renderCapturedItems(this.controller.capturedItems);
+        this.controller.sessionService.scheduleSave();
     }
 
     /**
@@ -480,6 +426,7 @@ export class VideoScanHandler {
 
         // Add to list
         this.controller.capturedItems.push(data);
+        this.controller.sessionService.scheduleSave();
 
         // Update UI
         this.controller.renderer.renderCapturedItems(this.controller.capturedItems);
@@ -21,10 +21,12 @@ export class EventBinder {
     // Core buttons
     this.bindButton('back-to-main-btn', () => this.callbacks.onBackToMain?.());
     this.bindButton('capture-btn', () => this.callbacks.onCapture?.());
+    this.bindCaptureRange();
     this.bindButton('debug-dump-btn', () => this.callbacks.onDebugDump?.());
     this.bindButton('inspector-btn', () => this.callbacks.onToggleInspector?.());
     this.bindButton('scan-videos-btn', () => this.callbacks.onScanVideos?.());
     this.bindButton('clear-captured-btn', () => this.callbacks.onClearCaptured?.());
+    this.bindButton('sessions-btn', () => this.callbacks.onShowSessions?.());
 
     // Event cards
     this.bindEventCards();
@@ -34,6 +36,96 @@ export class EventBinder {
 
     // Events collapsible header
     this.bindEventsCollapsible();
+
+    // Time zone selectors
+    this.bindTimeZoneSettings();
+
+    // Optional CSV columns
+    this.bindExportOptions();
+
+    // Optional capture modes
+    this.bindCaptureOptions();
+
+    // Video match confirmations
+    this.bindVideoMatches();
+
+    // Status / approval / author filters
+    this.bindEventFilters();
+
+    // Auto Pilot queue controls
+    this.bindAutoPilotQueue();
+  }
+
+  /**
+   * Binds the Auto Pilot queue controls
+   */
+  bindAutoPilotQueue() {
+    this.bindButton('autopilot-pause-btn', () => this.callbacks.onPauseAutoPilot?.());
+    this.bindButton('autopilot-resume-btn', () => this.callbacks.onResumeAutoPilot?.());
+    this.bindButton('autopilot-cancel-btn', () => this.callbacks.onCancelAutoPilot?.());
+    this.bindButton('autopilot-retry-btn', () => this.callbacks.onRetryFailedAutoPilot?.());
+    this.bindButton('autopilot-dismiss-btn', () => this.callbacks.onDismissAutoPilot?.());
+    this.bindButton('autopilot-report-csv-btn', () => this.callbacks.onExportAutoPilotReport?.('csv'));
+    this.bindButton('autopilot-report-json-btn', () => this.callbacks.onExportAutoPilotReport?.('json'));
+  }
+
+  /**
+   * Binds the confirm / reject buttons of the video match list
+   */
+  bindVideoMatches() {
+    const actions = {
+      confirm: (eventId) => this.callbacks.onConfirmVideoMatch?.(eventId),
+      reject: (eventId) => this.callbacks.onRejectVideoMatch?.(eventId)
+    };
+    this.container.querySelectorAll('#video-matches [data-match-action]').forEach(button => {
+      button.addEventListener('click', () => actions[button.dataset.matchAction]?.(button.dataset.eventId));
+    });
+  }
+
+  /**
+   * Binds the optional capture mode toggles
+   */
+  bindCaptureOptions() {
+    const networkMediaCheckbox = this.container.querySelector('#network-media-checkbox');
+    networkMediaCheckbox?.addEventListener('change', (e) => this.callbacks.onNetworkMediaChange?.(e.target.checked));
+  }
+
+  /**
+   * Binds the grid filter selectors
+   */
+  bindEventFilters() {
+    const filterSelects = this.container.querySelectorAll('.event-filter-select');
+    filterSelects.forEach(select => {
+      select.addEventListener('change', (e) => this.callbacks.onEventFilterChange?.(select.dataset.filter, e.target.value));
+    });
+  }
+
+  /**
+   * Binds the optional CSV column toggles and the media download preset
+   */
+  bindExportOptions() {
+    const captionCheckbox = this.container.querySelector('#caption-columns-checkbox');
+    captionCheckbox?.addEventListener('change', (e) => this.callbacks.onExportOptionChange?.('captionColumns', e.target.checked));
+
+    const statusCheckbox = this.container.querySelector('#status-columns-checkbox');
+    statusCheckbox?.addEventListener('change', (e) => this.callbacks.onExportOptionChange?.('statusColumns', e.target.checked));
+
+    const mediaCheckbox = this.container.querySelector('#media-columns-checkbox');
+    mediaCheckbox?.addEventListener('change', (e) => this.callbacks.onExportOptionChange?.('mediaColumns', e.target.checked));
+
+    const presetSelect = this.container.querySelector('#media-preset-select');
+    presetSelect?.addEventListener('change', (e) => this.callbacks.onExportOptionChange?.('mediaPreset', e.target.value));
+  }
+
+  /**
+   * Binds the workspace and export time zone selectors
+   */
+  bindTimeZoneSettings() {
+    const workspaceSelect = this.container.querySelector('#workspace-time-zone-select');
+    workspaceSelect?.addEventListener('change', (e) => this.callbacks.onWorkspaceTimeZoneChange?.(e.target.value));
+
+    const exportSelect = this.container.querySelector('#export-time-zone-select');
+    exportSelect?.addEventListener('change', (e) => this.callbacks.onExportTimeZoneChange?.(e.target.value));
   }
 
   /**
@@ -60,6 +152,8 @@ export class EventBinder {
     this.bindButton('download-csv-only-btn', () => this.callbacks.onDownloadCSVOnly?.());
     this.bindButton('extract-all-videos-btn', () => this.callbacks.onExtractAllVideos?.());
     this.bindButton('extract-all-details-btn', () => this.callbacks.onExtractAllDetails?.());
+    this.bindButton('export-change-feed-btn', () => this.callbacks.onExportChangeFeed?.());
+    this.bindButton('clear-change-feed-btn', () => this.callbacks.onClearChangeFeed?.());
   }
 
   /**
@@ -106,6 +200,55 @@ export class EventBinder {
    */
   bindScanButton() {
     this.bindButton('scan-btn', () => this.callbacks.onCapture?.());
+    this.bindCaptureRange();
+  }
+
+  /**
+   * Binds the saved session list: action buttons and rename on edit
+   */
+  bindSessionList() {
+    const actions = {
+      open: (id) => this.callbacks.onOpenSession?.(id),
+      export: (id) => this.callbacks.onExportSession?.(id),
+      delete: (id) => this.callbacks.onDeleteSession?.(id)
+    };
+    this.container.querySelectorAll('.session-action[data-session-action]').forEach(button => {
+      button.addEventListener('click', () => actions[button.dataset.sessionAction]?.(button.dataset.sessionId));
+    });
+
+    this.bindSessionComparison();
+
+    this.container.querySelectorAll('.session-name-input').forEach(input => {
+      input.addEventListener('change', () => this.callbacks.onRenameSession?.(input.dataset.sessionId, input.value));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') input.blur();
+      });
+    });
+  }
+
+  /**
+   * Binds the session comparison controls: the compare form and the report toolbar
+   */
+  bindSessionComparison() {
+    this.bindButton('compare-sessions-btn', () => {
+      const beforeId = this.container.querySelector('#compare-before-select')?.value;
+      const afterId = this.container.querySelector('#compare-after-select')?.value;
+      this.callbacks.onCompareSessions?.(beforeId, afterId);
+    });
+    this.bindButton('comparison-back-btn', () => this.callbacks.onShowSessions?.());
+    this.bindButton('export-comparison-csv-btn', () => this.callbacks.onExportComparisonCSV?.());
+    this.bindButton('export-comparison-html-btn', () => this.callbacks.onExportComparisonHtml?.());
+  }
+
+  /**
+   * Binds the capture range button, passing the selected start/end dates
+   */
+  bindCaptureRange() {
+    this.bindButton('capture-range-btn', () => {
+      const startDate = this.container.querySelector('#capture-range-start')?.value;
+      const endDate = this.container.querySelector('#capture-range-end')?.value;
+      this.callbacks.onCaptureRange?.(startDate, endDate);
+    });
   }
 
   /**
@@ -78,6 +78,14 @@ export class EventHandlers {
         return handler.handleCapture();
     }
 
+    /**
+     * Handles a multi-week capture between two dates
+     */
+    async handleCaptureRange(startDate, endDate) {
+        const handler = await this.getCaptureHandler();
+        return handler.handleCaptureRange(startDate, endDate);
+    }
+
     // ========== EVENT CLICK HANDLER METHODS ==========
     /**
      * Handles event card click to show details
@@ -235,7 +243,7 @@ export class EventHandlers {
     }
 
     /**
-     * Connects captured videos to events based on duration matching
+     * Connects captured videos to events (VideoMatchService)
      */
     connectVideosToEvents() {
         if (this.captureHandler) {
@@ -246,22 +254,11 @@ export class EventHandlers {
     }
 
     /**
-     * Connects videos to events specifically for CSV generation
-     */
-    connectVideosToEventsForCSV(events, capturedVideos) {
-        if (this.exportHandler) {
-            return this.exportHandler.connectVideosToEventsForCSV(events, capturedVideos);
-        }
-        console.warn('ExportHandler not loaded, loading synchronously...');
-        this.getExportHandler().then(handler => handler.connectVideosToEventsForCSV(events, capturedVideos));
-    }
-
-    /**
-     * Generates CSV data from events and captured videos
+     * Generates CSV data from events
      */
-    generateCSVData(events, capturedVideos = []) {
+    generateCSVData(events) {
         if (this.exportHandler) {
-            return this.exportHandler.generateCSVData(events, capturedVideos);
+            return this.exportHandler.generateCSVData(events);
         }
         console.warn('ExportHandler not loaded, returning empty CSV...');
         return '';
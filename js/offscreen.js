@@ -0,0 +1,44 @@
+/**
+ * Offscreen Document Script - Assembles HLS / DASH downloads for the background script
+ * The service worker can't hold blobs or parse DASH XML, so it opens this document and asks it
+ * to download a stream's segments into a file. Progress goes to the side panel; the finished
+ * file comes back as a blob: URL, which stay alive until the background script revokes them.
+ */
+
+import { StreamDownloader } from './utils/StreamDownloader.js';
+
+const streamDownloader = new StreamDownloader();
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.target !== 'offscreen') return;
+
+  if (message.action === 'assembleStream') {
+    assembleStream(message).then(sendResponse);
+    return true; // Responds asynchronously
+  }
+  if (message.action === 'revokeStreamFile') {
+    URL.revokeObjectURL(message.blobUrl);
+  }
+});
+
+/**
+ * Downloads a stream and reports progress to the side panel
+ * @param {Object} message - { jobId, url, label }
+ * @returns {Promise<Object>} { success, blobUrl, extension } or { success: false, error }
+ */
+async function assembleStream({ jobId, url, label }) {
+  const report = (status, done = 0, total = 0, error = null) => {
+    chrome.runtime.sendMessage({ target: 'panel', action: 'streamDownloadProgress', jobId, label, status, done, total, error })
+      .catch(() => {}); // The side panel may be closed
+  };
+
+  try {
+    const { blob, extension } = await streamDownloader.download(url, (done, total) => report('downloading', done, total));
+    report('done');
+    return { success: true, blobUrl: URL.createObjectURL(blob), extension };
+  } catch (error) {
+    console.error(`Stream download failed for ${url}:`, error);
+    report('failed', 0, 0, error.message);
+    return { success: false, error: error.message };
+  }
+}
@@ -10,8 +10,18 @@ import {
   NO_RESULTS, EVENTS_GRID, EVENT_CARD, EVENT_IMAGE, EVENT_NO_IMAGE,
   ACTION_BUTTONS, ACTION_BUTTON, EVENT_DETAIL_BACK_BUTTON,
   EVENT_DETAIL_CONTENT, EVENT_DETAIL_ACTIONS, DETAIL_BUTTON,
-  DOWNLOAD_CSV_BUTTON, VIDEO_ELEMENT, IMAGE_ELEMENT, CAPTURED_ITEM
+  DOWNLOAD_CSV_BUTTON, VIDEO_ELEMENT, IMAGE_ELEMENT, CAPTURED_ITEM, CAPTURE_RANGE_FORM,
+  TIME_ZONE_SETTINGS, SELECT_OPTION, EXPORT_OPTIONS, CAPTURE_OPTIONS, CAPTION_CHIPS, CAPTION_CHIP,
+  EVENT_FILTERS, STATUS_BADGE, CHANGE_FEED, CHANGE_FEED_ITEM, CHANGE_FEED_FIELD,
+  SESSION_LIST, SESSION_ITEM, SESSION_COMPARE_FORM, SESSION_COMPARISON, COMPARISON_STAT,
+  COMPARISON_ENTRY, COMPARISON_KIND, COMPARISON_SIDE, COMPARISON_SIDE_MISSING, COMPARISON_EMPTY,
+  AUTOPILOT_QUEUE, AUTOPILOT_QUEUE_BUTTON, AUTOPILOT_QUEUE_ITEM, VIDEO_MATCH_LIST, VIDEO_MATCH_ITEM,
+  STREAM_DOWNLOADS, STREAM_DOWNLOAD_ITEM, MEDIA_INFO
 } from '../styles/templates.js';
+import { PostStatus } from '../utils/PostStatus.js';
+import { SessionComparison } from '../utils/SessionComparison.js';
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { MediaProbe } from '../utils/MediaProbe.js';
 
 /**
  * Popup UI Renderer - Handles rendering and event binding for the popup
@@ -27,6 +37,15 @@ export class PopupRenderer {
     this.styleManager = new StyleManager();
     this.eventBinder = new EventBinder(container, this.getCallbacks());
     this.footerVersion = 'v1.8';
+    this.timeZoneSettings = null; // Set by TimeZoneService
+    this.exportOptions = null; // Set by ExportOptionsService
+    this.networkMediaCapture = false; // Set by NetworkMediaService
+    this.changeFeed = []; // Set by ChangeFeedService, newest first
+    this.sessions = []; // Set by SessionService, newest first
+    this.currentSessionId = null; // Set by SessionService
+    this.autoPilotJob = null; // Set by AutoPilotService
+    this.streamDownloads = []; // Set by StreamDownloadService
+    this.eventFilters = { status: '', approval: '', author: '' }; // '' shows everything
 
     // Make toggle function globally available
     if (typeof window !== 'undefined') {
@@ -62,6 +81,7 @@ export class PopupRenderer {
       onAutoPilot: () => this.onAutoPilot?.(),
       onBackToMain: () => this.onBackToMain?.(),
       onCapture: () => this.onCapture?.(),
+      onCaptureRange: (startDate, endDate) => this.onCaptureRange?.(startDate, endDate),
       onDebugDump: () => this.onDebugDump?.(),
       onToggleInspector: () => this.onToggleInspector?.(),
       onClearCaptured: () => this.onClearCaptured?.(),
@@ -78,6 +98,29 @@ export class PopupRenderer {
       onExtractVideo: (eventIndex) => this.onExtractVideo?.(eventIndex),
       onDownloadSingleCSV: (eventData) => this.onDownloadSingleCSV?.(eventData),
       onDownloadSingle: (url) => this.onDownloadSingle?.(url),
+      onWorkspaceTimeZoneChange: (timeZone) => this.onWorkspaceTimeZoneChange?.(timeZone),
+      onExportTimeZoneChange: (mode) => this.onExportTimeZoneChange?.(mode),
+      onExportOptionChange: (name, value) => this.onExportOptionChange?.(name, value),
+      onNetworkMediaChange: (enabled) => this.onNetworkMediaChange?.(enabled),
+      onEventFilterChange: (name, value) => this.setEventFilter(name, value),
+      onExportChangeFeed: () => this.onExportChangeFeed?.(),
+      onShowSessions: () => this.onShowSessions?.(),
+      onOpenSession: (id) => this.onOpenSession?.(id),
+      onExportSession: (id) => this.onExportSession?.(id),
+      onDeleteSession: (id) => this.onDeleteSession?.(id),
+      onCompareSessions: (beforeId, afterId) => this.onCompareSessions?.(beforeId, afterId),
+      onPauseAutoPilot: () => this.onPauseAutoPilot?.(),
+      onResumeAutoPilot: () => this.onResumeAutoPilot?.(),
+      onCancelAutoPilot: () => this.onCancelAutoPilot?.(),
+      onRetryFailedAutoPilot: () => this.onRetryFailedAutoPilot?.(),
+      onDismissAutoPilot: () => this.onDismissAutoPilot?.(),
+      onExportAutoPilotReport: (format) => this.onExportAutoPilotReport?.(format),
+      onConfirmVideoMatch: (eventId) => this.onConfirmVideoMatch?.(eventId),
+      onRejectVideoMatch: (eventId) => this.onRejectVideoMatch?.(eventId),
+      onExportComparisonCSV: () => this.onExportComparisonCSV?.(),
+      onExportComparisonHtml: () => this.onExportComparisonHtml?.(),
+      onRenameSession: (id, name) => this.onRenameSession?.(id, name),
+      onClearChangeFeed: () => this.onClearChangeFeed?.(),
       onToggleEvents: () => this.toggleEventsList(),
       events: this.events
     };
@@ -104,11 +147,142 @@ export class PopupRenderer {
     this.addCustomStyles();
 
     const content = POPUP_HEADER('🎯AgencySMM', 'Professional Content Extractor Demo Version') +
-                   MAIN_CONTENT(MAIN_SCREEN) +
+                   MAIN_CONTENT(MAIN_SCREEN(this.renderAutoPilotQueue() + this.renderSessionList())) +
                    POPUP_FOOTER(this.footerVersion);
 
     this.container.innerHTML = POPUP_WRAPPER(content);
     this.eventBinder.bindScanButton();
+    this.eventBinder.bindSessionList();
+    this.eventBinder.bindAutoPilotQueue();
+  }
+
+  /**
+   * Renders the Auto Pilot queue with per-item status and the controls that fit its state
+   */
+  renderAutoPilotQueue() {
+    const job = this.autoPilotJob;
+    if (!job) return '';
+
+    const count = (status) => job.items.filter(item => item.status === status).length;
+    const finished = count('done') + count('failed') + count('skipped');
+    const summary = `${job.status} · ${finished}/${job.items.length}` + (count('failed') ? ` · ${count('failed')} failed` : '');
+
+    const buttons = [
+      job.status === 'running' ? AUTOPILOT_QUEUE_BUTTON('autopilot-pause-btn', 'Pause') : '',
+      job.status === 'paused' ? AUTOPILOT_QUEUE_BUTTON('autopilot-resume-btn', 'Resume') : '',
+      ['running', 'paused'].includes(job.status) ? AUTOPILOT_QUEUE_BUTTON('autopilot-cancel-btn', 'Cancel') : '',
+      !job.isProcessing && count('failed') > 0 ? AUTOPILOT_QUEUE_BUTTON('autopilot-retry-btn', 'Retry failed') : '',
+      !job.isProcessing && finished > 0 ? AUTOPILOT_QUEUE_BUTTON('autopilot-report-csv-btn', 'Report CSV') : '',
+      !job.isProcessing && finished > 0 ? AUTOPILOT_QUEUE_BUTTON('autopilot-report-json-btn', 'Report JSON') : '',
+      !job.isProcessing && ['completed', 'cancelled'].includes(job.status) ? AUTOPILOT_QUEUE_BUTTON('autopilot-dismiss-btn', 'Dismiss') : ''
+    ].join('');
+
+    const items = job.items
+      .map(item => AUTOPILOT_QUEUE_ITEM(
+        item.status,
+        this.escapeHtml(item.label),
+        this.escapeHtml(item.error || ''),
+        item.attempts?.length > 1 ? `${item.attempts.length} attempts` : ''
+      ))
+      .join('');
+
+    return AUTOPILOT_QUEUE(summary, buttons, items);
+  }
+
+  /**
+   * Redraws the Auto Pilot panel in place, without re-rendering the rest of the screen
+   */
+  updateAutoPilotQueue() {
+    const panel = this.container.querySelector('#autopilot-queue');
+    const html = this.renderAutoPilotQueue();
+
+    if (panel) {
+      panel.outerHTML = html;
+    } else if (html) {
+      // First job of this screen: show it above the grid or the session list
+      const toggle = this.container.querySelector('.live-scan-toggle');
+      const rangeForm = this.container.querySelector('.scan-container .capture-range');
+      if (toggle) {
+        toggle.insertAdjacentHTML('beforebegin', html);
+      } else if (rangeForm) {
+        rangeForm.insertAdjacentHTML('afterend', html);
+      } else {
+        return;
+      }
+    } else {
+      return;
+    }
+    this.eventBinder.bindAutoPilotQueue();
+  }
+
+  /**
+   * Renders saved capture sessions with open / rename / export / delete controls
+   */
+  renderSessionList() {
+    if (this.sessions.length === 0) return '';
+
+    const items = this.sessions.map(session => {
+      const range = session.rangeStart === session.rangeEnd
+        ? session.rangeStart
+        : `${session.rangeStart} → ${session.rangeEnd}`;
+      const meta = [
+        session.workspaceId ? `Workspace ${session.workspaceId}` : '',
+        range,
+        `${session.eventCount} events`,
+        `captured ${new Date(session.capturedAt).toLocaleString()}`
+      ].filter(Boolean).map(part => this.escapeHtml(part)).join(' · ');
+
+      return SESSION_ITEM(session.id, this.escapeHtml(session.name), meta, session.id === this.currentSessionId);
+    }).join('');
+
+    return SESSION_LIST(items, this.renderSessionCompareForm());
+  }
+
+  /**
+   * Renders the before / after session pickers; defaults to the two newest captures
+   */
+  renderSessionCompareForm() {
+    if (this.sessions.length < 2) return '';
+
+    const options = (selectedId) => this.sessions
+      .map(session => SELECT_OPTION(session.id, this.escapeHtml(session.name), session.id === selectedId))
+      .join('');
+
+    return SESSION_COMPARE_FORM(options(this.sessions[1].id), options(this.sessions[0].id));
+  }
+
+  /**
+   * Renders the change report between two sessions with before/after thumbnails side by side
+   */
+  renderSessionComparison(comparison) {
+    this.addCustomStyles();
+    this.addResultsStyles();
+
+    const describe = (session) => this.escapeHtml(
+      `${session.name} (${session.eventCount} events, captured ${new Date(session.capturedAt).toLocaleString()})`
+    );
+    const stats = Object.entries(comparison.counts)
+      .map(([kind, count]) => COMPARISON_STAT(count, SessionComparison.getKindLabel(kind)))
+      .join('');
+    const side = (event) => {
+      const summary = SessionComparison.summarizeEvent(event);
+      return summary
+        ? COMPARISON_SIDE(this.escapeHtml(summary.thumbnail), this.escapeHtml(summary.time), this.escapeHtml(summary.caption))
+        : COMPARISON_SIDE_MISSING;
+    };
+    const entries = comparison.entries.map(entry => COMPARISON_ENTRY(
+      entry.kinds.map(kind => COMPARISON_KIND(kind, SessionComparison.getKindLabel(kind))).join(''),
+      this.escapeHtml(entry.label),
+      side(entry.beforeEvent),
+      side(entry.afterEvent)
+    )).join('') || COMPARISON_EMPTY;
+
+    const content = POPUP_HEADER('🎯AgencySMM', 'Session Comparison') +
+      RESULTS_CONTENT('', '', '', SESSION_COMPARISON(describe(comparison.before), describe(comparison.after), stats, entries)) +
+      POPUP_FOOTER(this.footerVersion);
+
+    this.container.innerHTML = POPUP_WRAPPER(content);
+    this.eventBinder.bindSessionComparison();
   }
 
   /**
@@ -139,6 +313,18 @@ export class PopupRenderer {
     this.container.innerHTML = POPUP_WRAPPER(content);
   }
 
+  /**
+   * Updates the loading screen with multi-week crawl progress
+   */
+  renderCaptureRangeProgress(message) {
+    const loadingText = this.container.querySelector('.loading-text');
+    if (!loadingText) {
+      this.renderLoadingState();
+      return this.renderCaptureRangeProgress(message);
+    }
+    loadingText.textContent = message;
+  }
+
   /**
    * Binds auto pilot button
    */
@@ -187,9 +373,9 @@ export class PopupRenderer {
     this.addCustomStyles();
     this.addResultsStyles();
 
-    const header = RESULTS_HEADER(RESULTS_TITLE, HEADER_BUTTONS);
+    const header = RESULTS_HEADER(RESULTS_TITLE, HEADER_BUTTONS + CAPTURE_RANGE_FORM);
     const content = (data.events && data.events.length > 0)
-      ? LIVE_SCAN_TOGGLE + this.renderEventsGrid(data.events) + this.renderEventActions(data.events)
+      ? this.renderAutoPilotQueue() + LIVE_SCAN_TOGGLE + this.renderChangeFeed() + this.renderTimeZoneSettings() + this.renderExportOptions() + this.renderCaptureOptions() + this.renderVideoMatches(data.events) + this.renderEventFilters(data.events) + this.renderEventsGrid(data.events) + this.renderEventActions(data.events)
       : NO_RESULTS;
 
     const html = POPUP_WRAPPER(
@@ -200,6 +386,193 @@ export class PopupRenderer {
 
     this.container.innerHTML = html;
     this.eventBinder.bindEventHandlers();
+    this.applyEventFilters();
+  }
+
+  /**
+   * Renders the workspace / export time zone selectors
+   */
+  renderTimeZoneSettings() {
+    const settings = this.timeZoneSettings;
+    if (!settings) return '';
+
+    const detected = settings.detectedTimeZone || settings.localTimeZone;
+    const workspaceOptions = SELECT_OPTION('', `Auto (${detected})`, !settings.workspaceOverride) +
+      settings.timeZones.map(zone => SELECT_OPTION(zone, zone, zone === settings.workspaceOverride)).join('');
+
+    const exportOptions = [
+      SELECT_OPTION('workspace', `Workspace (${settings.workspaceTimeZone})`, settings.exportMode === 'workspace'),
+      SELECT_OPTION('local', `This computer (${settings.localTimeZone})`, settings.exportMode === 'local'),
+      SELECT_OPTION('UTC', 'UTC', settings.exportMode === 'UTC')
+    ].join('');
+
+    return TIME_ZONE_SETTINGS(workspaceOptions, exportOptions);
+  }
+
+  /**
+   * Renders the optional CSV column toggles and the media download preset
+   */
+  renderExportOptions() {
+    if (!this.exportOptions) return '';
+
+    const presetOptions = Object.entries(WorkflowConfig.CLOUDINARY.PRESETS)
+      .map(([name, preset]) => SELECT_OPTION(name, preset.label, name === this.exportOptions.mediaPreset))
+      .join('');
+    return EXPORT_OPTIONS(this.exportOptions.captionColumns, this.exportOptions.statusColumns, this.exportOptions.mediaColumns, presetOptions);
+  }
+
+  /**
+   * Renders the optional capture mode toggles
+   */
+  renderCaptureOptions() {
+    return CAPTURE_OPTIONS(this.networkMediaCapture);
+  }
+
+  /**
+   * Renders the suggested video matches that wait for the user to confirm or reject them
+   */
+  renderVideoMatches(events) {
+    const pending = (events || []).filter(event => event.videoMatch?.status === 'pending');
+    if (pending.length === 0) return '';
+
+    const items = pending.map(event => {
+      const { url, confidence, signals } = event.videoMatch;
+      const reasons = Object.entries(signals)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => `${name} ${Math.round(value * 100)}%`)
+        .join(', ');
+      return VIDEO_MATCH_ITEM(
+        this.escapeHtml(event.id),
+        this.escapeHtml(event.label || 'Unknown Type'),
+        event.imageSrc ? this.escapeHtml(event.imageSrc) : '',
+        this.escapeHtml(url),
+        Math.round(confidence * 100),
+        reasons
+      );
+    }).join('');
+
+    return VIDEO_MATCH_LIST(pending.length, items);
+  }
+
+  /**
+   * Redraws the video match list in place after a scan or a confirm / reject
+   */
+  updateVideoMatches(events) {
+    const panel = this.container.querySelector('#video-matches');
+    const html = this.renderVideoMatches(events);
+
+    if (panel) {
+      panel.outerHTML = html;
+    } else if (html) {
+      const filters = this.container.querySelector('.event-filters');
+      if (!filters) return;
+      filters.insertAdjacentHTML('beforebegin', html);
+    } else {
+      return;
+    }
+    this.eventBinder.bindVideoMatches();
+  }
+
+  /**
+   * Shows HLS / DASH download progress in a corner list that survives screen changes
+   */
+  updateStreamDownloads() {
+    document.getElementById('stream-downloads')?.remove();
+    if (this.streamDownloads.length === 0) return;
+
+    const items = this.streamDownloads.map(job => {
+      const percent = job.total > 0 ? Math.round(job.done / job.total * 100) : 0;
+      const detail = {
+        downloading: `${job.done}/${job.total} segments`,
+        done: 'Saving',
+        failed: this.escapeHtml(job.error || 'Failed')
+      }[job.status] || job.status;
+      return STREAM_DOWNLOAD_ITEM(job.status, this.escapeHtml(job.label || 'Stream'), percent, detail);
+    }).join('');
+
+    document.body.insertAdjacentHTML('beforeend', STREAM_DOWNLOADS(items));
+  }
+
+  /**
+   * Renders the latest live scan changes with field-level before/after values
+   */
+  renderChangeFeed() {
+    if (this.changeFeed.length === 0) return '';
+
+    const shorten = (text) => this.escapeHtml(text.length > 80 ? text.slice(0, 80) + '…' : text) || '—';
+    const items = this.changeFeed.slice(0, 20).map(entry => CHANGE_FEED_ITEM(
+      new Date(entry.at).toLocaleTimeString(),
+      entry.type,
+      this.escapeHtml(entry.label),
+      entry.changes.map(change => CHANGE_FEED_FIELD(change.label, shorten(change.before), shorten(change.after))).join('')
+    )).join('');
+
+    return CHANGE_FEED(this.changeFeed.length, items);
+  }
+
+  /**
+   * Escapes page text for insertion into HTML
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Renders the status / approval / author filters, offering only values present in the events
+   */
+  renderEventFilters(events) {
+    const valuesOf = (field) => [...new Set(events.map(event => event[field]).filter(Boolean))].sort();
+    const options = (field, allText, getLabel) => {
+      const values = valuesOf(field);
+      // Keep a filter that no longer matches anything selectable so it can be cleared
+      if (this.eventFilters[field] && !values.includes(this.eventFilters[field])) {
+        values.push(this.eventFilters[field]);
+      }
+      // Values are scraped page text, so escape them for both the attribute and the label
+      return SELECT_OPTION('', allText, !this.eventFilters[field]) +
+        values.map(value => SELECT_OPTION(this.escapeHtml(value), this.escapeHtml(getLabel(value)), value === this.eventFilters[field])).join('');
+    };
+
+    return EVENT_FILTERS(
+      options('status', 'All statuses', PostStatus.getStatusLabel),
+      options('approval', 'All approvals', PostStatus.getApprovalLabel),
+      options('author', 'All authors', author => author)
+    );
+  }
+
+  /**
+   * Updates one grid filter and re-applies all of them
+   */
+  setEventFilter(name, value) {
+    this.eventFilters[name] = value;
+    this.applyEventFilters();
+  }
+
+  /**
+   * Hides event cards that don't match the active filters and updates the count
+   */
+  applyEventFilters() {
+    const cards = this.container.querySelectorAll('.event-card[data-index]');
+    let visible = 0;
+
+    cards.forEach(card => {
+      const event = this.events[parseInt(card.dataset.index, 10)];
+      const matches = !!event && Object.entries(this.eventFilters)
+        .every(([field, value]) => !value || event[field] === value);
+      card.style.display = matches ? '' : 'none';
+      if (matches) visible++;
+    });
+
+    const countText = this.container.querySelector('.events-count-text');
+    if (countText) {
+      countText.textContent = visible === cards.length
+        ? `Found ${cards.length} events`
+        : `Showing ${visible} of ${cards.length} events`;
+    }
   }
 
   /**
@@ -247,8 +620,14 @@ export class PopupRenderer {
     if (label.includes('Story')) typeIcon = '⭕';
     if (label.includes('Email')) typeIcon = '📧';
 
+    const statusBadges = [
+      event.status ? STATUS_BADGE(this.escapeHtml(PostStatus.getStatusLabel(event.status)), this.escapeHtml(event.status)) : '',
+      event.approval ? STATUS_BADGE(this.escapeHtml(PostStatus.getApprovalLabel(event.approval)), this.escapeHtml(event.approval)) : '',
+      event.author ? STATUS_BADGE(`👤 ${this.escapeHtml(event.author)}`, 'author') : ''
+    ].join('');
+
     const imageHtml = event.imageSrc ? EVENT_IMAGE(event.imageSrc) : EVENT_NO_IMAGE(typeIcon);
-    return EVENT_CARD(index, imageHtml, label, platformsHtml, descTruncated, event.videoDuration, event.timestamp, event.hasVideo, event.eventUrl);
+    return EVENT_CARD(index, imageHtml, label, platformsHtml, descTruncated, event.videoDuration, event.timestamp, event.hasVideo, event.eventUrl, statusBadges);
   }
 
   /**
@@ -303,7 +682,9 @@ export class PopupRenderer {
       eventData.platforms,
       eventData.timestamp,
       eventData.description || '',
-      actions
+      actions,
+      this.renderCaptionChips(eventData),
+      this.renderMediaInfo(eventData)
     );
 
     this.applyTheme();
@@ -311,6 +692,38 @@ export class PopupRenderer {
     this.updateMediaDisplay(eventData);
   }
 
+  /**
+   * Renders hashtag, mention, link and emoji chips for the detail view
+   */
+  renderCaptionChips(eventData) {
+    if (eventData.charCount === undefined) return '';
+
+    const chips = [
+      ...(eventData.hashtags || []).map(tag => CAPTION_CHIP(this.escapeHtml(tag), '#00a8ff')),
+      ...(eventData.mentions || []).map(mention => CAPTION_CHIP(this.escapeHtml(mention), '#00d4aa')),
+      ...(eventData.urls || []).map(url => CAPTION_CHIP(this.escapeHtml(url), '#ff9f43')),
+      ...(eventData.emojis || []).map(emoji => CAPTION_CHIP(this.escapeHtml(emoji), '#808080'))
+    ].join('');
+
+    return CAPTION_CHIPS(chips, eventData.charCount, eventData.wordCount);
+  }
+
+  /**
+   * Renders the probed media summary for the detail view
+   */
+  renderMediaInfo(eventData) {
+    return MEDIA_INFO(this.escapeHtml(eventData.id || ''), this.escapeHtml(MediaProbe.describe(eventData.mediaInfo)));
+  }
+
+  /**
+   * Refreshes the media summary when the event's detail view is open
+   */
+  updateMediaInfo(eventData) {
+    const mediaInfo = this.container.querySelector('#media-info');
+    if (!mediaInfo || mediaInfo.dataset.eventId !== (eventData.id || '')) return;
+    mediaInfo.outerHTML = this.renderMediaInfo(eventData);
+  }
+
   /**
    * Renders action buttons for event detail view
    */
@@ -468,6 +881,9 @@ export class PopupRenderer {
     } else if (type === 'error') {
       bgColor = colors.error;
       borderColor = colors.error;
+    } else if (type === 'warning') {
+      bgColor = colors.warning;
+      borderColor = colors.warning;
     } else {
       bgColor = colors.info;
       borderColor = colors.info;
@@ -526,9 +942,9 @@ export class PopupRenderer {
       notification.style.transform = 'translateX(-50%) translateY(0)';
     }, 10);
 
-    // Auto hide after 4 seconds
+    // Auto hide after 4 seconds; warnings stay until closed
     setTimeout(() => {
-      if (notification.parentElement) {
+      if (type !== 'warning' && notification.parentElement) {
         notification.style.opacity = '0';
         notification.style.transform = 'translateX(-50%) translateY(20px)';
         setTimeout(() => notification.remove(), 400);
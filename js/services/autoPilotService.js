@@ -1,13 +1,54 @@
+import { CaptionParser } from '../utils/CaptionParser.js';
+import { EventMedia } from '../utils/EventMedia.js';
+import { RetryPolicy } from '../utils/RetryPolicy.js';
+import { AutoPilotReport } from '../utils/AutoPilotReport.js';
+import { DownloadManager } from '../utils/DownloadManager.js';
+
 /**
  * Auto Pilot Service - Manages automatic crawling and content extraction
+ * A run is a job queue persisted in chrome.storage.local: one item per event with its own
+ * status (pending / running / done / failed / skipped). The queue can be paused, resumed,
+ * cancelled or have its failed items retried, and it survives the side panel closing -
+ * an interrupted run comes back paused, tied to the capture session it was updating.
+ * Each item is retried with the 'detail' RetryPolicy and keeps a record of every attempt, which
+ * the run report (JSON or CSV) lists next to the fields it filled.
  */
 export class AutoPilotService {
+    /**
+     * Fields AutoPilot copies from the detail view onto the event
+     */
+    static DETAIL_FIELDS = ['videoSrc', 'imageSrc', 'imageSrcs', 'fullDescription', 'status', 'approval', 'author', 'linkUrl'];
+
     constructor(controller) {
         this.controller = controller;
+        this.job = null; // { id, sessionId, status, items, createdAt, updatedAt }
+        this.isProcessing = false; // A processing loop is active in this panel
+        this.downloadManager = new DownloadManager();
+    }
+
+    /**
+     * Loads a job left over from an earlier panel; a run that was interrupted comes back paused
+     */
+    async initAutoPilot() {
+        try {
+            const result = await chrome.storage.local.get('autoPilotJob');
+            this.job = result.autoPilotJob || null;
+        } catch (error) {
+            console.error('Failed to load Auto Pilot job:', error);
+        }
+
+        if (this.job?.status === 'running') {
+            this.job.status = 'paused';
+            this.job.items.forEach(item => {
+                if (item.status === 'running') item.status = 'pending';
+            });
+            await this.saveJob();
+        }
+        this.publishJob();
     }
 
     /**
-     * Auto Pilot: Automatically crawls all items to extract full details
+     * Auto Pilot: Queues every event that may have more detail and starts working through it
      */
     async handleAutoPilot() {
         try {
@@ -16,152 +57,317 @@ export class AutoPilotService {
                 return;
             }
 
-            await this.controller.updateActiveTab();
+            if (this.isProcessing) {
+                this.controller.renderer.showMessage('Auto Pilot is already running', 'info');
+                return;
+            }
 
             // Filter events that have video or need extraction
             const eventsToProcess = this.controller.events
-                .map((event, index) => ({ event, index }))
-                .filter(({ event }) => event.hasVideo || event.eventUrl);
+                .filter(event => event.hasVideo || event.eventUrl);
 
             if (eventsToProcess.length === 0) {
                 this.controller.renderer.showMessage('No events with video found', 'info');
                 return;
             }
 
+            const now = new Date().toISOString();
+            this.job = {
+                id: `autopilot_${Date.now()}`,
+                sessionId: this.controller.sessionService.currentSession?.id || null,
+                status: 'running',
+                items: eventsToProcess.map(event => ({
+                    eventId: event.id,
+                    label: event.label || 'Untitled',
+                    status: 'pending',
+                    error: '',
+                    attemptedFields: AutoPilotReport.getWantedFields(event),
+                    filledFields: [],
+                    durationMs: 0,
+                    attempts: []
+                })),
+                createdAt: now,
+                updatedAt: now
+            };
+            await this.saveJob();
+
             this.controller.renderer.showMessage(`Starting Auto Pilot: Processing ${eventsToProcess.length} events...`, 'info');
+            await this.processQueue();
 
-            let processedCount = 0;
-            let successCount = 0;
-            let failCount = 0;
-
-            // Process each event sequentially
-            const processNext = async () => {
-                if (processedCount >= eventsToProcess.length) {
-                    // All done
-                    this.controller.renderer.showMessage(
-                        `Auto Pilot Complete! Processed: ${processedCount}, Success: ${successCount}, Failed: ${failCount}`,
-                        'success'
-                    );
-
-                    // Refresh the grid view with updated data
-                    const data = { events: this.controller.events };
-                    this.controller.renderer.renderDataGrid(data);
-                    return;
-                }
+        } catch (error) {
+            console.error('Auto Pilot failed:', error);
+            this.controller.renderer.showMessage('Auto Pilot failed: ' + error.message, 'error');
+        }
+    }
 
-                const { event, index } = eventsToProcess[processedCount];
-                processedCount++;
+    /**
+     * Stops after the item in progress; the rest stay pending
+     */
+    async handlePause() {
+        if (this.job?.status !== 'running') return;
+
+        this.job.status = 'paused';
+        await this.saveJob();
+        this.controller.renderer.showMessage('Auto Pilot paused', 'info');
+    }
 
+    /**
+     * Continues a paused job, reopening its capture session first if the panel was closed
+     */
+    async handleResume() {
+        if (this.job?.status !== 'paused') return;
+
+        // Paused while an item was still in progress: the loop hasn't exited yet, just keep it going
+        if (this.isProcessing) {
+            this.job.status = 'running';
+            await this.saveJob();
+            return;
+        }
+
+        try {
+            if (!await this.restoreJobSession()) {
+                this.controller.renderer.showMessage('The events for this Auto Pilot run are no longer available', 'error');
+                return;
+            }
+
+            this.job.status = 'running';
+            await this.saveJob();
+            this.controller.renderer.showMessage('Auto Pilot resumed', 'info');
+            await this.processQueue();
+        } catch (error) {
+            console.error('Auto Pilot resume failed:', error);
+            this.controller.renderer.showMessage('Auto Pilot failed: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Stops the job and marks every item not yet processed as skipped
+     */
+    async handleCancel() {
+        if (!this.job || !['running', 'paused'].includes(this.job.status)) return;
+
+        this.job.status = 'cancelled';
+        this.job.items.forEach(item => {
+            if (item.status === 'pending') item.status = 'skipped';
+        });
+        await this.saveJob();
+        this.controller.renderer.showMessage('Auto Pilot cancelled', 'info');
+    }
+
+    /**
+     * Puts failed items back in the queue and runs them again
+     */
+    async handleRetryFailed() {
+        if (!this.job || this.isProcessing) return;
+
+        const failed = this.job.items.filter(item => item.status === 'failed');
+        if (failed.length === 0) return;
+
+        failed.forEach(item => {
+            item.status = 'pending';
+            item.error = '';
+        });
+        this.job.status = 'paused';
+        await this.handleResume();
+    }
+
+    /**
+     * Forgets a finished job and hides its panel
+     */
+    async handleDismiss() {
+        if (!this.job || this.isProcessing) return;
+
+        this.job = null;
+        try {
+            await chrome.storage.local.remove('autoPilotJob');
+        } catch (error) {
+            console.error('Failed to clear Auto Pilot job:', error);
+        }
+        this.publishJob();
+    }
+
+    /**
+     * Works through pending items until the queue is empty or the job is paused / cancelled
+     */
+    async processQueue() {
+        if (this.isProcessing) return;
+        this.isProcessing = true;
+
+        try {
+            await this.controller.updateActiveTab();
+
+            while (this.job?.status === 'running') {
+                const item = this.job.items.find(entry => entry.status === 'pending');
+                if (!item) {
+                    this.job.status = 'completed';
+                    await this.saveJob();
+                    this.reportCompletion();
+                    break;
+                }
+
+                const position = this.job.items.indexOf(item) + 1;
                 this.controller.renderer.showMessage(
-                    `Processing ${processedCount}/${eventsToProcess.length}: ${event.label || 'Untitled'}`,
+                    `Processing ${position}/${this.job.items.length}: ${item.label}`,
                     'info'
                 );
 
-                try {
-                    // Execute script to navigate and extract
-                    const results = await chrome.scripting.executeScript({
-                        target: { tabId: this.controller.tabId },
-                        func: async (eventUrl) => {
-                            // Helper to wait
-                            const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-                            // Find the event card by URL
-                            const eventContainers = Array.from(document.querySelectorAll('[class*="CalendarEventCard_eventContainer"]'))
-                                .filter(el => el.offsetWidth > 0 && el.offsetHeight > 0);
-
-                            // Find the matching container
-                            let targetContainer = null;
-                            for (const container of eventContainers) {
-                                const linkEl = container.closest('a') || container.querySelector('a');
-                                if (linkEl && linkEl.href === eventUrl) {
-                                    targetContainer = container;
-                                    break;
-                                }
-                            }
-
-                            if (!targetContainer) {
-                                throw new Error('Event card not found');
-                            }
-
-                            // Click to open detail view
-                            const linkEl = targetContainer.closest('a') || targetContainer.querySelector('a');
-                            if (linkEl) {
-                                linkEl.click();
-                            } else {
-                                targetContainer.click();
-                            }
-
-                            // Wait for detail view to load
-                            await wait(2500);
-
-                            // Extract video from detail view
-                            const videoEl = document.querySelector('video');
-                            const videoSrc = videoEl?.src || videoEl?.querySelector('source')?.src || null;
-
-                            // Extract image if no video
-                            const imgEl = document.querySelector('[class*="DetailView"] img, [class*="Modal"] img');
-                            const imageSrc = imgEl?.src || null;
-
-                            // Extract full description
-                            const descEl = document.querySelector('[class*="DetailView"] [class*="description"], [class*="Modal"] [class*="description"]');
-                            const fullDescription = descEl?.textContent?.trim() || '';
-
-                            // Close the detail view
-                            const closeBtn = document.querySelector('[class*="Modal"] button[class*="close"], [class*="DetailView"] button[class*="close"]');
-                            if (closeBtn) {
-                                closeBtn.click();
-                                await wait(500);
-                            } else {
-                                // Try pressing Escape
-                                document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27 }));
-                                await wait(500);
-                            }
-
-                            return {
-                                videoSrc,
-                                imageSrc,
-                                fullDescription,
-                                extracted: true
-                            };
-                        },
-                        args: [event.eventUrl],
-                        world: 'MAIN'
-                    });
-
-                    const extractedData = results[0].result;
-
-                    // Update event with extracted data
-                    if (extractedData.videoSrc) {
-                        this.controller.events[index].videoSrc = extractedData.videoSrc;
-                    }
-                    if (extractedData.imageSrc && !this.controller.events[index].imageSrc) {
-                        this.controller.events[index].imageSrc = extractedData.imageSrc;
-                    }
-                    if (extractedData.fullDescription) {
-                        this.controller.events[index].fullDescription = extractedData.fullDescription;
-                    }
-
-                    successCount++;
-
-                } catch (error) {
-                    console.error(`Failed to process event ${index}:`, error);
-                    failCount++;
-                }
+                item.status = 'running';
+                await this.saveJob();
+
+                await this.processItem(item);
+                await this.saveJob();
+                this.controller.sessionService.scheduleSave();
+            }
+        } finally {
+            this.isProcessing = false;
+            this.publishJob();
+        }
+    }
 
-                // Wait a bit before processing next
-                await new Promise(resolve => setTimeout(resolve, 1000));
+    /**
+     * Opens one event's detail view and copies what it shows onto the event
+     * @param {Object} item - Queue item (status is updated in place)
+     */
+    async processItem(item) {
+        // Look the event up by ID - live scan or a reopened session may have replaced the array
+        const target = this.controller.events.find(event => event.id === item.eventId);
+        if (!target) {
+            item.status = 'skipped';
+            item.error = 'Event is no longer in the capture';
+            return;
+        }
 
-                // Process next event
-                await processNext();
-            };
+        const startedAt = Date.now();
+        const previous = Object.fromEntries(AutoPilotService.DETAIL_FIELDS.map(field => [field, JSON.stringify(target[field])]));
 
-            // Start processing
-            await processNext();
+        try {
+            const options = { close: true, ...await this.controller.networkMediaService.getDetailOptions() };
 
+            // Open the card, read the detail view once it has loaded and close it again
+            const extractedData = await RetryPolicy.run(
+                'detail',
+                () => this.controller.pageScriptRunner.run('extractEventDetail', item.eventId, options),
+                { onAttempt: (record) => this.recordAttempt(item, record) }
+            );
+
+            if (extractedData.videoSrc) {
+                target.videoSrc = extractedData.videoSrc;
+            }
+            if (extractedData.imageSrc && !target.imageSrc) {
+                target.imageSrc = extractedData.imageSrc;
+            }
+            // The detail view shows every carousel slide, the card usually only the first
+            if (extractedData.imageSrcs?.length > EventMedia.getImageUrls(target).length) {
+                target.imageSrcs = extractedData.imageSrcs;
+            }
+            if (extractedData.fullDescription) {
+                target.fullDescription = extractedData.fullDescription;
+                Object.assign(target, CaptionParser.parse(extractedData.fullDescription));
+            }
+            // The detail view knows status, approval, author and link better than the card
+            ['status', 'approval', 'author', 'linkUrl'].forEach(field => {
+                if (extractedData[field]) target[field] = extractedData[field];
+            });
+
+            item.status = 'done';
         } catch (error) {
-            console.error('Auto Pilot failed:', error);
-            this.controller.renderer.showMessage('Auto Pilot failed: ' + error.message, 'error');
+            console.error(`Failed to process event ${item.eventId}:`, error);
+            item.status = 'failed';
+            item.error = error.message;
+
+            // A closed tab or an ended Blaze login would fail every remaining item the same way
+            if (RetryPolicy.isFatal(error) && this.job.status === 'running') {
+                this.job.status = 'paused';
+                this.controller.renderer.showMessage(`Auto Pilot paused: ${error.message}`, 'error');
+            }
+        }
+
+        // Retried items add to what earlier runs filled and to their time
+        const filled = AutoPilotService.DETAIL_FIELDS.filter(field => target[field] && JSON.stringify(target[field]) !== previous[field]);
+        item.filledFields = [...new Set([...(item.filledFields || []), ...filled])];
+        item.durationMs = (item.durationMs || 0) + Date.now() - startedAt;
+    }
+
+    /**
+     * Adds an attempt to the item's history and shows it in the queue panel
+     * @param {Object} item - Queue item
+     * @param {Object} record - Attempt record from RetryPolicy
+     */
+    recordAttempt(item, record) {
+        item.attempts = [...(item.attempts || []), record];
+        this.publishJob();
+    }
+
+    /**
+     * Makes sure the job's events are loaded, reopening its saved session if needed
+     * @returns {Promise<boolean>} True if the events are available
+     */
+    async restoreJobSession() {
+        const sessionService = this.controller.sessionService;
+        const hasEvents = () => this.job.items.some(item => this.controller.events.some(event => event.id === item.eventId));
+
+        if (this.job.sessionId && sessionService.currentSession?.id !== this.job.sessionId) {
+            await sessionService.handleOpen(this.job.sessionId);
         }
+        return hasEvents();
+    }
+
+    /**
+     * Shows the final tally and refreshes the grid with the updated data
+     */
+    reportCompletion() {
+        const count = (status) => this.job.items.filter(item => item.status === status).length;
+        this.controller.renderer.showMessage(
+            `Auto Pilot Complete! Processed: ${this.job.items.length}, Success: ${count('done')}, Failed: ${count('failed')}, Skipped: ${count('skipped')}`,
+            'success'
+        );
+
+        this.controller.renderer.renderDataGrid({ events: this.controller.events });
+        this.controller.liveScanService.bindLiveScanToggle();
+    }
+
+    /**
+     * Downloads the run report for the current job
+     * @param {string} format - 'json' or 'csv'
+     */
+    async handleExportReport(format) {
+        if (!this.job) return;
+
+        try {
+            const report = AutoPilotReport.build(this.job, this.controller.events);
+            const content = format === 'csv'
+                ? this.downloadManager.fileGenerator.generateAutoPilotReportCSV(report)
+                : JSON.stringify(report, null, 2);
+            const mimeType = format === 'csv' ? 'text/csv;charset=utf-8;' : 'application/json';
+            const filename = `autopilot_report_${this.downloadManager.generateTimestamp()}.${format}`;
+
+            await this.downloadManager.downloadBlobAsFile(content, filename, mimeType);
+            this.controller.renderer.showMessage(`Auto Pilot report saved (${report.items.length} events, ${report.counts.failed} failed)`, 'success');
+        } catch (error) {
+            console.error('Auto Pilot report export failed:', error);
+            this.controller.renderer.showMessage('Failed to export Auto Pilot report: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Persists the job and refreshes its panel
+     */
+    async saveJob() {
+        this.job.updatedAt = new Date().toISOString();
+        try {
+            await chrome.storage.local.set({ autoPilotJob: this.job });
+        } catch (error) {
+            console.error('Failed to save Auto Pilot job:', error);
+        }
+        this.publishJob();
+    }
+
+    /**
+     * Hands the job to the renderer and redraws the queue panel
+     */
+    publishJob() {
+        this.controller.renderer.autoPilotJob = this.job ? { ...this.job, isProcessing: this.isProcessing } : null;
+        this.controller.renderer.updateAutoPilotQueue();
     }
 
     /**
@@ -0,0 +1,67 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { EventDiff } from '../utils/EventDiff.js';
+import { CSVExporter } from '../utils/csvExporter.js';
+
+/**
+ * Change Feed Service - Keeps a timestamped log of what live scan saw change
+ * Every live scan update is diffed against the events held before it; entries list
+ * added, removed and modified events with field-level before/after values.
+ */
+export class ChangeFeedService {
+    constructor(controller) {
+        this.controller = controller;
+        this.entries = []; // Newest first
+    }
+
+    /**
+     * Diffs two versions of the event list and logs the differences
+     * @param {Array<Object>} previousEvents - Events before the update
+     * @param {Array<Object>} currentEvents - Events after the update
+     * @returns {Array<Object>} The new entries
+     */
+    record(previousEvents, currentEvents) {
+        const at = new Date().toISOString();
+        const newEntries = EventDiff.diff(previousEvents, currentEvents).map(entry => ({ at, ...entry }));
+
+        if (newEntries.length > 0) {
+            this.entries = [...newEntries, ...this.entries].slice(0, WorkflowConfig.LIMITS.MAX_CHANGE_FEED_ENTRIES);
+            this.publishFeed();
+        }
+        return newEntries;
+    }
+
+    /**
+     * Empties the change log
+     */
+    handleClear() {
+        this.entries = [];
+        this.publishFeed();
+        this.controller.renderer.renderDataGrid({ events: this.controller.events });
+        this.controller.liveScanService.bindLiveScanToggle();
+    }
+
+    /**
+     * Downloads the change log as CSV
+     */
+    handleExport() {
+        if (this.entries.length === 0) {
+            this.controller.renderer.showMessage('No changes recorded yet', 'info');
+            return;
+        }
+
+        try {
+            CSVExporter.exportChangeFeed(this.entries);
+            this.controller.renderer.showMessage(`Exported ${this.entries.length} changes`, 'success');
+        } catch (error) {
+            console.error('Change feed export failed:', error);
+            this.controller.renderer.showMessage('Failed to export changes: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Hands the entries to the renderer for the change feed panel
+     */
+    publishFeed() {
+        this.controller.renderer.changeFeed = this.entries;
+    }
+}
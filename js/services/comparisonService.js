@@ -0,0 +1,97 @@
+import { SessionComparison } from '../utils/SessionComparison.js';
+import { DownloadManager } from '../utils/DownloadManager.js';
+
+/**
+ * Comparison Service - Compares two saved capture sessions
+ * Shows the events added, removed, rescheduled or re-captioned between two captures and
+ * exports the result as a CSV or HTML change report built by FileGenerator.
+ */
+export class ComparisonService {
+    constructor(controller) {
+        this.controller = controller;
+        this.downloadManager = new DownloadManager();
+        this.comparison = null; // Last comparison shown
+    }
+
+    /**
+     * Loads both sessions, compares them and shows the result
+     * @param {string} beforeId - Session ID of the earlier capture
+     * @param {string} afterId - Session ID of the later capture
+     */
+    async handleCompare(beforeId, afterId) {
+        if (!beforeId || !afterId || beforeId === afterId) {
+            this.controller.renderer.showMessage('Choose two different sessions to compare', 'info');
+            return;
+        }
+
+        try {
+            const store = this.controller.sessionService.store;
+            const [beforeSession, afterSession] = await Promise.all([store.get(beforeId), store.get(afterId)]);
+            if (!beforeSession || !afterSession) {
+                this.controller.renderer.showMessage('Session not found', 'error');
+                return;
+            }
+
+            this.comparison = SessionComparison.compare(beforeSession, afterSession);
+            this.controller.renderer.renderSessionComparison(this.comparison);
+        } catch (error) {
+            console.error('Session comparison failed:', error);
+            this.controller.renderer.showMessage('Failed to compare sessions: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Downloads the change report as CSV
+     */
+    async handleExportCSV() {
+        if (!this.hasComparison()) return;
+
+        await this.exportReport(
+            this.downloadManager.fileGenerator.generateComparisonCSV(this.comparison),
+            'csv',
+            'text/csv;charset=utf-8;'
+        );
+    }
+
+    /**
+     * Downloads the change report as a standalone HTML page
+     */
+    async handleExportHtml() {
+        if (!this.hasComparison()) return;
+
+        await this.exportReport(
+            this.downloadManager.fileGenerator.generateComparisonHtml(this.comparison),
+            'html',
+            'text/html'
+        );
+    }
+
+    /**
+     * Checks that a comparison has been run before exporting it
+     * @returns {boolean} True when there is a comparison to export
+     */
+    hasComparison() {
+        if (!this.comparison) {
+            this.controller.renderer.showMessage('Compare two sessions first', 'info');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Saves a generated report
+     * @param {string} content - File content
+     * @param {string} extension - 'csv' or 'html'
+     * @param {string} mimeType - MIME type
+     */
+    async exportReport(content, extension, mimeType) {
+        try {
+            const filename = `calendar_changes_${this.downloadManager.generateTimestamp()}.${extension}`;
+            await this.downloadManager.downloadBlobAsFile(content, filename, mimeType);
+            this.controller.renderer.showMessage(`Change report saved (${this.comparison.entries.length} changes)`, 'success');
+        } catch (error) {
+            console.error('Change report export failed:', error);
+            this.controller.renderer.showMessage('Failed to export change report: ' + error.message, 'error');
+        }
+    }
+}
@@ -0,0 +1,75 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+
+/**
+ * Export Options Service - Stores which optional columns the CSV exports include and which
+ * Cloudinary rendition media downloads use
+ */
+export class ExportOptionsService {
+    constructor(controller) {
+        this.controller = controller;
+        this.options = {
+            captionColumns: false, // Plain text, hashtags, mentions, URLs, emojis and counts
+            statusColumns: false, // Post status, approval state and author
+            mediaColumns: false, // Probed size, MIME type, dimensions, duration and codec
+            mediaPreset: WorkflowConfig.CLOUDINARY.DEFAULT_PRESET // Key of WorkflowConfig.CLOUDINARY.PRESETS
+        };
+    }
+
+    /**
+     * Loads stored export options
+     */
+    async initExportOptions() {
+        try {
+            const result = await chrome.storage.local.get('exportOptions');
+            this.options = { ...this.options, ...(result.exportOptions || {}) };
+        } catch (error) {
+            console.error('Failed to load export options:', error);
+        }
+        this.publishOptions();
+    }
+
+    /**
+     * Changes an export option
+     * @param {string} name - Option name (e.g. 'captionColumns')
+     * @param {boolean|string} value - New value (a preset key for 'mediaPreset')
+     */
+    async setOption(name, value) {
+        this.options[name] = value;
+        try {
+            await chrome.storage.local.set({ exportOptions: this.options });
+        } catch (error) {
+            console.error('Failed to save export options:', error);
+        }
+        this.publishOptions();
+    }
+
+    /**
+     * Options handed to the CSV exporters, including the output time zone
+     * @returns {Object} { timeZone, captionColumns, statusColumns, mediaColumns }
+     */
+    getCsvOptions() {
+        return {
+            timeZone: this.controller.timeZoneService.getExportTimeZone(),
+            captionColumns: this.options.captionColumns,
+            statusColumns: this.options.statusColumns,
+            mediaColumns: this.options.mediaColumns
+        };
+    }
+
+    /**
+     * Cloudinary preset the media downloads are rewritten to
+     * @returns {string} Key of WorkflowConfig.CLOUDINARY.PRESETS
+     */
+    getMediaPreset() {
+        return WorkflowConfig.CLOUDINARY.PRESETS[this.options.mediaPreset]
+            ? this.options.mediaPreset
+            : WorkflowConfig.CLOUDINARY.DEFAULT_PRESET;
+    }
+
+    /**
+     * Hands the current options to the renderer for the export option toggles
+     */
+    publishOptions() {
+        this.controller.renderer.exportOptions = { ...this.options };
+    }
+}
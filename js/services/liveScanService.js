@@ -1,10 +1,19 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { EventIdentity } from '../utils/EventIdentity.js';
+import { DateResolver } from '../utils/DateResolver.js';
+
 /**
  * Live Scan Service - Manages live scanning functionality
+ * The page runs a LiveCardObserver that streams card changes over a runtime port;
+ * this service applies them to controller.events by event ID.
  */
 export class LiveScanService {
     constructor(controller) {
         this.controller = controller;
-        this.liveScanInterval = null;
+        this.port = null;
+        this.portName = null; // Set while a watch is requested or running
+        this.portListener = null;
+        this.reconnectTimer = null;
     }
 
     /**
@@ -40,6 +49,11 @@ export class LiveScanService {
 
         // Set initial state
         checkbox.checked = this.controller.isLiveScanning;
+
+        // Resume a live scan left switched on
+        if (this.controller.isLiveScanning && !this.portName) {
+            this.startLiveScanning().catch(error => console.warn('Live scan could not start:', error.message));
+        }
     }
 
     /**
@@ -53,8 +67,8 @@ export class LiveScanService {
             await chrome.storage.local.set({ liveScanningEnabled: enabled });
 
             if (enabled) {
-                this.startLiveScanning();
-                this.controller.renderer.showMessage('Live scanning started - scanning every 1 second', 'success');
+                await this.startLiveScanning();
+                this.controller.renderer.showMessage('Live scanning started - watching the calendar for changes', 'success');
             } else {
                 this.stopLiveScanning();
                 this.controller.renderer.showMessage('Live scanning stopped', 'info');
@@ -68,162 +82,145 @@ export class LiveScanService {
     }
 
     /**
-     * Starts the live scanning interval
+     * Starts the in-page observer and waits for it to connect back
      */
-    startLiveScanning() {
-        if (this.liveScanInterval) {
-            clearInterval(this.liveScanInterval);
-        }
-
-        // Scan every 1 second
-        this.liveScanInterval = setInterval(async () => {
-            try {
-                // Only scan if popup is still open
-                if (!this.controller.container || !this.controller.container.isConnected) {
-                    this.stopLiveScanning();
-                    return;
-                }
-
-                // Perform silent capture
-                const results = await chrome.scripting.executeScript({
-                    target: { tabId: this.controller.tabId },
-                    func: () => {
-                        // Inline data extraction function
-                        const extractEvents = () => {
-                            const eventContainers = Array.from(document.querySelectorAll('[class*="CalendarEventCard_eventContainer"]'))
-                                .filter(el => el.offsetWidth > 0 && el.offsetHeight > 0);
-
-                            return eventContainers.map((container, index) => {
-                                // Extract label
-                                const channelContainer = container.querySelector('[class*="CalendarEventCard_channelContainer"]');
-                                const labelSpan = channelContainer?.querySelector('span[class*="Text_root_"]') ||
-                                    container.querySelector('span[class*="Text_root_"]');
-                                const label = labelSpan?.textContent?.trim() || 'No Label';
-
-                                // Extract platforms
-                                const platformIcons = container.querySelectorAll('.Icon_platformIcon__d7da4');
-                                const platforms = Array.from(platformIcons).map(icon => {
-                                    const classes = icon.className;
-                                    if (classes.includes('facebookIcon')) return 'Facebook';
-                                    if (classes.includes('linkedinIcon')) return 'LinkedIn';
-                                    if (classes.includes('instagramIcon')) return 'Instagram';
-                                    if (classes.includes('youtubeIcon')) return 'YouTube';
-                                    if (classes.includes('xIcon')) return 'X';
-                                    return '';
-                                }).filter(p => p).join(', ');
-
-                                // Extract timestamp
-                                const eventHeader = container.querySelector('[class*="CalendarEventCard_eventHeader"]');
-                                const timeSpans = eventHeader?.querySelectorAll('span[class*="Text_root_"]');
-                                const timestamp = timeSpans && timeSpans.length > 1 ? timeSpans[1]?.textContent?.trim() : '';
-
-                                // Extract description
-                                const descDiv = container.querySelector('[class*="TruncatedText_caption"]');
-                                const description = descDiv?.textContent?.trim() || '';
-
-                                // Extract image
-                                const img = container.querySelector('img');
-                                const imageSrc = (img && !img.src.startsWith('data:') && img.offsetWidth > 50) ? img.src : null;
-
-                                // Extract video info
-                                const hasPlayOverlay = !!container.querySelector('.CalendarEventCard_playButtonOverlay__335fa');
-                                const hasVideoContainer = !!container.querySelector('[class*="VideoPlayer_videoContainer"]');
-                                const hasVideoTag = !!container.querySelector('video');
-                                const hasVideo = hasPlayOverlay || hasVideoContainer || hasVideoTag;
-                                const videoSrc = hasVideo ? 'VIDEO DETECTADO' : null;
-
-                                // Extract URL
-                                const linkEl = container.closest('a') || container.querySelector('a');
-                                const eventUrl = linkEl?.href || null;
-
-                                // Extract metadata
-                                const cardClasses = container.className || '';
-                                const cardIndex = index + 1;
-                                const isNew = cardClasses.includes('CalendarEventCard_new__335fa');
-
-                                return {
-                                    label,
-                                    platforms,
-                                    timestamp,
-                                    description,
-                                    imageSrc,
-                                    videoSrc,
-                                    hasVideo,
-                                    isNew,
-                                    cardIndex,
-                                    eventUrl,
-                                    cardClasses
-                                };
-                            });
-                        };
-
-                        return { events: extractEvents() };
-                    },
-                    world: 'MAIN'
-                });
-
-                const data = results[0].result;
-                const newEventsCount = data.events.length;
-                const previousCount = this.controller.events.length;
-
-                // Only update if we found new content or better content
-                if (newEventsCount > previousCount || this.hasBetterContent(data.events, this.controller.events)) {
-                    this.controller.events = data.events;
-                    console.log('Live scan update:', newEventsCount, 'events detected');
-
-                    // Refresh the display if we're in grid view
-                    if (this.controller.container.querySelector('.events-grid')) {
-                        this.controller.renderer.renderDataGrid(data);
-                        this.controller.renderer.showMessage(`Live scan: ${newEventsCount} events found`, 'info');
-                    }
-                }
-            } catch (error) {
-                console.warn('Live scan failed:', error.message);
-                // Don't show error messages for live scanning to avoid spam
+    async startLiveScanning() {
+        this.stopLiveScanning();
+
+        const portName = `live-scan:${this.controller.tabId}:${Date.now()}`;
+        this.portName = portName;
+        this.portListener = (port) => {
+            if (port.name === portName) {
+                this.attachPort(port);
             }
-        }, 1000); // Every 1 second
+        };
+        chrome.runtime.onConnect.addListener(this.portListener);
+
+        try {
+            await this.controller.pageScriptRunner.run('watchEvents', portName);
+        } catch (error) {
+            this.stopLiveScanning();
+            throw error;
+        }
     }
 
     /**
-     * Stops the live scanning interval
+     * Stops the observer by closing its port
      */
     stopLiveScanning() {
-        if (this.liveScanInterval) {
-            clearInterval(this.liveScanInterval);
-            this.liveScanInterval = null;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.portListener) {
+            chrome.runtime.onConnect.removeListener(this.portListener);
+            this.portListener = null;
+        }
+
+        // Closing our end disconnects the page, which stops its observer
+        this.port?.disconnect();
+        this.port = null;
+
+        if (this.portName) {
+            this.portName = null;
             console.log('Live scanning stopped');
         }
     }
 
     /**
-     * Checks if new data has better or more complete content than existing data
+     * Takes over the port the page opened
+     * @param {chrome.runtime.Port} port - Port from the page's LiveCardObserver
      */
-    hasBetterContent(newEvents, oldEvents) {
-        if (!newEvents || !oldEvents) return false;
-
-        // Check if any event now has video sources that were previously detected
-        return newEvents.some((newEvent, index) => {
-            const oldEvent = oldEvents[index];
-            if (!oldEvent) return false;
-
-            // Check for video URL improvements
-            if (newEvent.videoSrc && newEvent.videoSrc !== 'VIDEO DETECTED' &&
-                oldEvent.videoSrc === 'VIDEO DETECTED') {
-                return true;
+    attachPort(port) {
+        chrome.runtime.onConnect.removeListener(this.portListener);
+        this.portListener = null;
+        this.port = port;
+
+        port.onMessage.addListener(message => this.handleUpdate(message));
+        port.onDisconnect.addListener(() => {
+            this.port = null;
+            this.portName = null;
+
+            // The page reloaded or navigated away - watch again once it has settled
+            if (this.controller.isLiveScanning && this.controller.container?.isConnected) {
+                this.reconnectTimer = setTimeout(() => {
+                    this.startLiveScanning().catch(error => console.warn('Live scan reconnect failed:', error.message));
+                }, WorkflowConfig.DELAYS.LIVE_SCAN_RECONNECT);
             }
+        });
+    }
 
-            // Check for new image sources
-            if (newEvent.imageSrc && !oldEvent.imageSrc) {
-                return true;
-            }
+    /**
+     * Applies a snapshot or incremental change message from the page
+     * @param {Object} message - { type: 'snapshot', events } or { type: 'changes', order, added, updated, removed },
+     *                           both with the calendar `period` on screen
+     */
+    handleUpdate(message) {
+        // Only apply updates while the panel is still open
+        if (!this.controller.container || !this.controller.container.isConnected) {
+            this.stopLiveScanning();
+            return;
+        }
+
+        const placeholder = WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER;
+        const previousEvents = this.controller.events;
+        let pageEvents;
+
+        if (message.type === 'snapshot') {
+            this.controller.timeZoneService.applyTimeZone(message.events);
+            // Merge on event ID so details filled in by AutoPilot / video scan survive
+            pageEvents = EventIdentity.mergeById(previousEvents, message.events, placeholder);
+        } else {
+            const changed = this.controller.timeZoneService.applyTimeZone([...message.added, ...message.updated]);
+            const mergedById = new Map(
+                EventIdentity.mergeById(previousEvents, changed, placeholder).map(event => [event.id, event])
+            );
+            const existingById = new Map(previousEvents.map(event => [event.id, event]));
+
+            pageEvents = message.order
+                .map(id => mergedById.get(id) || existingById.get(id))
+                .filter(Boolean);
+            pageEvents.forEach((event, index) => {
+                event.cardIndex = index + 1;
+            });
+        }
 
-            // Check for longer descriptions
-            if (newEvent.description && oldEvent.description &&
-                newEvent.description.length > oldEvent.description.length) {
-                return true;
+        this.controller.events = this.combineWithOffPageEvents(pageEvents, previousEvents, message.period);
+        const changes = this.controller.changeFeedService.record(previousEvents, this.controller.events);
+        this.controller.sessionService.scheduleSave();
+        this.controller.mediaProbeService.probeAll();
+
+        // Refresh the display if we're in grid view
+        if (this.controller.container.querySelector('.events-grid')) {
+            this.controller.renderer.renderDataGrid({ events: this.controller.events });
+            this.bindLiveScanToggle();
+
+            if (changes.length > 0) {
+                this.controller.renderer.showMessage(`Live scan: ${changes.length} changes`, 'info');
             }
+        }
+    }
 
-            return false;
-        });
+    /**
+     * Keeps captured events from other weeks (range capture, earlier navigation) next to the cards on screen
+     * Only events dated inside the visible period are dropped when their card is gone.
+     * @param {Array<Object>} pageEvents - Events currently on the page, in page order
+     * @param {Array<Object>} previousEvents - Events held before this update
+     * @param {Object|null} period - { start, end } YYYY-MM-DD range on screen
+     * @returns {Array<Object>} Events before the period, the page's events, then events after it
+     */
+    combineWithOffPageEvents(pageEvents, previousEvents, period) {
+        if (!period) return pageEvents;
+
+        const pageIds = new Set(pageEvents.map(event => event.id));
+        const offPage = previousEvents.filter(event =>
+            !pageIds.has(event.id) && DateResolver.parseIsoDate(event.fullDate) &&
+            (event.fullDate < period.start || event.fullDate > period.end)
+        );
+
+        return [
+            ...offPage.filter(event => event.fullDate < period.start),
+            ...pageEvents,
+            ...offPage.filter(event => event.fullDate > period.end)
+        ];
     }
 }
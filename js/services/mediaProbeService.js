@@ -0,0 +1,126 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { EventMedia } from '../utils/EventMedia.js';
+import { MediaProbe } from '../utils/MediaProbe.js';
+
+/**
+ * Media Probe Service - Probes event media and captured videos in the background
+ * Each event's main media (its video, else its first image) gets an event.mediaInfo with size,
+ * MIME type, dimensions, duration and codec. Captured videos take the same fields directly,
+ * which also fills in durations whose metadata hadn't loaded when the video was scanned.
+ */
+export class MediaProbeService {
+    constructor(controller) {
+        this.controller = controller;
+        this.queue = [];
+        this.queuedUrls = new Set();
+        this.active = 0;
+        this.fixedDurations = 0;
+    }
+
+    /**
+     * Queues every event and captured video whose media hasn't been probed yet
+     */
+    probeAll() {
+        (this.controller.events || []).forEach(event => {
+            const media = this.getMainMedia(event);
+            if (media && event.mediaInfo?.url !== media.url) {
+                this.enqueue({ target: event, url: media.url, kind: media.kind, type: 'event' });
+            }
+        });
+
+        (this.controller.capturedVideos || []).forEach(video => {
+            if (video.url && !video.probedAt && /^https?:\/\//i.test(video.url)) {
+                this.enqueue({ target: video, url: video.url, kind: 'video', type: 'capturedVideo' });
+            }
+        });
+    }
+
+    /**
+     * The media an event is probed for: its resolved video, else its first image
+     * @param {Object} event - Event
+     * @returns {Object|null} { url, kind }, or null when the event has no media yet
+     */
+    getMainMedia(event) {
+        const [videoUrl] = EventMedia.getVideoUrls(event);
+        if (videoUrl) return { url: videoUrl, kind: 'video' };
+
+        const [imageUrl] = EventMedia.getImageUrls(event);
+        return imageUrl ? { url: imageUrl, kind: 'image' } : null;
+    }
+
+    /**
+     * Adds a probe to the queue, once per target and URL
+     * @param {Object} job - { target, url, kind, type }
+     */
+    enqueue(job) {
+        const key = `${job.type}:${job.url}`;
+        if (this.queuedUrls.has(key)) return;
+        this.queuedUrls.add(key);
+        this.queue.push({ ...job, key });
+        this.runNext();
+    }
+
+    /**
+     * Starts queued probes up to WorkflowConfig.MEDIA_PROBE.CONCURRENCY at a time
+     */
+    runNext() {
+        while (this.active < WorkflowConfig.MEDIA_PROBE.CONCURRENCY && this.queue.length > 0) {
+            const job = this.queue.shift();
+            this.active++;
+
+            this.runProbe(job).finally(() => {
+                this.active--;
+                this.queuedUrls.delete(job.key);
+                if (this.active === 0 && this.queue.length === 0) {
+                    this.handleBatchDone();
+                } else {
+                    this.runNext();
+                }
+            });
+        }
+    }
+
+    /**
+     * Probes one media item and stores the result on its event or captured video
+     * @param {Object} job - Queued probe
+     */
+    async runProbe(job) {
+        try {
+            const info = await MediaProbe.probe(job.url, job.kind);
+
+            if (job.type === 'event') {
+                // The event may have moved on to other media while this probe ran
+                if (this.getMainMedia(job.target)?.url !== job.url) return;
+                job.target.mediaInfo = info;
+                this.controller.renderer.updateMediaInfo(job.target);
+                return;
+            }
+
+            const video = job.target;
+            if (!video.duration && info.duration) this.fixedDurations++;
+            ['size', 'mimeType', 'width', 'height', 'duration', 'codec'].forEach(field => {
+                if (info[field] !== null) video[field] = info[field];
+            });
+            video.probedAt = info.probedAt;
+        } catch (error) {
+            console.error('Media probe failed:', job.url, error);
+        }
+    }
+
+    /**
+     * Saves the results once the queue is empty; captured videos whose duration was just read
+     * get another chance to match their events
+     */
+    async handleBatchDone() {
+        this.controller.sessionService.scheduleSave();
+        if (this.fixedDurations === 0) return;
+
+        this.fixedDurations = 0;
+        if (document.getElementById('captured-videos-container')) {
+            const videoScanHandler = await this.controller.eventHandlers.getVideoScanHandler();
+            videoScanHandler.updateCapturedVideosUI();
+        }
+        await this.controller.videoMatchService.connectVideos();
+        this.controller.renderer.updateVideoMatches(this.controller.events || []);
+    }
+}
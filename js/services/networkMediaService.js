@@ -0,0 +1,66 @@
+/**
+ * Network Media Service - Optional capture mode that reads media URLs from network requests
+ * When on, detail extraction injects networkMediaHook.js into the Blaze tab's main world and
+ * asks the page bundle to record the media the detail view loads, so blob-backed and lazy
+ * players still give their real URLs.
+ */
+export class NetworkMediaService {
+    constructor(controller) {
+        this.controller = controller;
+        this.enabled = false;
+    }
+
+    /**
+     * Loads the stored setting
+     */
+    async initNetworkMedia() {
+        try {
+            const result = await chrome.storage.local.get('networkMediaCapture');
+            this.enabled = result.networkMediaCapture === true;
+        } catch (error) {
+            console.error('Failed to load network media setting:', error);
+        }
+        this.publishSetting();
+    }
+
+    /**
+     * Turns network media capture on or off
+     * @param {boolean} enabled - New value
+     */
+    async setEnabled(enabled) {
+        this.enabled = enabled;
+        try {
+            await chrome.storage.local.set({ networkMediaCapture: enabled });
+        } catch (error) {
+            console.error('Failed to save network media setting:', error);
+        }
+        this.publishSetting();
+    }
+
+    /**
+     * Options for the extractEventDetail page command; installs the request hook when enabled
+     * @returns {Promise<Object>} { networkMedia: true } when recording, otherwise {}
+     */
+    async getDetailOptions() {
+        if (!this.enabled) return {};
+
+        try {
+            await chrome.scripting.executeScript({
+                target: { tabId: this.controller.tabId },
+                files: ['js/utils/networkMediaHook.js'],
+                world: 'MAIN'
+            });
+        } catch (error) {
+            // Resource timing still records requests without the hook
+            console.warn('Could not install network media hook:', error.message);
+        }
+        return { networkMedia: true };
+    }
+
+    /**
+     * Hands the setting to the renderer for its toggle
+     */
+    publishSetting() {
+        this.controller.renderer.networkMediaCapture = this.enabled;
+    }
+}
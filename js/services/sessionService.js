@@ -0,0 +1,246 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { DateResolver } from '../utils/DateResolver.js';
+import { SessionStore } from '../utils/SessionStore.js';
+import { CSVExporter } from '../utils/csvExporter.js';
+
+/**
+ * Session Service - Keeps captures as named sessions that survive closing the side panel
+ * Each capture starts a session tagged with workspace, URL, date range and capture time; later
+ * changes (live scan, AutoPilot, video scans, inspector items) are saved into it. Past sessions
+ * can be reopened, renamed, deleted or exported without re-scraping Blaze.
+ */
+export class SessionService {
+    constructor(controller) {
+        this.controller = controller;
+        this.store = new SessionStore();
+        this.currentSession = null; // Metadata of the session the popup is showing
+        this.sessions = []; // Session summaries, newest first
+        this.saveTimer = null;
+    }
+
+    /**
+     * Loads the saved session list
+     */
+    async initSessions() {
+        await this.refreshSessions();
+    }
+
+    /**
+     * Starts a new session from the events just captured
+     * @param {Object} [range] - Requested { start, end } (YYYY-MM-DD) for range captures
+     */
+    async startSession(range = null) {
+        let url = '';
+        try {
+            const tab = await chrome.tabs.get(this.controller.tabId);
+            url = tab.url || '';
+        } catch (error) {
+            console.warn('Could not read tab URL for session:', error.message);
+        }
+
+        const dates = this.controller.events.map(event => event.fullDate).filter(Boolean).sort();
+        const rangeStart = range?.start || dates[0] || '';
+        const rangeEnd = range?.end || dates[dates.length - 1] || '';
+        const capturedAt = new Date().toISOString();
+
+        this.currentSession = {
+            id: `session_${Date.now()}`,
+            name: this.getDefaultName(rangeStart, rangeEnd),
+            workspaceId: this.controller.timeZoneService.workspaceId || '',
+            url,
+            rangeStart,
+            rangeEnd,
+            capturedAt
+        };
+
+        await this.saveSession();
+    }
+
+    /**
+     * Saves the current session shortly, so bursts of updates are written once
+     */
+    scheduleSave() {
+        if (!this.currentSession) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.saveSession(), WorkflowConfig.DELAYS.SESSION_SAVE);
+    }
+
+    /**
+     * Writes the popup's current data into the current session
+     */
+    async saveSession() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.currentSession) return;
+
+        try {
+            await this.store.save({
+                ...this.currentSession,
+                updatedAt: new Date().toISOString(),
+                view: this.controller.calendarView,
+                eventCount: this.controller.events.length,
+                events: this.controller.events,
+                capturedVideos: this.controller.capturedVideos,
+                capturedItems: this.controller.capturedItems
+            });
+            await this.refreshSessions();
+        } catch (error) {
+            console.error('Failed to save session:', error);
+        }
+    }
+
+    /**
+     * Loads a saved session into the popup and shows its events
+     * @param {string} id - Session ID
+     */
+    async handleOpen(id) {
+        try {
+            const session = await this.store.get(id);
+            if (!session) {
+                this.controller.renderer.showMessage('Session not found', 'error');
+                return;
+            }
+
+            const { events, capturedVideos, capturedItems, view, eventCount, updatedAt, ...metadata } = session;
+            this.currentSession = metadata;
+            this.controller.events = events;
+            this.controller.capturedVideos = capturedVideos || [];
+            this.controller.capturedItems = capturedItems || [];
+            this.controller.calendarView = view;
+
+            this.controller.renderer.renderDataGrid({ events });
+            this.controller.liveScanService.bindLiveScanToggle();
+            this.controller.mediaProbeService.probeAll();
+            this.controller.renderer.showMessage(`Opened "${this.controller.renderer.escapeHtml(session.name)}" (${events.length} events)`, 'success');
+        } catch (error) {
+            console.error('Failed to open session:', error);
+            this.controller.renderer.showMessage('Failed to open session: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Renames a saved session
+     * @param {string} id - Session ID
+     * @param {string} name - New name (blank keeps the old one)
+     */
+    async handleRename(id, name) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            this.publishSessions();
+            return;
+        }
+
+        try {
+            const session = await this.store.get(id);
+            if (!session) return;
+
+            await this.store.save({ ...session, name: trimmed });
+            if (this.currentSession?.id === id) {
+                this.currentSession.name = trimmed;
+            }
+            await this.refreshSessions();
+        } catch (error) {
+            console.error('Failed to rename session:', error);
+            this.controller.renderer.showMessage('Failed to rename session: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Deletes a saved session; the events on screen stay until the next capture
+     * @param {string} id - Session ID
+     */
+    async handleDelete(id) {
+        try {
+            await this.store.delete(id);
+            if (this.currentSession?.id === id) {
+                clearTimeout(this.saveTimer);
+                this.currentSession = null;
+            }
+            await this.refreshSessions();
+            this.controller.renderer.showMessage('Session deleted', 'info');
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            this.controller.renderer.showMessage('Failed to delete session: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Downloads a saved session's events as CSV
+     * @param {string} id - Session ID
+     */
+    async handleExport(id) {
+        try {
+            const session = await this.store.get(id);
+            if (!session || session.events.length === 0) {
+                this.controller.renderer.showMessage('No events in this session', 'info');
+                return;
+            }
+
+            const csvContent = CSVExporter.buildCSVContent(session.events, this.controller.exportOptionsService.getCsvOptions());
+            CSVExporter.downloadCSV(csvContent, this.getExportFilename(session));
+            this.controller.renderer.showMessage(`Exported ${session.events.length} events from "${this.controller.renderer.escapeHtml(session.name)}"`, 'success');
+        } catch (error) {
+            console.error('Session export failed:', error);
+            this.controller.renderer.showMessage('Failed to export session: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Shows the main screen, where the session list lives
+     */
+    handleShowSessions() {
+        this.controller.renderer.renderMainScreen();
+    }
+
+    /**
+     * Reloads session summaries from the database and hands them to the renderer
+     */
+    async refreshSessions() {
+        try {
+            const sessions = await this.store.getAll();
+            this.sessions = sessions.map(({ events, capturedVideos, capturedItems, ...summary }) => summary);
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+        }
+        this.publishSessions();
+    }
+
+    /**
+     * Publishes the session list and redraws it if the main screen is showing
+     */
+    publishSessions() {
+        this.controller.renderer.sessions = this.sessions;
+        this.controller.renderer.currentSessionId = this.currentSession?.id || null;
+
+        if (this.controller.container.querySelector('#scan-btn')) {
+            this.controller.renderer.renderMainScreen();
+        }
+    }
+
+    /**
+     * Name given to a new session
+     * @param {string} rangeStart - YYYY-MM-DD or ''
+     * @param {string} rangeEnd - YYYY-MM-DD or ''
+     * @returns {string} Session name
+     */
+    getDefaultName(rangeStart, rangeEnd) {
+        const format = (value) => DateResolver.parseIsoDate(value)
+            ?.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const start = format(rangeStart);
+        const end = format(rangeEnd);
+
+        if (!start) return `Capture ${new Date().toLocaleString('en-US')}`;
+        return start === end ? `Capture ${start}` : `Capture ${start} - ${end}`;
+    }
+
+    /**
+     * CSV filename for an exported session
+     * @param {Object} session - Session record
+     * @returns {string} Filename
+     */
+    getExportFilename(session) {
+        const safeName = session.name.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+        return `session_${safeName || session.id}.csv`;
+    }
+}
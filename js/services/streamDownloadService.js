@@ -0,0 +1,61 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+
+/**
+ * Stream Download Service - Shows the progress of HLS / DASH downloads in the side panel
+ * The offscreen document reports each stream's segment count as it downloads; finished
+ * downloads stay listed for a moment, failed ones also raise an error message.
+ */
+export class StreamDownloadService {
+    constructor(controller) {
+        this.controller = controller;
+        this.jobs = new Map(); // By job ID
+    }
+
+    /**
+     * Listens for progress reports from the offscreen document
+     */
+    setupProgressListener() {
+        chrome.runtime.onMessage.addListener((message) => {
+            if (message.target === 'panel' && message.action === 'streamDownloadProgress') {
+                this.handleProgress(message);
+            }
+        });
+    }
+
+    /**
+     * Updates one stream download
+     * @param {Object} progress - { jobId, label, status, done, total, error }
+     */
+    handleProgress({ jobId, label, status, done, total, error }) {
+        const previous = this.jobs.get(jobId);
+        this.jobs.set(jobId, {
+            jobId,
+            label,
+            status,
+            // Keep the last counts once the download has finished
+            done: status === 'downloading' ? done : previous?.total || 0,
+            total: status === 'downloading' ? total : previous?.total || 0,
+            error
+        });
+
+        if (status === 'done' || status === 'failed') {
+            setTimeout(() => {
+                this.jobs.delete(jobId);
+                this.publishJobs();
+            }, WorkflowConfig.DELAYS.STREAM_PROGRESS_CLEAR);
+        }
+        if (status === 'failed') {
+            this.controller.renderer.showMessage(`Stream download failed: ${error}`, 'error');
+        }
+
+        this.publishJobs();
+    }
+
+    /**
+     * Hands the download list to the renderer
+     */
+    publishJobs() {
+        this.controller.renderer.streamDownloads = [...this.jobs.values()];
+        this.controller.renderer.updateStreamDownloads();
+    }
+}
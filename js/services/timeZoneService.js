@@ -0,0 +1,135 @@
+import { DateResolver } from '../utils/DateResolver.js';
+
+/**
+ * Time Zone Service - Tracks the workspace time zone and the zone exports are written in
+ * Blaze shows card times in the workspace zone. Capture stamps each event with that zone and an
+ * ISO-8601 `scheduledAt` instant; exporters convert the instant to the chosen output zone.
+ */
+export class TimeZoneService {
+    constructor(controller) {
+        this.controller = controller;
+        this.workspaceId = null;
+        this.detectedTimeZone = null; // Zone shown on the Blaze page, if any
+        this.workspaceTimeZones = {}; // Per-workspace overrides, keyed by workspace ID
+        this.exportMode = 'workspace'; // 'workspace', 'local' or 'UTC'
+    }
+
+    /**
+     * Loads stored time zone settings
+     */
+    async initTimeZoneSettings() {
+        try {
+            const result = await chrome.storage.local.get(['workspaceTimeZones', 'exportTimeZone']);
+            this.workspaceTimeZones = result.workspaceTimeZones || {};
+            this.exportMode = result.exportTimeZone || 'workspace';
+        } catch (error) {
+            console.error('Failed to load time zone settings:', error);
+        }
+        this.publishSettings();
+    }
+
+    /**
+     * Records the workspace of the active tab and the zone detected on its page
+     * @param {string|null} detectedTimeZone - Zone read from the page, null if Blaze doesn't show one
+     */
+    async updateWorkspace(detectedTimeZone) {
+        try {
+            const tab = await chrome.tabs.get(this.controller.tabId);
+            this.workspaceId = tab.url?.match(/\/workspaces\/([^/?#]+)/)?.[1] || null;
+        } catch (error) {
+            console.warn('Could not read workspace from tab:', error.message);
+        }
+
+        this.detectedTimeZone = DateResolver.isValidTimeZone(detectedTimeZone) ? detectedTimeZone : null;
+        this.publishSettings();
+    }
+
+    /**
+     * Zone card times are shown in: per-workspace override, then the page, then this browser
+     * @returns {string} IANA time zone name
+     */
+    getWorkspaceTimeZone() {
+        return this.workspaceTimeZones[this.workspaceId] || this.detectedTimeZone || DateResolver.getLocalTimeZone();
+    }
+
+    /**
+     * Zone exporters should write times in
+     * @returns {string|null} IANA time zone name, or null to use each event's workspace zone
+     */
+    getExportTimeZone() {
+        if (this.exportMode === 'UTC') return 'UTC';
+        if (this.exportMode === 'local') return DateResolver.getLocalTimeZone();
+        return null;
+    }
+
+    /**
+     * Stamps events with the workspace zone and their scheduled instant
+     * @param {Array<Object>} events - Events with fullDate and timestamp (mutated)
+     * @returns {Array<Object>} The same events
+     */
+    applyTimeZone(events) {
+        const timeZone = this.getWorkspaceTimeZone();
+        events.forEach(event => {
+            event.timeZone = timeZone;
+            event.scheduledAt = DateResolver.toInstant(event.fullDate, event.timestamp, timeZone);
+        });
+        return events;
+    }
+
+    /**
+     * Sets (or clears, with '') the time zone override for the current workspace
+     * @param {string} timeZone - IANA time zone name, '' for auto-detect
+     */
+    async setWorkspaceTimeZone(timeZone) {
+        if (!this.workspaceId) {
+            this.controller.renderer.showMessage('Capture a Blaze workspace before setting its time zone', 'error');
+            return;
+        }
+
+        if (timeZone && DateResolver.isValidTimeZone(timeZone)) {
+            this.workspaceTimeZones[this.workspaceId] = timeZone;
+        } else {
+            delete this.workspaceTimeZones[this.workspaceId];
+        }
+
+        try {
+            await chrome.storage.local.set({ workspaceTimeZones: this.workspaceTimeZones });
+        } catch (error) {
+            console.error('Failed to save workspace time zone:', error);
+        }
+
+        // Existing events were stamped with the old zone
+        this.applyTimeZone(this.controller.events);
+        this.publishSettings();
+        this.controller.renderer.renderDataGrid({ events: this.controller.events });
+        this.controller.renderer.showMessage(`Workspace time zone: ${this.getWorkspaceTimeZone()}`, 'success');
+    }
+
+    /**
+     * Sets the zone exporters write times in
+     * @param {string} mode - 'workspace', 'local' or 'UTC'
+     */
+    async setExportTimeZone(mode) {
+        this.exportMode = mode;
+        try {
+            await chrome.storage.local.set({ exportTimeZone: mode });
+        } catch (error) {
+            console.error('Failed to save export time zone:', error);
+        }
+        this.publishSettings();
+    }
+
+    /**
+     * Hands the current settings to the renderer for the time zone selectors
+     */
+    publishSettings() {
+        this.controller.renderer.timeZoneSettings = {
+            workspaceTimeZone: this.getWorkspaceTimeZone(),
+            workspaceOverride: this.workspaceTimeZones[this.workspaceId] || '',
+            detectedTimeZone: this.detectedTimeZone,
+            localTimeZone: DateResolver.getLocalTimeZone(),
+            exportMode: this.exportMode,
+            timeZones: Intl.supportedValuesOf?.('timeZone') || []
+        };
+    }
+}
@@ -0,0 +1,81 @@
+import { ErrorMessages } from '../constants/ErrorMessages.js';
+import { VideoProcessor } from '../utils/VideoProcessor.js';
+
+/**
+ * Video Match Service - Links captured videos to events and handles the "confirm match" list
+ * Confident matches are applied straight away; the rest wait on their event as a pending
+ * videoMatch until the user confirms or rejects them. Rejected URLs are never suggested
+ * for that event again.
+ */
+export class VideoMatchService {
+    constructor(controller) {
+        this.controller = controller;
+        this.videoProcessor = new VideoProcessor();
+    }
+
+    /**
+     * Matches the captured videos against the current events
+     * @returns {Promise<Object>} { connected, pending } counts
+     */
+    async connectVideos() {
+        const { events, capturedVideos } = this.controller;
+        if (!events || !capturedVideos) return { connected: 0, pending: 0 };
+
+        const result = await this.videoProcessor.connectVideosToEvents(events, capturedVideos);
+        if (result.connected > 0) {
+            this.controller.renderer.showMessage(ErrorMessages.VIDEO_CONNECTION_SUCCESS(result.connected), 'success');
+        }
+        if (result.pending > 0) {
+            this.controller.renderer.showMessage(ErrorMessages.VIDEO_MATCHES_PENDING(result.pending), 'info');
+        }
+        if (result.connected > 0 || result.pending > 0) {
+            this.controller.sessionService.scheduleSave();
+        }
+        if (result.connected > 0) {
+            this.controller.mediaProbeService.probeAll();
+        }
+        return result;
+    }
+
+    /**
+     * Accepts a suggested match
+     * @param {string} eventId - Event ID
+     */
+    handleConfirm(eventId) {
+        const event = this.findPendingEvent(eventId);
+        if (!event) return;
+
+        this.videoProcessor.connectVideoToEvent(event, event.videoMatch, 'confirmed');
+        this.applyDecision();
+        this.controller.mediaProbeService.probeAll();
+    }
+
+    /**
+     * Rejects a suggested match; the next scan may suggest another video for the event
+     * @param {string} eventId - Event ID
+     */
+    handleReject(eventId) {
+        const event = this.findPendingEvent(eventId);
+        if (!event) return;
+
+        event.rejectedVideoUrls = [...(event.rejectedVideoUrls || []), event.videoMatch.url];
+        delete event.videoMatch;
+        this.applyDecision();
+    }
+
+    /**
+     * @param {string} eventId - Event ID
+     * @returns {Object|undefined} The event, if it has a pending match
+     */
+    findPendingEvent(eventId) {
+        return (this.controller.events || []).find(event => event.id === eventId && event.videoMatch?.status === 'pending');
+    }
+
+    /**
+     * Saves the decision and redraws the list
+     */
+    applyDecision() {
+        this.controller.sessionService.scheduleSave();
+        this.controller.renderer.updateVideoMatches(this.controller.events);
+    }
+}
@@ -1,9 +1,16 @@
+import { CaptionParser } from '../utils/CaptionParser.js';
+import { DownloadManager } from '../utils/DownloadManager.js';
+import { RetryPolicy } from '../utils/RetryPolicy.js';
+import { StreamManifest } from '../utils/StreamManifest.js';
+import { CloudinaryResolver } from '../utils/CloudinaryResolver.js';
+
 /**
  * Video Service - Manages video scanning, rendering, and downloads
  */
 export class VideoService {
     constructor(controller) {
         this.controller = controller;
+        this.downloadManager = new DownloadManager();
     }
 
     /**
@@ -85,6 +92,8 @@ export class VideoService {
         if (url.includes('vimeo.com')) return 'Vimeo';
         if (url.includes('twitch.tv')) return 'Twitch';
         if (url.includes('dailymotion.com')) return 'Dailymotion';
+        const streamKind = StreamManifest.getKind(url);
+        if (streamKind) return streamKind.toUpperCase();
         if (url.includes('.mp4')) return 'MP4';
         if (url.includes('.webm')) return 'WebM';
         if (url.includes('.avi')) return 'AVI';
@@ -461,13 +470,15 @@ export class VideoService {
     }
 
     /**
-     * Downloads a single video
+     * Downloads a single video, rewritten for the media preset
      */
     downloadVideo(url, filename) {
+        const resolvedUrl = CloudinaryResolver.resolve(url, this.controller.exportOptionsService.getMediaPreset());
         chrome.runtime.sendMessage({
             action: 'downloadVideo',
-            url: url,
-            filename: filename
+            url: resolvedUrl,
+            // A rewritten URL can change the format, so name the file after it
+            filename: resolvedUrl === url ? filename : this.getFilenameFromUrl(resolvedUrl)
         });
     }
 
@@ -475,9 +486,10 @@ export class VideoService {
      * Downloads all videos with delay
      */
     downloadAllVideos(urls) {
+        const mediaPreset = this.controller.exportOptionsService.getMediaPreset();
         urls.forEach((url, index) => {
             setTimeout(() => {
-                chrome.downloads.download({ url });
+                this.downloadManager.downloadWithRetry({ url: CloudinaryResolver.resolve(url, mediaPreset) });
             }, index * 500);
         });
         this.controller.renderer.showMessage(`Downloading ${urls.length} videos...`, 'info');
@@ -532,56 +544,12 @@ export class VideoService {
             await this.controller.updateActiveTab();
             this.controller.renderer.showMessage('Extracting full content...', 'info');
 
-            // Execute script to navigate and extract
-            const results = await chrome.scripting.executeScript({
-                target: { tabId: this.controller.tabId },
-                func: async (eventUrl, cardIndex) => {
-                    // Helper to wait
-                    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-                    // Find and click the event card
-                    const eventContainers = Array.from(document.querySelectorAll('[class*="CalendarEventCard_eventContainer"]'))
-                        .filter(el => el.offsetWidth > 0 && el.offsetHeight > 0);
-
-                    const targetContainer = eventContainers[cardIndex - 1];
-                    if (!targetContainer) {
-                        throw new Error('Event card not found');
-                    }
-
-                    const linkEl = targetContainer.closest('a') || targetContainer.querySelector('a');
-                    if (linkEl) {
-                        linkEl.click();
-                    } else {
-                        targetContainer.click();
-                    }
-
-                    // Wait for detail view to load
-                    await wait(2000);
-
-                    // Extract video from detail view
-                    const videoEl = document.querySelector('video');
-                    const videoSrc = videoEl?.src || videoEl?.querySelector('source')?.src || null;
-
-                    // Extract image if no video
-                    const imgEl = document.querySelector('[class*="DetailView"] img, [class*="Modal"] img');
-                    const imageSrc = imgEl?.src || null;
-
-                    // Extract full description
-                    const descEl = document.querySelector('[class*="DetailView"] [class*="description"], [class*="Modal"] [class*="description"]');
-                    const fullDescription = descEl?.textContent?.trim() || '';
-
-                    return {
-                        videoSrc,
-                        imageSrc,
-                        fullDescription,
-                        extracted: true
-                    };
-                },
-                args: [event.eventUrl, event.cardIndex],
-                world: 'MAIN'
-            });
-
-            const extractedData = results[0].result;
+            // Open the card and read the detail view, retrying while the card or view isn't ready
+            const options = await this.controller.networkMediaService.getDetailOptions();
+            const extractedData = await RetryPolicy.run(
+                'detail',
+                () => this.controller.pageScriptRunner.run('extractEventDetail', event.id, options)
+            );
 
             // Update event with extracted data
             if (extractedData.videoSrc) {
@@ -590,12 +558,22 @@ export class VideoService {
             if (extractedData.imageSrc) {
                 this.controller.events[eventIndex].imageSrc = extractedData.imageSrc;
             }
+            if (extractedData.imageSrcs?.length > 0) {
+                this.controller.events[eventIndex].imageSrcs = extractedData.imageSrcs;
+            }
             if (extractedData.fullDescription) {
                 this.controller.events[eventIndex].fullDescription = extractedData.fullDescription;
+                Object.assign(this.controller.events[eventIndex], CaptionParser.parse(extractedData.fullDescription));
             }
+            ['status', 'approval', 'author', 'linkUrl'].forEach(field => {
+                if (extractedData[field]) this.controller.events[eventIndex][field] = extractedData[field];
+            });
+
+            this.controller.sessionService.scheduleSave();
 
             // Re-render detail view with updated data
             this.controller.renderer.renderEventDetail(eventIndex);
+            this.controller.mediaProbeService.probeAll();
             this.controller.renderer.showMessage('Content extracted successfully!', 'success');
 
         } catch (error) {
@@ -47,7 +47,8 @@ if (!window.VideoCapture) {
                       video.getAttribute('data-video');
             }
 
-            if (src && src.trim()) {
+            // Las URLs blob: de reproductores MSE no se pueden descargar; su manifiesto se busca abajo
+            if (src && src.trim() && !src.startsWith('blob:')) {
                 videos.push(src.trim());
             }
         });
@@ -63,11 +64,18 @@ if (!window.VideoCapture) {
         });
 
         // Buscar enlaces directos a archivos de video
-        const videoLinks = document.querySelectorAll('a[href*=".mp4"], a[href*=".webm"], a[href*=".avi"], a[href*=".mov"], a[href*=".mkv"]');
+        const videoLinks = document.querySelectorAll('a[href*=".mp4"], a[href*=".webm"], a[href*=".avi"], a[href*=".mov"], a[href*=".mkv"], a[href*=".m3u8"], a[href*=".mpd"]');
         videoLinks.forEach(link => {
             videos.push(link.href);
         });
 
+        // Manifiestos HLS / DASH que la página ya cargó (reproductores con src blob:)
+        performance.getEntriesByType('resource').forEach(entry => {
+            if (/\.(m3u8|mpd)(\?|#|$)/i.test(entry.name)) {
+                videos.push(entry.name);
+            }
+        });
+
         // Filtrar duplicados
         return [...new Set(videos)];
     }
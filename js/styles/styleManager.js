@@ -211,6 +211,8 @@ export class StyleManager {
       /* SCAN Container - Centers the button */
       .scan-container {
         display: flex;
+        flex-direction: column;
+        gap: 24px;
         align-items: center;
         justify-content: center;
         width: 100%;
@@ -356,6 +358,541 @@ export class StyleManager {
         }
       }
 
+      /* Capture range form */
+      .capture-range {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 16px;
+      }
+
+      .capture-range-inputs {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .capture-range-date {
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 6px;
+        color: #ffffff;
+        padding: 6px 8px;
+        font-size: 12px;
+        color-scheme: dark;
+      }
+
+      .capture-range-separator {
+        color: #808080;
+        font-size: 12px;
+      }
+
+      /* Auto Pilot queue */
+      .autopilot-queue {
+        width: 100%;
+        max-width: 420px;
+        box-sizing: border-box;
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 8px;
+        padding: 10px;
+        margin: 0 auto 16px;
+      }
+
+      .autopilot-queue-header {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 8px;
+      }
+
+      .autopilot-queue-title {
+        flex: 1;
+        color: #ffffff;
+        font-size: 13px;
+        font-weight: 600;
+      }
+
+      .autopilot-queue-items {
+        max-height: 160px;
+        overflow-y: auto;
+      }
+
+      .autopilot-queue-item {
+        display: flex;
+        gap: 8px;
+        font-size: 11px;
+        color: #b0b0b0;
+        padding: 2px 0;
+      }
+
+      .autopilot-item-status {
+        width: 56px;
+        text-transform: uppercase;
+        font-weight: 600;
+      }
+
+      .autopilot-item-label {
+        flex: 1;
+      }
+
+      .autopilot-item-attempts {
+        color: #808080;
+      }
+
+      .autopilot-queue-item.status-running .autopilot-item-status { color: #00a8ff; }
+      .autopilot-queue-item.status-done .autopilot-item-status { color: #2ecc71; }
+      .autopilot-queue-item.status-failed .autopilot-item-status { color: #e74c3c; }
+      .autopilot-queue-item.status-skipped .autopilot-item-status { color: #808080; }
+
+      /* Saved sessions */
+      .session-list {
+        width: 100%;
+        max-width: 420px;
+        max-height: 40vh;
+        overflow-y: auto;
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .session-list-title {
+        color: #b0b0b0;
+        font-size: 12px;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+      }
+
+      .session-item {
+        background: #1a1a1a;
+        border: 1px solid #333333;
+        border-radius: 8px;
+        padding: 8px 10px;
+      }
+
+      .session-item.current {
+        border-color: #00d4aa;
+      }
+
+      .session-name-input {
+        width: 100%;
+        box-sizing: border-box;
+        background: transparent;
+        border: 1px solid transparent;
+        border-radius: 4px;
+        color: #ffffff;
+        font-size: 13px;
+        font-weight: 600;
+        padding: 2px 4px;
+      }
+
+      .session-name-input:focus {
+        border-color: #333333;
+        background: #2a2a2a;
+        outline: none;
+      }
+
+      .session-meta {
+        color: #808080;
+        font-size: 11px;
+        margin: 4px 4px 6px;
+      }
+
+      .session-actions {
+        display: flex;
+        gap: 6px;
+      }
+
+      .session-action {
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 4px;
+        color: #ffffff;
+        padding: 4px 8px;
+        font-size: 11px;
+        cursor: pointer;
+      }
+
+      .session-action.danger:hover {
+        border-color: #e74c3c;
+      }
+
+      .session-compare {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+
+      .session-compare-select {
+        flex: 1;
+        min-width: 0;
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 4px;
+        color: #ffffff;
+        padding: 4px 6px;
+        font-size: 11px;
+      }
+
+      /* Session comparison */
+      .session-comparison-toolbar {
+        display: flex;
+        gap: 6px;
+        margin-bottom: 12px;
+      }
+
+      .comparison-stats {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 8px;
+        margin: 10px 0 16px;
+      }
+
+      .comparison-stat {
+        background: #2a2a2a;
+        border-radius: 6px;
+        padding: 4px 8px;
+        color: #b0b0b0;
+        font-size: 11px;
+      }
+
+      .comparison-stat strong {
+        color: #ffffff;
+      }
+
+      .comparison-entry {
+        background: #1a1a1a;
+        border: 1px solid #333333;
+        border-radius: 8px;
+        padding: 8px;
+        margin-bottom: 10px;
+      }
+
+      .comparison-entry-title {
+        color: #ffffff;
+        font-size: 12px;
+        margin-bottom: 6px;
+      }
+
+      .comparison-kind {
+        display: inline-block;
+        border-radius: 10px;
+        padding: 1px 6px;
+        margin-right: 4px;
+        font-size: 10px;
+        background: #f39c1233;
+        color: #f39c12;
+      }
+
+      .comparison-kind.kind-added {
+        background: #2ecc7133;
+        color: #2ecc71;
+      }
+
+      .comparison-kind.kind-removed {
+        background: #e74c3c33;
+        color: #e74c3c;
+      }
+
+      .comparison-sides {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 8px;
+      }
+
+      .comparison-side {
+        background: #2a2a2a;
+        border-radius: 6px;
+        padding: 6px;
+        font-size: 11px;
+        color: #b0b0b0;
+        min-width: 0;
+      }
+
+      .comparison-thumb {
+        width: 100%;
+        height: 90px;
+        object-fit: cover;
+        border-radius: 4px;
+      }
+
+      .comparison-missing {
+        color: #808080;
+        font-style: italic;
+      }
+
+      .comparison-time {
+        color: #ffffff;
+        margin: 4px 0 2px;
+      }
+
+      .comparison-caption {
+        word-break: break-word;
+        max-height: 60px;
+        overflow: hidden;
+      }
+
+      /* Export options */
+      .export-options {
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        gap: 12px;
+        margin-bottom: 16px;
+        flex-wrap: wrap;
+      }
+
+      .export-option {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        color: #b0b0b0;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      /* Grid filters */
+      .event-filters {
+        display: flex;
+        justify-content: center;
+        gap: 8px;
+        margin-bottom: 16px;
+        flex-wrap: wrap;
+      }
+
+      .event-filter-select {
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 6px;
+        color: #ffffff;
+        padding: 6px 8px;
+        font-size: 12px;
+        max-width: 160px;
+      }
+
+      /* Live scan change feed */
+      .change-feed {
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 8px;
+        padding: 10px;
+        margin-bottom: 16px;
+      }
+
+      .change-feed-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+
+      .change-feed-title {
+        flex: 1;
+        color: #ffffff;
+        font-size: 13px;
+        font-weight: 600;
+      }
+
+      .change-feed-button {
+        background: #333333;
+        border: 1px solid #444444;
+        border-radius: 4px;
+        color: #ffffff;
+        padding: 4px 8px;
+        font-size: 11px;
+        cursor: pointer;
+      }
+
+      .change-feed-items {
+        max-height: 200px;
+        overflow-y: auto;
+      }
+
+      .change-feed-item {
+        border-left: 3px solid #666666;
+        padding: 4px 8px;
+        margin-bottom: 6px;
+        color: #b0b0b0;
+        font-size: 11px;
+      }
+
+      .change-feed-item.change-added { border-left-color: #2ecc71; }
+      .change-feed-item.change-removed { border-left-color: #e74c3c; }
+      .change-feed-item.change-modified { border-left-color: #f39c12; }
+
+      .change-feed-type {
+        text-transform: uppercase;
+        font-weight: 600;
+        margin: 0 6px;
+      }
+
+      .change-feed-label {
+        color: #ffffff;
+      }
+
+      .change-feed-field {
+        margin-top: 2px;
+        word-break: break-word;
+      }
+
+      .change-feed-field del {
+        color: #e74c3c;
+      }
+
+      .change-feed-field ins {
+        color: #2ecc71;
+        text-decoration: none;
+      }
+
+      /* Stream download progress */
+      .stream-downloads {
+        position: fixed;
+        right: 12px;
+        bottom: 80px;
+        width: 240px;
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 8px;
+        padding: 10px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+        z-index: 9999;
+      }
+
+      .stream-downloads-title {
+        color: #ffffff;
+        font-size: 12px;
+        font-weight: 600;
+        margin-bottom: 6px;
+      }
+
+      .stream-download-item {
+        margin-bottom: 6px;
+        font-size: 11px;
+        color: #b0b0b0;
+      }
+
+      .stream-download-label {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .stream-download-bar {
+        height: 4px;
+        margin: 3px 0;
+        background: #333333;
+        border-radius: 2px;
+        overflow: hidden;
+      }
+
+      .stream-download-fill {
+        height: 100%;
+        background: #00d4aa;
+      }
+
+      .stream-download-item.status-done .stream-download-fill { background: #2ecc71; }
+      .stream-download-item.status-failed .stream-download-detail { color: #e74c3c; }
+
+      /* Video match confirmations */
+      .video-matches {
+        background: #2a2a2a;
+        border: 1px solid #f39c12;
+        border-radius: 8px;
+        padding: 10px;
+        margin-bottom: 16px;
+      }
+
+      .video-matches-title {
+        color: #ffffff;
+        font-size: 13px;
+        font-weight: 600;
+        margin-bottom: 8px;
+      }
+
+      .video-match-item {
+        display: flex;
+        gap: 8px;
+        padding: 6px 0;
+        border-top: 1px solid #333333;
+      }
+
+      .video-match-media {
+        display: flex;
+        gap: 4px;
+        flex-shrink: 0;
+      }
+
+      .video-match-media img,
+      .video-match-media video,
+      .video-match-no-image {
+        width: 48px;
+        height: 64px;
+        object-fit: cover;
+        border-radius: 4px;
+        background: #000000;
+      }
+
+      .video-match-no-image {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+      }
+
+      .video-match-info {
+        flex: 1;
+        min-width: 0;
+        font-size: 11px;
+        color: #b0b0b0;
+      }
+
+      .video-match-label {
+        color: #ffffff;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .video-match-confidence {
+        margin: 2px 0 6px;
+      }
+
+      .video-match-actions {
+        display: flex;
+        gap: 6px;
+      }
+
+      /* Time zone settings */
+      .time-zone-settings {
+        display: flex;
+        justify-content: center;
+        gap: 12px;
+        margin-bottom: 16px;
+        flex-wrap: wrap;
+      }
+
+      .time-zone-field {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+
+      .time-zone-label {
+        color: #808080;
+        font-size: 11px;
+      }
+
+      .time-zone-select {
+        background: #2a2a2a;
+        border: 1px solid #333333;
+        border-radius: 6px;
+        color: #ffffff;
+        padding: 6px 8px;
+        font-size: 12px;
+        max-width: 200px;
+      }
+
       .popup-footer {
         position: absolute;
         bottom: 0;
@@ -889,6 +1426,43 @@ export class StyleManager {
         border: 1px solid ${colors.success}40;
       }
 
+      .event-card-status {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-bottom: 8px;
+      }
+
+      .indicator.status-scheduled,
+      .indicator.status-published,
+      .indicator.status-approved {
+        background: ${colors.success}20;
+        color: ${colors.success};
+        border: 1px solid ${colors.success}40;
+      }
+
+      .indicator.status-draft,
+      .indicator.status-pending,
+      .indicator.status-author {
+        background: ${colors.textMuted}20;
+        color: ${colors.textSecondary};
+        border: 1px solid ${colors.textMuted}40;
+      }
+
+      .indicator.status-needs_connection,
+      .indicator.status-changes_requested {
+        background: ${colors.warning}20;
+        color: ${colors.warning};
+        border: 1px solid ${colors.warning}40;
+      }
+
+      .indicator.status-failed,
+      .indicator.status-rejected {
+        background: ${colors.error}20;
+        color: ${colors.error};
+        border: 1px solid ${colors.error}40;
+      }
+
       .event-card-duration {
         font-size: 10px;
         color: ${colors.success};
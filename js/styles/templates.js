@@ -30,14 +30,167 @@ export const MAIN_CONTENT = (content) => `
   </div>
 `;
 
+// Multi-week capture: start and end dates for the calendar crawl
+export const CAPTURE_RANGE_FORM = `
+  <div class="capture-range">
+    <div class="capture-range-inputs">
+      <input type="date" id="capture-range-start" class="capture-range-date" title="Start date">
+      <span class="capture-range-separator">→</span>
+      <input type="date" id="capture-range-end" class="capture-range-date" title="End date">
+    </div>
+    <button id="capture-range-btn" class="top-button capture-range-button">
+      <span class="button-icon">🗓️</span>
+      <span class="button-text">Capture Range</span>
+    </button>
+  </div>
+`;
+
 // Main screen with centered scan button
-export const MAIN_SCREEN = `
+export const MAIN_SCREEN = (extras = '') => `
   <div class="scan-container">
     <button id="scan-btn" class="scan-button">
       <span class="button-icon">🔍</span>
       <span class="button-text">SCAN</span>
       <div class="pixel-effect"></div>
     </button>
+    ${CAPTURE_RANGE_FORM}
+    ${extras}
+  </div>
+`;
+
+// Auto Pilot job queue with per-item status
+export const AUTOPILOT_QUEUE = (summary, buttons, items) => `
+  <div id="autopilot-queue" class="autopilot-queue">
+    <div class="autopilot-queue-header">
+      <span class="autopilot-queue-title">Auto Pilot · ${summary}</span>
+      ${buttons}
+    </div>
+    <div class="autopilot-queue-items">${items}</div>
+  </div>
+`;
+
+export const AUTOPILOT_QUEUE_BUTTON = (id, text) => `
+  <button id="${id}" class="change-feed-button">${text}</button>
+`;
+
+export const AUTOPILOT_QUEUE_ITEM = (status, label, error, attempts = '') => `
+  <div class="autopilot-queue-item status-${status}" title="${error}">
+    <span class="autopilot-item-status">${status}</span>
+    <span class="autopilot-item-label">${label}</span>
+    <span class="autopilot-item-attempts">${attempts}</span>
+  </div>
+`;
+
+// Suggested video-to-event matches waiting for confirmation
+export const VIDEO_MATCH_LIST = (count, items) => `
+  <div id="video-matches" class="video-matches">
+    <div class="video-matches-title">Confirm video matches (${count})</div>
+    ${items}
+  </div>
+`;
+
+export const VIDEO_MATCH_ITEM = (eventId, label, imageSrc, videoUrl, confidence, reasons) => `
+  <div class="video-match-item">
+    <div class="video-match-media">
+      ${imageSrc ? `<img src="${imageSrc}" alt="">` : '<div class="video-match-no-image">🎥</div>'}
+      <video src="${videoUrl}" muted preload="metadata"></video>
+    </div>
+    <div class="video-match-info">
+      <div class="video-match-label">${label}</div>
+      <div class="video-match-confidence">${confidence}% · ${reasons}</div>
+      <div class="video-match-actions">
+        <button class="change-feed-button" data-match-action="confirm" data-event-id="${eventId}">Confirm</button>
+        <button class="change-feed-button" data-match-action="reject" data-event-id="${eventId}">Reject</button>
+      </div>
+    </div>
+  </div>
+`;
+
+// HLS / DASH downloads in progress
+export const STREAM_DOWNLOADS = (items) => `
+  <div id="stream-downloads" class="stream-downloads">
+    <div class="stream-downloads-title">Stream downloads</div>
+    ${items}
+  </div>
+`;
+
+export const STREAM_DOWNLOAD_ITEM = (status, label, percent, detail) => `
+  <div class="stream-download-item status-${status}">
+    <div class="stream-download-label">${label}</div>
+    <div class="stream-download-bar"><div class="stream-download-fill" style="width: ${percent}%"></div></div>
+    <div class="stream-download-detail">${detail}</div>
+  </div>
+`;
+
+// Saved capture sessions, shown under the scan button
+export const SESSION_LIST = (items, compareForm = '') => `
+  <div class="session-list">
+    <div class="session-list-title">Saved sessions</div>
+    ${compareForm}
+    ${items}
+  </div>
+`;
+
+export const SESSION_COMPARE_FORM = (beforeOptions, afterOptions) => `
+  <div class="session-compare">
+    <select id="compare-before-select" class="session-compare-select" title="Before">${beforeOptions}</select>
+    <span class="capture-range-separator">→</span>
+    <select id="compare-after-select" class="session-compare-select" title="After">${afterOptions}</select>
+    <button id="compare-sessions-btn" class="session-action">Compare</button>
+  </div>
+`;
+
+// Change report between two sessions
+export const SESSION_COMPARISON = (beforeText, afterText, stats, entries) => `
+  <div class="session-comparison">
+    <div class="session-comparison-toolbar">
+      <button id="comparison-back-btn" class="session-action">← Sessions</button>
+      <button id="export-comparison-csv-btn" class="session-action">Export CSV</button>
+      <button id="export-comparison-html-btn" class="session-action">Export HTML</button>
+    </div>
+    <div class="session-meta">Before: ${beforeText}</div>
+    <div class="session-meta">After: ${afterText}</div>
+    <div class="comparison-stats">${stats}</div>
+    ${entries}
+  </div>
+`;
+
+export const COMPARISON_STAT = (count, label) => `<span class="comparison-stat"><strong>${count}</strong> ${label}</span>`;
+
+export const COMPARISON_ENTRY = (kinds, label, beforeSide, afterSide) => `
+  <div class="comparison-entry">
+    <div class="comparison-entry-title">${kinds} ${label}</div>
+    <div class="comparison-sides">${beforeSide}${afterSide}</div>
+  </div>
+`;
+
+export const COMPARISON_KIND = (kind, label) => `<span class="comparison-kind kind-${kind}">${label}</span>`;
+
+export const COMPARISON_SIDE = (thumbnail, time, caption) => `
+  <div class="comparison-side">
+    ${thumbnail ? `<img src="${thumbnail}" alt="" class="comparison-thumb">` : '<div class="comparison-missing">No image</div>'}
+    <div class="comparison-time">${time}</div>
+    <div class="comparison-caption">${caption}</div>
+  </div>
+`;
+
+export const COMPARISON_EMPTY = `
+  <div class="comparison-missing">No changes between these sessions</div>
+`;
+
+export const COMPARISON_SIDE_MISSING = `
+  <div class="comparison-side"><div class="comparison-missing">Not in this session</div></div>
+`;
+
+export const SESSION_ITEM = (id, name, meta, isCurrent) => `
+  <div class="session-item${isCurrent ? ' current' : ''}">
+    <input type="text" class="session-name-input" data-session-id="${id}" value="${name}" title="Rename session">
+    <div class="session-meta">${meta}</div>
+    <div class="session-actions">
+      <button class="session-action" data-session-action="open" data-session-id="${id}">Open</button>
+      <button class="session-action" data-session-action="export" data-session-id="${id}">Export CSV</button>
+      <button class="session-action danger" data-session-action="delete" data-session-id="${id}">Delete</button>
+    </div>
   </div>
 `;
 
@@ -127,6 +280,10 @@ export const HEADER_BUTTONS = `
       <span class="button-icon">🎬</span>
       <span class="button-text">Scan Videos</span>
     </button>
+    <button id="sessions-btn" class="top-button">
+      <span class="button-icon">🗂️</span>
+      <span class="button-text">Sessions</span>
+    </button>
   </div>
 `;
 
@@ -140,6 +297,90 @@ export const LIVE_SCAN_TOGGLE = `
   </div>
 `;
 
+// Workspace time zone (auto-detected or per-workspace override) and the zone exports are written in
+export const TIME_ZONE_SETTINGS = (workspaceOptions, exportOptions) => `
+  <div class="time-zone-settings">
+    <label class="time-zone-field">
+      <span class="time-zone-label">Workspace zone</span>
+      <select id="workspace-time-zone-select" class="time-zone-select">${workspaceOptions}</select>
+    </label>
+    <label class="time-zone-field">
+      <span class="time-zone-label">Export times in</span>
+      <select id="export-time-zone-select" class="time-zone-select">${exportOptions}</select>
+    </label>
+  </div>
+`;
+
+// Optional CSV columns and the Cloudinary rendition media files are downloaded as
+export const EXPORT_OPTIONS = (captionColumns, statusColumns, mediaColumns, presetOptions) => `
+  <div class="export-options">
+    <label class="export-option">
+      <input type="checkbox" id="caption-columns-checkbox"${captionColumns ? ' checked' : ''}>
+      <span class="export-option-text">Caption columns in CSV</span>
+    </label>
+    <label class="export-option">
+      <input type="checkbox" id="status-columns-checkbox"${statusColumns ? ' checked' : ''}>
+      <span class="export-option-text">Status columns in CSV</span>
+    </label>
+    <label class="export-option">
+      <input type="checkbox" id="media-columns-checkbox"${mediaColumns ? ' checked' : ''}>
+      <span class="export-option-text">Media columns in CSV</span>
+    </label>
+    <label class="time-zone-field">
+      <span class="time-zone-label">Download media as</span>
+      <select id="media-preset-select" class="time-zone-select">${presetOptions}</select>
+    </label>
+  </div>
+`;
+
+// Optional capture modes
+export const CAPTURE_OPTIONS = (networkMedia) => `
+  <div class="export-options">
+    <label class="export-option">
+      <input type="checkbox" id="network-media-checkbox"${networkMedia ? ' checked' : ''}>
+      <span class="export-option-text">Read media URLs from network requests</span>
+    </label>
+  </div>
+`;
+
+// Grid filters by status, approval and author
+export const EVENT_FILTERS = (statusOptions, approvalOptions, authorOptions) => `
+  <div class="event-filters">
+    <select id="status-filter-select" class="event-filter-select" data-filter="status">${statusOptions}</select>
+    <select id="approval-filter-select" class="event-filter-select" data-filter="approval">${approvalOptions}</select>
+    <select id="author-filter-select" class="event-filter-select" data-filter="author">${authorOptions}</select>
+  </div>
+`;
+
+// Live scan change log
+export const CHANGE_FEED = (count, items) => `
+  <div class="change-feed">
+    <div class="change-feed-header">
+      <span class="change-feed-title">Live changes (${count})</span>
+      <button id="export-change-feed-btn" class="change-feed-button">Export CSV</button>
+      <button id="clear-change-feed-btn" class="change-feed-button">Clear</button>
+    </div>
+    <div class="change-feed-items">${items}</div>
+  </div>
+`;
+
+export const CHANGE_FEED_ITEM = (time, type, label, changes) => `
+  <div class="change-feed-item change-${type}">
+    <span class="change-feed-time">${time}</span>
+    <span class="change-feed-type">${type}</span>
+    <span class="change-feed-label">${label}</span>
+    ${changes}
+  </div>
+`;
+
+export const CHANGE_FEED_FIELD = (label, before, after) => `
+  <div class="change-feed-field"><strong>${label}:</strong> <del>${before}</del> → <ins>${after}</ins></div>
+`;
+
+export const SELECT_OPTION = (value, text, selected = false) => `
+  <option value="${value}"${selected ? ' selected' : ''}>${text}</option>
+`;
+
 export const INSPECTOR_RESULTS = `
   <div id="inspector-results" style="display: none; background: rgba(0,0,0,0.2); padding: 15px; border-radius: 8px; margin-bottom: 20px; font-family: monospace; font-size: 12px;">
     <div style="font-weight: bold; margin-bottom: 5px; color: #3498db;">HOVER INSPECTOR ACTIVE</div>
@@ -183,7 +424,7 @@ export const EVENTS_GRID = (count, cards) => `
   </div>
 `;
 
-export const EVENT_CARD = (index, imageHtml, label, platforms, desc, duration, timestamp, hasVideo, eventUrl) => `
+export const EVENT_CARD = (index, imageHtml, label, platforms, desc, duration, timestamp, hasVideo, eventUrl, statusBadges = '') => `
   <div class="event-card" data-index="${index}">
     ${imageHtml}
     <div class="event-card-content">
@@ -199,11 +440,14 @@ export const EVENT_CARD = (index, imageHtml, label, platforms, desc, duration, t
           ${duration ? `<span class="indicator duration">⏱️ ${duration}</span>` : ''}
         </div>
       </div>
+      ${statusBadges ? `<div class="event-card-status">${statusBadges}</div>` : ''}
       <div class="event-card-desc">${desc}</div>
     </div>
   </div>
 `;
 
+export const STATUS_BADGE = (text, type) => `<span class="indicator status-${type}">${text}</span>`;
+
 export const EVENT_IMAGE = (src, alt = "Event") => `
   <img src="${src}" alt="${alt}" class="event-card-image">
 `;
@@ -232,19 +476,38 @@ export const EVENT_DETAIL_BACK_BUTTON = (btnBg, btnColor) => `
   </div>
 `;
 
-export const EVENT_DETAIL_CONTENT = (mediaDiv, label, platforms, timestamp, description, actions) => `
+export const EVENT_DETAIL_CONTENT = (mediaDiv, label, platforms, timestamp, description, actions, captionChips = '', mediaInfo = '') => `
   <div style="padding-top: 40px; text-align: center;">
     <div id="media-loading">${mediaDiv}</div>
+    ${mediaInfo}
     <div style="margin-top: 10px; font-weight: bold;">${label}</div>
     ${platforms ? `<div style="margin-top: 5px; font-size: 14px; color: #666;">Platforms: ${platforms}</div>` : ''}
     ${timestamp ? `<div style="margin-top: 5px; font-size: 14px; color: #666;">Time: ${timestamp}</div>` : ''}
     <div style="margin-top: 10px; font-size: 14px; text-align: left; line-height: 1.4;">
       ${description}
     </div>
+    ${captionChips}
     ${actions}
   </div>
 `;
 
+// Parsed caption: hashtag / mention / link / emoji chips with character and word counts
+export const CAPTION_CHIPS = (chips, charCount, wordCount) => `
+  <div style="margin-top: 10px; display: flex; flex-wrap: wrap; gap: 4px; justify-content: flex-start;">
+    ${chips}
+  </div>
+  <div style="margin-top: 5px; font-size: 12px; color: #666; text-align: left;">${charCount} characters · ${wordCount} words</div>
+`;
+
+// Probed size, type, dimensions, duration and codec of the event's media (filled in once probed)
+export const MEDIA_INFO = (eventId, summary) => `
+  <div id="media-info" data-event-id="${eventId}" style="margin-top: 5px; font-size: 12px; color: #666;">${summary}</div>
+`;
+
+export const CAPTION_CHIP = (text, color) => `
+  <span style="background: ${color}22; color: ${color}; border: 1px solid ${color}; border-radius: 10px; padding: 2px 8px; font-size: 12px; word-break: break-all;">${text}</span>
+`;
+
 export const EVENT_DETAIL_ACTIONS = (testBtn, extractBtn, downloadBtn) => `
   <div style="position: absolute; bottom: 15px; left: 15px; right: 15px;">
     ${testBtn}
@@ -0,0 +1,67 @@
+import { DateResolver } from './DateResolver.js';
+
+/**
+ * AutoPilotReport - Per-event report of an Auto Pilot run
+ * Lists what each item set out to fill, what it actually filled, how long it took, how many
+ * attempts it needed and why it failed, so failures can be handed over for manual fixing.
+ */
+export class AutoPilotReport {
+    /**
+     * Fields the report tracks as wanted / filled, in column order
+     */
+    static REPORT_FIELDS = ['videoSrc', 'imageSrc', 'fullDescription'];
+
+    /**
+     * Fields the event was still missing when it was queued
+     * @param {Object} event - Event
+     * @returns {Array<string>} Subset of REPORT_FIELDS
+     */
+    static getWantedFields(event) {
+        return AutoPilotReport.REPORT_FIELDS.filter(field =>
+            field === 'videoSrc' ? event.hasVideo && !event.videoSrc : !event[field]
+        );
+    }
+
+    /**
+     * Build the report for a job
+     * @param {Object} job - Auto Pilot job (see AutoPilotService)
+     * @param {Array<Object>} events - Current events, for post times and URLs
+     * @returns {Object} { job, counts, items } where each item is { eventId, label, scheduledFor, eventUrl,
+     *          status, attemptedFields, filledFields, error, durationMs, attemptCount, attempts }
+     */
+    static build(job, events) {
+        const eventsById = new Map(events.map(event => [event.id, event]));
+
+        const items = job.items.map(item => {
+            const event = eventsById.get(item.eventId) || {};
+            return {
+                eventId: item.eventId,
+                label: item.label,
+                scheduledFor: DateResolver.formatPostTime(event) || event.timestamp || '',
+                eventUrl: event.eventUrl || '',
+                status: item.status,
+                attemptedFields: item.attemptedFields || [],
+                filledFields: item.filledFields || [],
+                error: item.error || '',
+                durationMs: item.durationMs || 0,
+                attemptCount: item.attempts?.length || 0,
+                attempts: item.attempts || []
+            };
+        });
+
+        const counts = { done: 0, failed: 0, skipped: 0, pending: 0, running: 0 };
+        items.forEach(item => counts[item.status]++);
+
+        return {
+            job: {
+                id: job.id,
+                sessionId: job.sessionId,
+                status: job.status,
+                createdAt: job.createdAt,
+                updatedAt: job.updatedAt
+            },
+            counts,
+            items
+        };
+    }
+}
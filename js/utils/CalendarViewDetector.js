@@ -0,0 +1,237 @@
+import { SelectorConstants } from '../constants/SelectorConstants.js';
+import { DateResolver } from './DateResolver.js';
+
+const MONTH_NAMES = DateResolver.MONTH_NAMES;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DATE_TEXT_PATTERN = /\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+\d{1,2}\b|\b\d{1,2}\/\d{1,2}\/\d{4}\b/i;
+
+/**
+ * Formats a date the same way Blaze labels week columns (e.g. "Dec 8 Mon")
+ * @param {Date} date - Date to format
+ * @returns {string} Column-style date label
+ */
+const formatColumnDate = (date) =>
+    `${MONTH_NAMES[date.getMonth()]} ${date.getDate()} ${WEEKDAY_NAMES[date.getDay()]}`;
+
+/**
+ * Reads the ?date=YYYY-MM-DD anchor Blaze keeps in the calendar URL
+ * @returns {Date|null} Anchor date or null
+ */
+const getUrlAnchorDate = () => DateResolver.getUrlAnchorDate(window.location.href);
+
+/**
+ * Normalizes free-form date text ("Monday, Dec 15", "12/15/2025") to the column format
+ * @param {string} text - Date text
+ * @returns {string} Column-style date label, or the trimmed text if it can't be parsed
+ */
+const normalizeDateText = (text) => {
+    if (!text) return '';
+    const monthMatch = text.match(/\b(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.?\s+(\d{1,2})\b(?:,?\s+(\d{4}))?/i);
+    if (monthMatch) {
+        return formatColumnDate(DateResolver.resolveLabelDate(monthMatch[0], getUrlAnchorDate() || new Date()));
+    }
+    const numericMatch = text.match(/\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+    if (numericMatch) {
+        return formatColumnDate(new Date(Number(numericMatch[3]), Number(numericMatch[1]) - 1, Number(numericMatch[2])));
+    }
+    return text.trim();
+};
+
+/**
+ * Week view - cards live in WeekViewV2 day columns, each headed by a date label
+ */
+const weekViewStrategy = {
+    name: 'week',
+    matches: () => document.querySelectorAll(SelectorConstants.WEEK_DAY_COLUMN).length > 1,
+    prepare() {
+        const dateHeaders = Array.from(document.querySelectorAll(SelectorConstants.WEEK_DAY_HEADER))
+            .map(h => h.textContent?.trim() || '');
+        this.columns = Array.from(document.querySelectorAll(SelectorConstants.WEEK_DAY_COLUMN));
+        this.columnDates = {};
+        this.columns.forEach((col, idx) => {
+            this.columnDates[idx] = dateHeaders[idx] || '';
+        });
+        console.log(`📅 Found ${dateHeaders.length} date headers:`, dateHeaders);
+        return this.columns;
+    },
+    resolveDate(container) {
+        const dayColumn = container.closest(SelectorConstants.WEEK_DAY_COLUMN);
+        const columnIndex = this.columns.indexOf(dayColumn);
+        if (columnIndex >= 0 && this.columnDates[columnIndex]) {
+            return this.columnDates[columnIndex];
+        }
+        return this.columnDates[0] || '';
+    }
+};
+
+/**
+ * Month view - a grid of day cells that only show the day number,
+ * so the month comes from the toolbar and rolls over at the grid edges
+ */
+const monthViewStrategy = {
+    name: 'month',
+    matches: () => !!document.querySelector(SelectorConstants.MONTH_TABLE),
+    prepare() {
+        const cells = Array.from(document.querySelectorAll(SelectorConstants.MONTH_DAY_CELL));
+        const monthTitle = document.querySelector(SelectorConstants.CALENDAR_TITLE)?.textContent || '';
+        const titleMatch = monthTitle.match(/([A-Za-z]+)\s+(\d{4})/);
+        const anchor = getUrlAnchorDate() || new Date();
+        let monthIndex = anchor.getMonth();
+        let year = anchor.getFullYear();
+        if (titleMatch) {
+            const parsed = DateResolver.getMonthIndex(titleMatch[1]);
+            if (parsed >= 0) monthIndex = parsed;
+            year = Number(titleMatch[2]);
+        }
+
+        // Cells before the first "1" belong to the previous month, cells after the
+        // second "1" to the next one
+        this.cellDates = new Map();
+        let offset = -1;
+        let seenFirstDay = false;
+        cells.forEach(cell => {
+            const dayText = cell.querySelector(SelectorConstants.DAY_DATE)?.textContent || cell.textContent || '';
+            const day = parseInt(dayText.trim().match(/^\d{1,2}/)?.[0], 10);
+            if (!day) return;
+            if (day === 1) {
+                offset = seenFirstDay ? 1 : 0;
+                seenFirstDay = true;
+            }
+            this.cellDates.set(cell, formatColumnDate(new Date(year, monthIndex + offset, day)));
+        });
+        console.log(`📅 Month view: ${this.cellDates.size} day cells for ${MONTH_NAMES[monthIndex]} ${year}`);
+        return [];
+    },
+    resolveDate(container) {
+        const cell = container.closest(SelectorConstants.MONTH_DAY_CELL);
+        return (cell && this.cellDates.get(cell)) || '';
+    }
+};
+
+/**
+ * Day view - a single column, dated by its header or the URL anchor
+ */
+const dayViewStrategy = {
+    name: 'day',
+    matches: () => document.querySelectorAll(SelectorConstants.WEEK_DAY_COLUMN).length === 1 ||
+        document.querySelectorAll(SelectorConstants.DAY_CONTAINER).length === 1,
+    prepare() {
+        const headerText = document.querySelector(
+            `${SelectorConstants.WEEK_DAY_HEADER}, ${SelectorConstants.DAY_HEADER}, ${SelectorConstants.DAY_DATE}`
+        )?.textContent?.trim() || '';
+        const anchor = getUrlAnchorDate();
+        this.date = normalizeDateText(headerText) || (anchor ? formatColumnDate(anchor) : '');
+        return Array.from(document.querySelectorAll(`${SelectorConstants.WEEK_DAY_COLUMN}, ${SelectorConstants.DAY_ITEMS}`));
+    },
+    resolveDate() {
+        return this.date;
+    }
+};
+
+/**
+ * List/agenda view - rows grouped under date headings, or carrying their own date cell
+ */
+const listViewStrategy = {
+    name: 'list',
+    matches: () => !!document.querySelector(
+        `${SelectorConstants.LIST_CONTAINER} ${SelectorConstants.EVENT_CONTAINER}, ${SelectorConstants.LIST_ROW}`
+    ),
+    prepare() {
+        this.rowDates = new Map();
+        return [];
+    },
+    resolveDate(container) {
+        const row = container.closest(SelectorConstants.LIST_ROW);
+        if (row && this.rowDates.has(row)) return this.rowDates.get(row);
+
+        let date = '';
+        const ownCell = row && Array.from(row.querySelectorAll(SelectorConstants.LIST_CELL))
+            .find(cell => DATE_TEXT_PATTERN.test(cell.textContent || ''));
+        if (ownCell) {
+            date = normalizeDateText(ownCell.textContent.match(DATE_TEXT_PATTERN)[0]);
+        } else {
+            // Walk back through previous siblings looking for a group heading
+            let node = row || container;
+            while (node && !date) {
+                let sibling = node.previousElementSibling;
+                while (sibling && !date) {
+                    const text = sibling.textContent || '';
+                    if (text.length < 40 && DATE_TEXT_PATTERN.test(text)) {
+                        date = normalizeDateText(text.match(DATE_TEXT_PATTERN)[0]);
+                    }
+                    sibling = sibling.previousElementSibling;
+                }
+                node = node.parentElement;
+                if (node?.matches?.(SelectorConstants.LIST_CONTAINER)) break;
+            }
+        }
+
+        if (row) this.rowDates.set(row, date);
+        return date;
+    }
+};
+
+/**
+ * Fallback when no known layout matches - every card gets the URL anchor date
+ */
+const unknownViewStrategy = {
+    name: 'unknown',
+    matches: () => true,
+    prepare: () => [],
+    resolveDate: () => {
+        const anchor = getUrlAnchorDate();
+        return anchor ? formatColumnDate(anchor) : '';
+    }
+};
+
+/**
+ * CalendarViewDetector - Picks the date-resolution strategy for whatever calendar layout is on screen
+ * Each strategy exposes prepare() (returns the scrollable columns) and resolveDate(container)
+ */
+export class CalendarViewDetector {
+    constructor() {
+        // Order matters: list and month layouts may embed week-style columns
+        this.strategies = [listViewStrategy, monthViewStrategy, weekViewStrategy, dayViewStrategy, unknownViewStrategy];
+    }
+
+    /**
+     * Detect the current calendar view
+     * @returns {Object} The matching strategy
+     */
+    detect() {
+        const strategy = this.strategies.find(s => s.matches());
+        console.log(`🗓️ Detected calendar view: ${strategy.name}`);
+        return strategy;
+    }
+
+    /**
+     * Read the period the calendar is showing (headers, toolbar title and page URL)
+     * @returns {Object} Raw period data used by CaptureHandler to compute date bounds
+     */
+    readPeriod() {
+        const textOf = (selector) => Array.from(document.querySelectorAll(selector))
+            .map(el => el.textContent?.trim() || '')
+            .filter(Boolean);
+        return {
+            headers: textOf(SelectorConstants.WEEK_DAY_HEADER),
+            dayHeaders: textOf(SelectorConstants.DAY_HEADER),
+            title: textOf(SelectorConstants.CALENDAR_TITLE)[0] || '',
+            url: window.location.href
+        };
+    }
+
+    /**
+     * Click Blaze's previous/next period control
+     * @param {string} direction - 'previous' or 'next'
+     * @returns {boolean} True if a control was clicked
+     */
+    navigate(direction) {
+        const pattern = direction === 'next' ? /^next/i : /^prev/i;
+        const controls = document.querySelector(SelectorConstants.PERIOD_NAVIGATION) || document;
+        const button = Array.from(controls.querySelectorAll('button, [role="button"]'))
+            .find(el => pattern.test(el.getAttribute('aria-label')?.trim() || ''));
+        if (!button) return false;
+        button.click();
+        return true;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * CaptionParser - Splits a post caption into hashtags, mentions, links and emojis
+ * Runs inside the page during capture and in the popup when a fuller caption is read from the detail view.
+ */
+export class CaptionParser {
+    static URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+    static HASHTAG_PATTERN = /(^|[^\p{L}\p{N}_&/])#([\p{L}\p{N}_]+)/gu;
+    static MENTION_PATTERN = /(^|[^\p{L}\p{N}_.@])@([\p{L}\p{N}_]+(?:\.[\p{L}\p{N}_]+)*)/gu;
+    static EMOJI_PATTERN = /\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)*(?:\u200D\p{Extended_Pictographic}(?:\p{Emoji_Modifier}|\uFE0F)*)*|\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3/gu;
+
+    /**
+     * CSV column headers for the optional caption columns, in the order of toCsvFields
+     */
+    static CSV_HEADERS = ['Plain Text', 'Hashtags', 'Mentions', 'URLs', 'Emojis', 'Characters', 'Words'];
+
+    /**
+     * Parse a caption
+     * @param {string} caption - Caption text
+     * @returns {Object} { plainText, hashtags, mentions, urls, emojis, charCount, wordCount }
+     */
+    static parse(caption) {
+        const text = (caption || '').trim();
+
+        const urls = CaptionParser.unique(
+            (text.match(CaptionParser.URL_PATTERN) || []).map(url => url.replace(/[.,!?;:)\]]+$/, ''))
+        );
+
+        // Links can contain "#" and "@", so look for tags in the text without them
+        const withoutUrls = text.replace(CaptionParser.URL_PATTERN, ' ');
+        const hashtags = CaptionParser.unique(
+            Array.from(withoutUrls.matchAll(CaptionParser.HASHTAG_PATTERN), match => `#${match[2]}`)
+        );
+        const mentions = CaptionParser.unique(
+            Array.from(withoutUrls.matchAll(CaptionParser.MENTION_PATTERN), match => `@${match[2]}`)
+        );
+        const emojis = CaptionParser.unique(text.match(CaptionParser.EMOJI_PATTERN) || []);
+
+        const plainText = text
+            .replace(CaptionParser.EMOJI_PATTERN, ' ')
+            .replace(/[\u200B-\u200D\uFE0E\uFE0F]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+
+        return {
+            plainText,
+            hashtags,
+            mentions,
+            urls,
+            emojis,
+            charCount: CaptionParser.countCharacters(text),
+            wordCount: plainText.split(' ').filter(word => /[\p{L}\p{N}]/u.test(word)).length
+        };
+    }
+
+    /**
+     * Values for the optional caption CSV columns (see CSV_HEADERS)
+     * @param {Object} event - Event carrying parsed caption fields
+     * @returns {Array<string>} Unquoted column values
+     */
+    static toCsvFields(event) {
+        const list = (items) => (items || []).join(' ');
+        return [
+            event.plainText || '',
+            list(event.hashtags),
+            list(event.mentions),
+            list(event.urls),
+            list(event.emojis),
+            String(event.charCount ?? ''),
+            String(event.wordCount ?? '')
+        ];
+    }
+
+    /**
+     * Count user-perceived characters, so an emoji with skin tone counts once
+     * @param {string} text - Text to count
+     * @returns {number} Character count
+     */
+    static countCharacters(text) {
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text)).length;
+        }
+        return Array.from(text).length;
+    }
+
+    /**
+     * Drop repeats (case-insensitively), keeping the first spelling
+     * @param {Array<string>} items - Items to de-duplicate
+     * @returns {Array<string>} Unique items in original order
+     */
+    static unique(items) {
+        const seen = new Set();
+        return items.filter(item => {
+            const key = item.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+}
@@ -0,0 +1,188 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+
+/**
+ * CloudinaryResolver - Parses Cloudinary delivery URLs and rewrites them to another rendition
+ * Blaze shows resized previews and thumbnails, so the URL on the page is rarely the uploaded
+ * file. A delivery URL reads
+ *   https://res.cloudinary.com/<cloud>/<resource type>/<delivery type>/<transformations>/v<version>/<public_id>.<format>
+ * and dropping or replacing the transformation segments gives the original asset or a preset
+ * rendition (WorkflowConfig.CLOUDINARY.PRESETS). Blaze composes posts from overlay and underlay
+ * layers (l_ / u_ ... fl_layer_apply), so those and the canvas they are placed on are kept; only
+ * size, format and quality change. Anything else is left as it is.
+ */
+export class CloudinaryResolver {
+    /**
+     * Transformation parameter keys (the part before "_" in "w_1080")
+     */
+    static TRANSFORMATION_KEYS = new Set([
+        'a', 'ac', 'af', 'ar', 'b', 'bo', 'br', 'c', 'co', 'cs', 'd', 'dl', 'dn', 'dpr', 'du', 'e', 'eo',
+        'f', 'fl', 'fn', 'fps', 'g', 'h', 'if', 'ki', 'l', 'o', 'p', 'pg', 'q', 'r', 'so', 'sp', 't', 'u',
+        'vc', 'vs', 'w', 'x', 'y', 'z'
+    ]);
+
+    /**
+     * Transformation components that add a layer or close one
+     */
+    static LAYER_COMPONENT = /^(l|u)_|^fl_layer_apply$/;
+
+    /**
+     * Transformation components that only set delivery format and quality
+     */
+    static DELIVERY_COMPONENT = /^(f|q)_/;
+
+    static RESOURCE_TYPES = new Set(['image', 'video', 'raw']);
+
+    static IMAGE_FORMATS = new Set(['jpg', 'jpeg', 'png', 'webp', 'avif', 'gif', 'bmp', 'tiff', 'heic']);
+
+    /**
+     * Split a Cloudinary delivery URL into its parts
+     * @param {string} url - Media URL
+     * @returns {Object|null} { base, cloudName, resourceType, deliveryType, signature, transformations,
+     *   version, publicId, format, search }, or null for URLs that aren't Cloudinary deliveries
+     */
+    static parse(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return null;
+        }
+        if (!/(^|\.)cloudinary\.com$/i.test(parsed.hostname)) return null;
+
+        const segments = parsed.pathname.split('/').filter(Boolean);
+
+        // Shared host: /<cloud>/<resource type>/...; private CDN host: <cloud>-res.cloudinary.com/<resource type>/...
+        const privateHost = parsed.hostname.match(/^([^.]+)-res\.cloudinary\.com$/i);
+        const cloudName = privateHost ? privateHost[1] : segments.shift();
+        const base = privateHost ? parsed.origin : `${parsed.origin}/${cloudName}`;
+
+        const resourceType = segments.shift();
+        const deliveryType = segments.shift();
+        if (!cloudName || !CloudinaryResolver.RESOURCE_TYPES.has(resourceType) || !deliveryType || segments.length === 0) {
+            return null;
+        }
+
+        const signature = /^s--[^/]+--$/.test(segments[0]) ? segments.shift() : null;
+
+        // The version marks where transformations end; without one, take transformation-shaped segments
+        const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+        const transformationCount = versionIndex >= 0
+            ? versionIndex
+            : segments.findIndex(segment => !CloudinaryResolver.isTransformation(segment));
+        if (transformationCount < 0) return null;
+
+        const transformations = segments.splice(0, transformationCount);
+        const version = versionIndex >= 0 ? segments.shift() : null;
+        if (segments.length === 0) return null;
+
+        // Raw files keep their extension as part of the public ID
+        let publicId = segments.join('/');
+        let format = '';
+        const extension = publicId.match(/\.([a-zA-Z0-9]+)$/);
+        if (extension && resourceType !== 'raw') {
+            format = extension[1].toLowerCase();
+            publicId = publicId.slice(0, -extension[0].length);
+        }
+
+        return { base, cloudName, resourceType, deliveryType, signature, transformations, version, publicId, format, search: parsed.search };
+    }
+
+    /**
+     * Assemble a delivery URL from parts returned by parse
+     * @param {Object} parts - URL parts
+     * @returns {string} Delivery URL
+     */
+    static build(parts) {
+        const path = [
+            parts.resourceType,
+            parts.deliveryType,
+            parts.signature,
+            ...parts.transformations,
+            parts.version,
+            parts.format ? `${parts.publicId}.${parts.format}` : parts.publicId
+        ].filter(Boolean).join('/');
+
+        return `${parts.base}/${path}${parts.search || ''}`;
+    }
+
+    /**
+     * Whether a path segment is a transformation (every comma-separated component is key_value)
+     * @param {string} segment - Path segment
+     * @returns {boolean} True for transformation segments
+     */
+    static isTransformation(segment) {
+        return segment.split(',').every(component => {
+            const match = component.match(/^\$?([a-z]+)_./);
+            return match && (component.startsWith('$') || CloudinaryResolver.TRANSFORMATION_KEYS.has(match[1]));
+        });
+    }
+
+    /**
+     * Rewrite a URL for a media preset
+     * Signed URLs are left alone (changing their transformations breaks the signature), as are
+     * fetch deliveries, whose public ID is a remote URL.
+     * @param {string} url - Media URL
+     * @param {string} presetName - Key of WorkflowConfig.CLOUDINARY.PRESETS
+     * @param {Object} [options] - { offset } seconds into the video for poster presets
+     * @returns {string} Rewritten URL, or the URL unchanged when it can't be rewritten
+     */
+    static resolve(url, presetName = WorkflowConfig.CLOUDINARY.DEFAULT_PRESET, options = {}) {
+        const preset = WorkflowConfig.CLOUDINARY.PRESETS[presetName];
+        if (!url || !preset || preset.keepUrl) return url;
+
+        const parts = CloudinaryResolver.parse(url);
+        if (!parts || parts.signature || parts.deliveryType === 'fetch') return url;
+
+        // Presets without a rendition for this resource type (e.g. MP4 for an image) give the original
+        const layers = CloudinaryResolver.getLayerTransformations(parts.transformations);
+        const rendition = preset[parts.resourceType];
+        if (!rendition) {
+            return CloudinaryResolver.build({ ...parts, transformations: layers });
+        }
+
+        // The preset applies to the composed result, after the layers
+        const offset = options.offset ?? WorkflowConfig.CLOUDINARY.POSTER_OFFSET_SECONDS;
+        return CloudinaryResolver.build({
+            ...parts,
+            transformations: [...layers, rendition.transformation.replace('{offset}', offset)],
+            format: rendition.format
+        });
+    }
+
+    /**
+     * Transformation segments that compose the asset: everything up to the last layer segment,
+     * since layers are positioned on the canvas the segments before them set up. Format and
+     * quality components are dropped; segments after the last layer only shape the delivery.
+     * @param {Array<string>} transformations - Transformation segments
+     * @returns {Array<string>} Segments to keep, empty when the URL has no layers
+     */
+    static getLayerTransformations(transformations) {
+        const components = (segment) => segment.split(',');
+        const lastLayer = transformations.findLastIndex(segment =>
+            components(segment).some(component => CloudinaryResolver.LAYER_COMPONENT.test(component))
+        );
+
+        return transformations.slice(0, lastLayer + 1)
+            .map(segment => components(segment).filter(component => !CloudinaryResolver.DELIVERY_COMPONENT.test(component)).join(','))
+            .filter(Boolean);
+    }
+
+    /**
+     * The uploaded asset in its delivered format: no transformations other than its layers
+     * @param {string} url - Media URL
+     * @returns {string} Original asset URL, or the URL unchanged when it can't be rewritten
+     */
+    static toOriginal(url) {
+        return CloudinaryResolver.resolve(url, 'original');
+    }
+
+    /**
+     * Whether a URL delivers an image, so a resolved video poster can be saved and shown as one
+     * @param {string} url - Media URL
+     * @returns {boolean} True for image formats
+     */
+    static isImageUrl(url) {
+        const extension = (url || '').match(/\.([a-zA-Z0-9]+)(?:\?|$)/);
+        return !!extension && CloudinaryResolver.IMAGE_FORMATS.has(extension[1].toLowerCase());
+    }
+}
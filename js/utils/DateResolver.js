@@ -0,0 +1,280 @@
+/**
+ * DateResolver - Turns Blaze's year-less calendar labels into full dates
+ * Week columns read "Dec 29 Mon", so the year has to come from the period Blaze is showing
+ * (toolbar title, column headers, ?date= URL anchor). Shared by capture, range crawl and the CSV exporters.
+ * Card times are wall-clock times in the workspace time zone; toInstant/formatInZone convert them.
+ */
+export class DateResolver {
+    static MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    /**
+     * Returns the 0-based month index for an English month name or abbreviation
+     * @param {string} name - Month name
+     * @returns {number} Month index or -1
+     */
+    static getMonthIndex(name) {
+        return DateResolver.MONTH_NAMES.findIndex(month => month.toLowerCase() === (name || '').slice(0, 3).toLowerCase());
+    }
+
+    /**
+     * Parses a YYYY-MM-DD string into a local date
+     * @param {string} value - ISO date string
+     * @returns {Date|null} Local date or null
+     */
+    static parseIsoDate(value) {
+        const match = value?.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+
+    /**
+     * Formats a date as YYYY-MM-DD in local time
+     * @param {Date|null} date - Date to format
+     * @returns {string} ISO date string, or '' when there is no date
+     */
+    static toIsoDate(date) {
+        if (!date) return '';
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Reads the ?date=YYYY-MM-DD anchor Blaze keeps in the calendar URL
+     * @param {string} url - Page URL
+     * @returns {Date|null} Anchor date or null
+     */
+    static getUrlAnchorDate(url) {
+        try {
+            return DateResolver.parseIsoDate(new URL(url).searchParams.get('date'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Parses the first "Dec 2025" or "Dec 29, 2025" in a toolbar title
+     * @param {string} title - Calendar toolbar title
+     * @returns {Object|null} { date, hasDay } or null when the title carries no year
+     */
+    static parseTitleDate(title) {
+        const match = Array.from(title?.matchAll(/\b([A-Za-z]{3,})\.?\s+(?:(\d{1,2}),?\s+)?(\d{4})\b/g) || [])
+            .find(candidate => DateResolver.getMonthIndex(candidate[1]) >= 0);
+        if (!match) return null;
+
+        return {
+            date: new Date(Number(match[3]), DateResolver.getMonthIndex(match[1]), match[2] ? Number(match[2]) : 1),
+            hasDay: !!match[2]
+        };
+    }
+
+    /**
+     * Resolves a calendar label such as "Dec 8 Mon" to the date closest to the reference
+     * An explicit year in the label ("Dec 8, 2026") wins over the reference.
+     * @param {string} text - Label text
+     * @param {Date} reference - Date the label is known to be near
+     * @returns {Date|null} Resolved date or null
+     */
+    static resolveLabelDate(text, reference) {
+        const match = Array.from(text?.matchAll(/\b([A-Za-z]{3,})\.?\s+(\d{1,2})\b(?:,?\s+(\d{4})\b)?/g) || [])
+            .find(candidate => DateResolver.getMonthIndex(candidate[1]) >= 0);
+        if (!match) return null;
+
+        const monthIndex = DateResolver.getMonthIndex(match[1]);
+        const day = Number(match[2]);
+        if (match[3]) {
+            return new Date(Number(match[3]), monthIndex, day);
+        }
+
+        const candidates = [-1, 0, 1].map(offset => new Date(reference.getFullYear() + offset, monthIndex, day));
+        return candidates.reduce((best, candidate) =>
+            Math.abs(candidate - reference) < Math.abs(best - reference) ? candidate : best
+        );
+    }
+
+    /**
+     * Resolves consecutive labels (e.g. week column headers), each against the one before it
+     * so a Dec 29 - Jan 4 week rolls into the next year instead of jumping back
+     * @param {Array<string>} labels - Labels in calendar order
+     * @param {Date} anchor - Date the first label is near
+     * @returns {Array<Date>} Resolved dates (unparseable labels are dropped)
+     */
+    static resolveLabelSequence(labels, anchor) {
+        let reference = anchor;
+        return labels
+            .map(text => {
+                const date = DateResolver.resolveLabelDate(text, reference);
+                if (date) reference = date;
+                return date;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Computes the date bounds of the period Blaze is showing
+     * The toolbar title's year is authoritative; otherwise the caller's reference, the URL anchor, then today.
+     * @param {Object} page - Raw period from CalendarViewDetector.readPeriod ({ headers, dayHeaders, title, url })
+     * @param {Date} [reference] - Date near the period, e.g. the previous period when crawling
+     * @returns {Object|null} { start, end } or null when nothing on the page is readable
+     */
+    static resolvePeriod(page, reference = null) {
+        const titleDate = DateResolver.parseTitleDate(page.title);
+        const urlDate = DateResolver.getUrlAnchorDate(page.url);
+        const anchor = titleDate?.date || reference || urlDate || new Date();
+
+        let dates = DateResolver.resolveLabelSequence(page.headers, anchor);
+        if (dates.length === 0 && titleDate && !titleDate.hasDay) {
+            // Month view: the title names the whole month
+            const { date } = titleDate;
+            dates = [date, new Date(date.getFullYear(), date.getMonth() + 1, 0)];
+        }
+        if (dates.length === 0) {
+            dates = DateResolver.resolveLabelSequence(page.dayHeaders, anchor);
+        }
+        if (dates.length === 0 && urlDate) {
+            dates = [urlDate];
+        }
+        if (dates.length === 0) {
+            return null;
+        }
+
+        return {
+            start: new Date(Math.min(...dates)),
+            end: new Date(Math.max(...dates))
+        };
+    }
+
+    /**
+     * Parses a card time such as "7:00pm", "10:30 AM" or "19:00"
+     * @param {string} timestamp - Time text from the card
+     * @returns {Object|null} { hours, minutes } in 24-hour time, or null
+     */
+    static parseTime(timestamp) {
+        const match = timestamp?.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        const ampm = match[3]?.toUpperCase();
+
+        // Convert to 24-hour format
+        if (ampm === 'PM' && hours !== 12) {
+            hours += 12;
+        } else if (ampm === 'AM' && hours === 12) {
+            hours = 0;
+        }
+
+        return { hours, minutes };
+    }
+
+    /**
+     * Returns the time zone of this browser
+     * @returns {string} IANA time zone name
+     */
+    static getLocalTimeZone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    /**
+     * Checks that a name is a time zone Intl understands
+     * @param {string} timeZone - IANA time zone name
+     * @returns {boolean} True if usable
+     */
+    static isValidTimeZone(timeZone) {
+        if (!timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Reads the wall-clock parts of an instant in a time zone
+     * @param {number} ms - Epoch milliseconds
+     * @param {string} timeZone - IANA time zone name
+     * @returns {Object} { year, month, day, hours, minutes, seconds } (month is 1-based)
+     */
+    static getZonedParts(ms, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(ms));
+
+        const value = (type) => Number(parts.find(part => part.type === type)?.value);
+        return {
+            year: value('year'),
+            month: value('month'),
+            day: value('day'),
+            hours: value('hour'),
+            minutes: value('minute'),
+            seconds: value('second')
+        };
+    }
+
+    /**
+     * Converts a wall-clock date and card time in a time zone to an ISO-8601 instant
+     * @param {string} isoDate - YYYY-MM-DD date
+     * @param {string} timestamp - Card time ("7:00pm")
+     * @param {string} timeZone - IANA time zone the time is shown in
+     * @returns {string} UTC instant (e.g. "2025-12-09T00:00:00.000Z"), or '' when date or time is unknown
+     */
+    static toInstant(isoDate, timestamp, timeZone) {
+        const date = DateResolver.parseIsoDate(isoDate);
+        const time = DateResolver.parseTime(timestamp);
+        if (!date || !time) return '';
+
+        const wallClock = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), time.hours, time.minutes);
+        const offsetAt = (ms) => {
+            const parts = DateResolver.getZonedParts(ms, timeZone);
+            return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds) - ms;
+        };
+
+        // Re-check the offset at the first guess so times next to a DST switch land correctly
+        const firstGuess = wallClock - offsetAt(wallClock);
+        return new Date(wallClock - offsetAt(firstGuess)).toISOString();
+    }
+
+    /**
+     * Formats an instant as "YYYY-MM-DD HH:mm:ss" in a time zone
+     * @param {string} instant - ISO-8601 instant
+     * @param {string} timeZone - IANA time zone name (or "UTC")
+     * @returns {string} Formatted wall-clock time, or '' for an invalid instant
+     */
+    static formatInZone(instant, timeZone) {
+        const ms = Date.parse(instant);
+        if (isNaN(ms)) return '';
+
+        const parts = DateResolver.getZonedParts(ms, timeZone);
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${parts.year}-${pad(parts.month)}-${pad(parts.day)} ${pad(parts.hours)}:${pad(parts.minutes)}:${pad(parts.seconds)}`;
+    }
+
+    /**
+     * Formats an event's scheduled time as "YYYY-MM-DD HH:mm:ss" for postAtSpecificTime
+     * Events with a scheduledAt instant are shown in the requested zone (default: the workspace zone
+     * they were captured in). Older events fall back to the full date or the label's nearest year.
+     * @param {Object} event - Event with scheduledAt/timeZone, or timestamp with fullDate/date label
+     * @param {string|null} [timeZone] - Output time zone, null for the event's own zone
+     * @returns {string} Formatted timestamp, or '' when date or time can't be resolved
+     */
+    static formatPostTime(event, timeZone = null) {
+        if (event.scheduledAt) {
+            return DateResolver.formatInZone(event.scheduledAt, timeZone || event.timeZone || DateResolver.getLocalTimeZone());
+        }
+
+        const date = DateResolver.parseIsoDate(event.fullDate) || DateResolver.resolveLabelDate(event.date, new Date());
+        const time = DateResolver.parseTime(event.timestamp);
+        if (!date || !time) return '';
+
+        const hours = String(time.hours).padStart(2, '0');
+        const minutes = String(time.minutes).padStart(2, '0');
+        return `${DateResolver.toIsoDate(date)} ${hours}:${minutes}:00`;
+    }
+}
@@ -1,5 +1,8 @@
 import { WorkflowConfig } from '../constants/WorkflowConfig.js';
 import { FileGenerator } from './FileGenerator.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { StreamManifest } from './StreamManifest.js';
+import { CloudinaryResolver } from './CloudinaryResolver.js';
 
 /**
  * DownloadManager - Handles all download operations and sequencing
@@ -15,14 +18,16 @@ export class DownloadManager {
      * @param {Array} events - Array of event objects
      * @param {Array} capturedVideos - Array of captured video objects
      * @param {Object} renderer - Renderer instance for UI updates
+     * @param {Object} [csvOptions] - CSV export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
+     * @param {string} [mediaPreset] - Key of WorkflowConfig.CLOUDINARY.PRESETS for the media files
      * @returns {Promise<boolean>} Success status
      */
-    async handleCompleteMediaDownload(events, capturedVideos, renderer) {
+    async handleCompleteMediaDownload(events, capturedVideos, renderer, csvOptions = {}, mediaPreset = WorkflowConfig.CLOUDINARY.DEFAULT_PRESET) {
         try {
             // Prepare data
-            const mediaItems = this.fileGenerator.createMediaItems(events);
+            const mediaItems = this.fileGenerator.createMediaItems(events, mediaPreset);
             const uniqueCapturedVideos = this.removeDuplicateVideos(capturedVideos);
-            const capturedVideoItems = this.fileGenerator.createCapturedVideoItems(uniqueCapturedVideos, this.generateTimestamp());
+            const capturedVideoItems = this.fileGenerator.createCapturedVideoItems(uniqueCapturedVideos, this.generateTimestamp(), mediaPreset);
 
             // Combine all items for HTML gallery
             const allItems = [...capturedVideoItems, ...mediaItems];
@@ -38,7 +43,7 @@ export class DownloadManager {
             renderer.showMessage(`Downloading complete package: ${uniqueCapturedVideos.length} captured videos + ${mediaItems.length} media files...`, 'info');
 
             // Generate and download files
-            await this.downloadCompletePackage(allItems, events, uniqueCapturedVideos, renderer);
+            await this.downloadCompletePackage(allItems, events, uniqueCapturedVideos, renderer, csvOptions);
 
             renderer.showMessage(`Complete package downloaded: HTML gallery, CSV data, ${uniqueCapturedVideos.length} captured videos, and ${mediaItems.length} media files!`, 'success');
             return true;
@@ -52,12 +57,13 @@ export class DownloadManager {
 
     /**
      * Download complete package (HTML + CSV + media files)
-     * @param {Array} allItems - All media items for HTML gallery
+     * @param {Array} allItems - All media items for HTML gallery, captured videos first
      * @param {Array} events - Event objects for CSV
      * @param {Array} uniqueCapturedVideos - Unique captured videos
      * @param {Object} renderer - Renderer instance
+     * @param {Object} [csvOptions] - CSV export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
      */
-    async downloadCompletePackage(allItems, events, uniqueCapturedVideos, renderer) {
+    async downloadCompletePackage(allItems, events, uniqueCapturedVideos, renderer, csvOptions = {}) {
         const timestamp = this.generateTimestamp();
 
         // Generate HTML index file
@@ -66,66 +72,93 @@ export class DownloadManager {
         const htmlDataUrl = await this.fileGenerator.blobToDataURL(htmlBlob);
 
         // Generate CSV data
-        const csvContent = this.fileGenerator.generateCSVData(events, uniqueCapturedVideos);
+        const csvContent = this.fileGenerator.generateCSVData(events, uniqueCapturedVideos, csvOptions);
         const csvBlob = new Blob([csvContent], { type: 'text/csv' });
         const csvDataUrl = await this.fileGenerator.blobToDataURL(csvBlob);
 
         let downloadIndex = 0;
 
         // Download HTML index first
-        chrome.downloads.download({
+        this.downloadWithRetry({
             url: htmlDataUrl,
             filename: `BlazeMedia/index_${timestamp}.html`
         });
 
         // Download CSV data
         setTimeout(() => {
-            chrome.downloads.download({
+            this.downloadWithRetry({
                 url: csvDataUrl,
                 filename: `BlazeMedia/data_${timestamp}.csv`
             });
         }, WorkflowConfig.DELAYS.DOWNLOAD_SEQUENCE);
 
-        // Download captured videos
-        uniqueCapturedVideos.forEach((video, index) => {
+        // Download captured videos, then media files from events
+        allItems.forEach((item) => {
             setTimeout(() => {
-                const filename = `BlazeMedia/captured_video_${index + 1}_${timestamp}.mp4`;
-                chrome.downloads.download({
-                    url: video.url,
-                    filename: filename,
+                this.downloadWithRetry({
+                    url: item.url,
+                    filename: item.filename,
                     saveAs: false
                 });
             }, (downloadIndex + 2) * WorkflowConfig.DELAYS.DOWNLOAD_SEQUENCE);
             downloadIndex++;
         });
+    }
 
-        // Download media files from events
-        allItems.filter(item => !item.filename.includes('captured_video')).forEach((item) => {
-            setTimeout(() => {
-                chrome.downloads.download({
-                    url: item.url,
-                    filename: item.filename
-                });
-            }, (downloadIndex + 2) * WorkflowConfig.DELAYS.DOWNLOAD_SEQUENCE);
-            downloadIndex++;
-        });
+    /**
+     * Start a download, retrying with the 'download' RetryPolicy if Chrome refuses it
+     * HLS / DASH manifests are handed to downloadStream instead.
+     * @param {Object} options - chrome.downloads.download options
+     * @returns {Promise<number|null>} Download ID, or null once every attempt has failed
+     */
+    async downloadWithRetry(options) {
+        if (StreamManifest.getKind(options.url)) {
+            return this.downloadStream(options);
+        }
+
+        try {
+            return await RetryPolicy.run('download', () => chrome.downloads.download(options));
+        } catch (error) {
+            console.error(`Download failed for ${options.filename || options.url}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Download an HLS / DASH stream through the background script, which joins its segments
+     * in the offscreen document; progress shows in the side panel's stream download list
+     * @param {Object} options - { url, filename, saveAs }
+     * @returns {Promise<number|null>} Download ID, or null if the stream failed
+     */
+    async downloadStream({ url, filename, saveAs = false }) {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'downloadStream', url, filename, saveAs });
+            if (!response?.success) {
+                throw new Error(response?.error || 'No response from background script');
+            }
+            return response.downloadId;
+        } catch (error) {
+            console.error(`Stream download failed for ${filename || url}:`, error);
+            return null;
+        }
     }
 
     /**
      * Handle single media download
      * @param {string} url - Media URL to download
      * @param {Object} renderer - Renderer instance
+     * @param {string} [mediaPreset] - Key of WorkflowConfig.CLOUDINARY.PRESETS
      * @returns {boolean} Success status
      */
-    handleSingleDownload(url, renderer) {
+    handleSingleDownload(url, renderer, mediaPreset = WorkflowConfig.CLOUDINARY.DEFAULT_PRESET) {
         if (!url) {
             renderer.showMessage('No URL provided', 'error');
             return false;
         }
 
         try {
-            chrome.downloads.download({
-                url: url,
+            this.downloadWithRetry({
+                url: CloudinaryResolver.resolve(url, mediaPreset),
                 saveAs: true
             });
             renderer.showMessage('Download started!', 'success');
@@ -141,9 +174,10 @@ export class DownloadManager {
      * Handle captured videos download only
      * @param {Array} capturedVideos - Array of captured video objects
      * @param {Object} renderer - Renderer instance
+     * @param {string} [mediaPreset] - Key of WorkflowConfig.CLOUDINARY.PRESETS
      * @returns {Promise<boolean>} Success status
      */
-    async handleCapturedVideosDownload(capturedVideos, renderer) {
+    async handleCapturedVideosDownload(capturedVideos, renderer, mediaPreset = WorkflowConfig.CLOUDINARY.DEFAULT_PRESET) {
         const uniqueCapturedVideos = this.removeDuplicateVideos(capturedVideos);
         const timestamp = this.generateTimestamp();
 
@@ -156,7 +190,7 @@ export class DownloadManager {
 
         try {
             // Generate HTML gallery for captured videos
-            const capturedVideoItems = this.fileGenerator.createCapturedVideoItems(uniqueCapturedVideos, timestamp);
+            const capturedVideoItems = this.fileGenerator.createCapturedVideoItems(uniqueCapturedVideos, timestamp, mediaPreset);
             const htmlContent = this.fileGenerator.generateHtmlIndex(capturedVideoItems, timestamp);
             const htmlBlob = new Blob([htmlContent], { type: 'text/html' });
             const htmlDataUrl = await this.fileGenerator.blobToDataURL(htmlBlob);
@@ -164,18 +198,17 @@ export class DownloadManager {
             let downloadIndex = 0;
 
             // Download HTML index
-            chrome.downloads.download({
+            this.downloadWithRetry({
                 url: htmlDataUrl,
                 filename: `BlazeMedia/captured_videos_index_${timestamp}.html`
             });
 
             // Download all captured videos
-            uniqueCapturedVideos.forEach((video, index) => {
+            capturedVideoItems.forEach((item) => {
                 setTimeout(() => {
-                    const filename = `BlazeMedia/captured_video_${index + 1}_${timestamp}.mp4`;
-                    chrome.downloads.download({
-                        url: video.url,
-                        filename: filename,
+                    this.downloadWithRetry({
+                        url: item.url,
+                        filename: item.filename,
                         saveAs: false
                     });
                 }, (downloadIndex + 1) * WorkflowConfig.DELAYS.DOWNLOAD_SEQUENCE);
@@ -274,7 +307,7 @@ export class DownloadManager {
 
         return new Promise((resolve, reject) => {
             reader.onloadend = () => {
-                chrome.downloads.download({
+                this.downloadWithRetry({
                     url: reader.result,
                     filename: filename,
                     saveAs: true
@@ -0,0 +1,135 @@
+import { DateResolver } from './DateResolver.js';
+import { EventIdentity } from './EventIdentity.js';
+import { EventMedia } from './EventMedia.js';
+
+/**
+ * EventDiff - Compares two captures of the calendar and lists what changed
+ * Event IDs include the caption start and the scheduled slot, so an edited caption or a
+ * rescheduled post gets a new ID. Unmatched removed/added pairs that are clearly the same
+ * post (same link, or same card with the same caption start or slot) are reported as modified.
+ */
+export class EventDiff {
+    /**
+     * Fields compared between captures, with how to read each as a comparable string
+     */
+    static TRACKED_FIELDS = [
+        { name: 'caption', label: 'Caption', read: (event) => (event.fullDescription || event.description || '').trim() },
+        { name: 'time', label: 'Time', read: (event) => DateResolver.formatPostTime(event) || event.timestamp || '' },
+        { name: 'media', label: 'Media', read: (event) => [...EventMedia.getImageUrls(event), ...EventMedia.getVideoUrls(event)].join(' ') },
+        { name: 'platforms', label: 'Platforms', read: (event) => EventDiff.readList(event.platforms).join(', ') }
+    ];
+
+    /**
+     * Diff two event lists
+     * @param {Array<Object>} previousEvents - Events before the update
+     * @param {Array<Object>} currentEvents - Events after the update
+     * @returns {Array<Object>} Entries of { type: 'added'|'removed'|'modified', eventId, previousId, label, changes }
+     *          where changes is a list of { field, label, before, after } (empty for added/removed)
+     */
+    static diff(previousEvents, currentEvents) {
+        const previousById = new Map(previousEvents.map(event => [event.id, event]));
+        const currentIds = new Set(currentEvents.map(event => event.id));
+
+        const entries = [];
+        const added = [];
+        currentEvents.forEach(event => {
+            const previous = previousById.get(event.id);
+            if (!previous) {
+                added.push(event);
+                return;
+            }
+            const changes = EventDiff.compare(previous, event);
+            if (changes.length > 0) {
+                entries.push(EventDiff.createEntry('modified', event, changes, previous));
+            }
+        });
+
+        const removed = previousEvents.filter(event => !currentIds.has(event.id));
+
+        // Pair up IDs that changed because the caption or slot was edited
+        added.forEach(event => {
+            const matchIndex = removed.findIndex(previous => EventDiff.isSamePost(previous, event));
+            if (matchIndex === -1) {
+                entries.push(EventDiff.createEntry('added', event));
+                return;
+            }
+            const [previous] = removed.splice(matchIndex, 1);
+            entries.push(EventDiff.createEntry('modified', event, EventDiff.compare(previous, event), previous));
+        });
+
+        removed.forEach(event => entries.push(EventDiff.createEntry('removed', event)));
+
+        return entries;
+    }
+
+    /**
+     * Field-level differences between two versions of an event
+     * @param {Object} before - Previous version
+     * @param {Object} after - Current version
+     * @returns {Array<Object>} Changes of { field, label, before, after }
+     */
+    static compare(before, after) {
+        return EventDiff.TRACKED_FIELDS
+            .map(field => ({ field: field.name, label: field.label, before: field.read(before), after: field.read(after) }))
+            .filter(change => change.before !== change.after && !EventDiff.isCollapsedCaption(change));
+    }
+
+    /**
+     * Decide whether a removed and an added event are the same post after an edit
+     * @param {Object} previous - Removed event
+     * @param {Object} current - Added event
+     * @returns {boolean} True if they should be reported as one modification
+     */
+    static isSamePost(previous, current) {
+        if (previous.eventUrl && previous.eventUrl === current.eventUrl) {
+            return true;
+        }
+        if (previous.label !== current.label) {
+            return false;
+        }
+
+        const captionStart = EventIdentity.captionKey(previous.description);
+        const sameCaption = captionStart !== '' && captionStart === EventIdentity.captionKey(current.description);
+        const sameSlot = previous.date === current.date && previous.timestamp === current.timestamp;
+        return sameCaption || sameSlot;
+    }
+
+    /**
+     * A card re-showing a truncated caption is not an edit
+     * @param {Object} change - Caption change
+     * @returns {boolean} True if the "after" caption is just the start of the "before" one
+     */
+    static isCollapsedCaption(change) {
+        return change.field === 'caption' && EventIdentity.isCaptionPrefix(change.after, change.before);
+    }
+
+    /**
+     * Build a change feed entry
+     * @param {string} type - 'added', 'removed' or 'modified'
+     * @param {Object} event - Event the entry is about (current version for modifications)
+     * @param {Array<Object>} [changes] - Field changes
+     * @param {Object} [previous] - Previous version, when its ID differs
+     * @returns {Object} Entry
+     */
+    static createEntry(type, event, changes = [], previous = null) {
+        return {
+            type,
+            eventId: event.id,
+            previousId: previous && previous.id !== event.id ? previous.id : '',
+            label: event.label || 'Unknown',
+            changes
+        };
+    }
+
+    /**
+     * Normalize platforms (array or comma-separated string) to a list
+     * @param {Array|string} platforms - Platforms value
+     * @returns {Array<string>} Platform names
+     */
+    static readList(platforms) {
+        if (Array.isArray(platforms)) {
+            return platforms.filter(Boolean);
+        }
+        return (platforms || '').split(',').map(platform => platform.trim()).filter(Boolean);
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * EventIdentity - Deterministic event IDs that survive re-renders and scrolling
+ * An ID is built from the event's URL, date, time, label and a hash of its caption's first words, so the
+ * same post gets the same ID on every capture no matter where its card sits in the DOM.
+ * Used inside the page (DataExtractor) and in the popup (merging live scan / range captures).
+ */
+export class EventIdentity {
+    /**
+     * Leading words of the caption that feed the ID - few enough that a truncated
+     * (not yet expanded) card still shows all of them in full
+     */
+    static CAPTION_PREFIX_WORDS = 5;
+
+    /**
+     * What a card appends to a caption it has cut short: an ellipsis and/or its "more" button text
+     */
+    static TRUNCATION_MARKER = /(\s*(\.\.\.|\u2026|more))+\s*$/i;
+
+    /**
+     * Caption fields a truncated card must not overwrite with its shorter text
+     */
+    static CAPTION_FIELDS = ['description', 'plainText'];
+
+    /**
+     * Build the base ID for an event
+     * @param {Object} event - Event with eventUrl, date, timestamp, label and description
+     * @returns {string} Event ID (e.g. "evt_1a2b3c4d")
+     */
+    static createId(event) {
+        const caption = EventIdentity.captionKey(event.description);
+
+        const key = [
+            event.eventUrl || '',
+            event.date || '',
+            (event.timestamp || '').toLowerCase(),
+            event.label || '',
+            EventIdentity.hashString(caption)
+        ].join('|');
+
+        return `evt_${EventIdentity.hashString(key)}`;
+    }
+
+    /**
+     * Assign IDs to a list of events in page order
+     * Identical cards (same slot, label and caption) get a numeric suffix: evt_x, evt_x-2, ...
+     * @param {Array<Object>} events - Events to label (mutated)
+     * @returns {Array<Object>} The same events, each with an `id`
+     */
+    static assignIds(events) {
+        const seen = new Map();
+
+        events.forEach(event => {
+            const baseId = EventIdentity.createId(event);
+            const count = (seen.get(baseId) || 0) + 1;
+            seen.set(baseId, count);
+            event.id = count === 1 ? baseId : `${baseId}-${count}`;
+        });
+
+        return events;
+    }
+
+    /**
+     * Merge a fresh capture into existing events, keyed on ID
+     * Fields filled in later (detail scrape, video matching) are kept when the fresh
+     * capture only has the placeholder, an empty value, a shorter list (e.g. the card
+     * shows one carousel slide where the detail view found all of them) or a caption the
+     * card has collapsed again.
+     * @param {Array<Object>} existingEvents - Events currently held by the popup
+     * @param {Array<Object>} freshEvents - Events from the latest capture
+     * @param {string} placeholder - Video placeholder that should never overwrite a real URL
+     * @returns {Array<Object>} Merged events in the fresh capture's order
+     */
+    static mergeById(existingEvents, freshEvents, placeholder) {
+        const existingById = new Map((existingEvents || []).map(event => [event.id, event]));
+
+        return freshEvents.map(fresh => {
+            const existing = existingById.get(fresh.id);
+            if (!existing) return fresh;
+
+            const merged = { ...existing, ...fresh };
+            Object.keys(existing).forEach(key => {
+                const freshValue = fresh[key];
+                const isEmpty = freshValue === undefined || freshValue === null || freshValue === '';
+                const isShorterList = Array.isArray(freshValue) && Array.isArray(existing[key]) &&
+                    freshValue.length < existing[key].length;
+                const isCollapsedCaption = EventIdentity.CAPTION_FIELDS.includes(key) &&
+                    EventIdentity.isCaptionPrefix(freshValue, existing[key]);
+                if (isEmpty || isShorterList || isCollapsedCaption ||
+                    (freshValue === placeholder && existing[key] && existing[key] !== placeholder)) {
+                    merged[key] = existing[key];
+                }
+            });
+            return merged;
+        });
+    }
+
+    /**
+     * Check whether a caption is the start of a longer one (a card showing a truncated caption)
+     * @param {string} shorter - Caption that may be truncated
+     * @param {string} longer - Full caption
+     * @returns {boolean} True if `longer` continues `shorter`
+     */
+    static isCaptionPrefix(shorter, longer) {
+        if (typeof shorter !== 'string' || typeof longer !== 'string' || shorter.length >= longer.length) {
+            return false;
+        }
+        return EventIdentity.normalizeCaption(longer).startsWith(EventIdentity.normalizeCaption(shorter));
+    }
+
+    /**
+     * The part of a caption that reads the same whether or not the card has truncated it:
+     * its first CAPTION_PREFIX_WORDS words, leaving out a word the truncation may have cut
+     * @param {string} caption - Raw caption text
+     * @returns {string} Normalized caption start
+     */
+    static captionKey(caption) {
+        const words = EventIdentity.normalizeCaption(caption).split(' ');
+        const completeWords = EventIdentity.TRUNCATION_MARKER.test(caption || '') ? words.slice(0, -1) : words;
+        return completeWords.slice(0, EventIdentity.CAPTION_PREFIX_WORDS).join(' ');
+    }
+
+    /**
+     * Collapse whitespace, drop trailing truncation markers ("...", "…", "more") and lowercase a caption
+     * @param {string} caption - Raw caption text
+     * @returns {string} Normalized caption
+     */
+    static normalizeCaption(caption) {
+        return (caption || '')
+            .replace(EventIdentity.TRUNCATION_MARKER, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * 32-bit FNV-1a hash rendered as 8 hex characters
+     * @param {string} value - String to hash
+     * @returns {string} Hex hash
+     */
+    static hashString(value) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+}
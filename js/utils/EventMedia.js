@@ -0,0 +1,90 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { CaptionParser } from './CaptionParser.js';
+
+/**
+ * EventMedia - Reads an event's media URLs the same way for the grid, CSV exporters and downloads
+ * Carousel posts carry every slide in `imageSrcs`; `imageSrc` stays the first slide so older
+ * code paths and events captured before carousels were collected keep working.
+ * toBlazeFields fills the media columns of Blaze's bulk-upload CSV so an export can be re-imported.
+ */
+export class EventMedia {
+    /**
+     * All image URLs of an event, in slide order
+     * @param {Object} event - Event with imageSrcs and/or imageSrc
+     * @returns {Array<string>} Image URLs (empty when the event has none)
+     */
+    static getImageUrls(event) {
+        if (Array.isArray(event.imageSrcs) && event.imageSrcs.length > 0) {
+            return event.imageSrcs;
+        }
+        return event.imageSrc ? [event.imageSrc] : [];
+    }
+
+    /**
+     * Resolved video URLs of an event
+     * Skips the detection placeholder and page-local (blob:) sources Blaze couldn't fetch.
+     * @param {Object} event - Event with videoSrc
+     * @returns {Array<string>} Video URLs (empty when none is resolved)
+     */
+    static getVideoUrls(event) {
+        const src = event.videoSrc;
+        const isResolved = src && src !== WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER && /^https?:\/\//i.test(src);
+        return isResolved ? [src] : [];
+    }
+
+    /**
+     * The post's link: its OG preview URL, else the first link in the caption
+     * @param {Object} event - Event with linkUrl and/or parsed caption urls
+     * @returns {string} Absolute URL or ''
+     */
+    static getLinkUrl(event) {
+        const link = event.linkUrl ||
+            (event.urls || CaptionParser.parse(event.fullDescription || event.description).urls)[0] || '';
+        // Captions often write links as "www.example.com"
+        return link && !/^https?:\/\//i.test(link) ? `https://${link}` : link;
+    }
+
+    /**
+     * Checks whether an image URL points at a GIF
+     * @param {string} url - Image URL
+     * @returns {boolean} True for .gif files or CDN URLs requesting GIF format
+     */
+    static isGifUrl(url) {
+        return /\.gif(?:$|[?#])/i.test(url) || /[?&](?:format|fm)=gif\b/i.test(url);
+    }
+
+    /**
+     * Values for the media columns of Blaze's CSV
+     * GIFs go to gifUrl (Blaze takes one); every other image goes to imageUrls.
+     * @param {Object} event - Event data object
+     * @returns {Object} Unquoted { link, imageUrls, gifUrl, videoUrls }
+     */
+    static toBlazeFields(event) {
+        const images = EventMedia.getImageUrls(event);
+        return {
+            link: EventMedia.getLinkUrl(event),
+            imageUrls: EventMedia.joinUrls(images.filter(url => !EventMedia.isGifUrl(url))),
+            gifUrl: images.find(url => EventMedia.isGifUrl(url)) || '',
+            videoUrls: EventMedia.joinUrls(EventMedia.getVideoUrls(event))
+        };
+    }
+
+    /**
+     * Join URLs for a single CSV column
+     * @param {Array<string>} urls - URLs to join
+     * @returns {string} URLs separated by WorkflowConfig.CSV.MULTI_URL_SEPARATOR
+     */
+    static joinUrls(urls) {
+        return urls.join(WorkflowConfig.CSV.MULTI_URL_SEPARATOR);
+    }
+
+    /**
+     * Drop empty, inline (data:) and repeated URLs, keeping the first occurrence
+     * Carousels often render cloned slides at both ends, so repeats are expected.
+     * @param {Array<string>} urls - Candidate URLs in page order
+     * @returns {Array<string>} Unique usable URLs in order
+     */
+    static uniqueUrls(urls) {
+        return [...new Set(urls.filter(url => url && !url.startsWith('data:')))];
+    }
+}
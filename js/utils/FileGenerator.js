@@ -1,4 +1,11 @@
 import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { DateResolver } from './DateResolver.js';
+import { CaptionParser } from './CaptionParser.js';
+import { PostStatus } from './PostStatus.js';
+import { EventMedia } from './EventMedia.js';
+import { SessionComparison } from './SessionComparison.js';
+import { CloudinaryResolver } from './CloudinaryResolver.js';
+import { MediaProbe } from './MediaProbe.js';
 
 /**
  * FileGenerator - Handles generation of HTML galleries, CSV data files, and blob creation
@@ -187,7 +194,7 @@ export class FileGenerator {
             ${mediaElement}
             <div class="media-info">
                 <div class="media-label">${this.escapeHtml(item.label)}</div>
-                <div class="media-meta">#${String(index + 1).padStart(3, '0')} • ${item.type}</div>
+                <div class="media-meta">#${String(index + 1).padStart(3, '0')} • ${item.type}${item.slide ? ` • slide ${item.slide}` : ''}</div>
                 <div class="filename">${filename}</div>
             </div>
         </div>`;
@@ -223,21 +230,35 @@ export class FileGenerator {
      * Generate CSV data from events
      * @param {Array} events - Array of event objects
      * @param {Array} capturedVideos - Array of captured video objects
+     * @param {Object} [options] - Export options
+     * @param {string|null} [options.timeZone] - Zone for the Scheduled At column, null for each event's workspace zone
+     * @param {boolean} [options.captionColumns] - Append parsed caption columns
+     * @param {boolean} [options.statusColumns] - Append status, approval and author columns
+     * @param {boolean} [options.mediaColumns] - Append probed media columns
      * @returns {string} CSV content as string
      */
-    generateCSVData(events, capturedVideos = []) {
-        const headers = ['Index', 'Event URL', 'Label', 'Platforms', 'Description', 'Image URL', 'Has Video', 'Duration', 'Video URL', 'Video Source', 'Timestamp'];
+    generateCSVData(events, capturedVideos = [], options = {}) {
+        const headers = ['Index', 'Event URL', 'Label', 'Platforms', 'Description', 'Image URL', 'Has Video', 'Duration', 'Video URL', 'Video Source', 'Timestamp', 'Scheduled At', 'Time Zone'];
+        if (options.captionColumns) {
+            headers.push(...CaptionParser.CSV_HEADERS);
+        }
+        if (options.statusColumns) {
+            headers.push(...PostStatus.CSV_HEADERS);
+        }
+        if (options.mediaColumns) {
+            headers.push(...MediaProbe.CSV_HEADERS);
+        }
         const csvRows = [headers.join(',')];
 
         // Add event data
         events.forEach((event, index) => {
-            const row = this.generateEventCSVRow(event, index);
+            const row = this.generateEventCSVRow(event, index, options);
             csvRows.push(row);
         });
 
         // Add captured videos data
         capturedVideos.forEach((video, index) => {
-            const row = this.generateVideoCSVRow(video, index, events.length);
+            const row = this.generateVideoCSVRow(video, index, events.length, options);
             csvRows.push(row);
         });
 
@@ -248,9 +269,12 @@ export class FileGenerator {
      * Generate CSV row for an event
      * @param {Object} event - Event object
      * @param {number} index - Event index
+     * @param {Object} [options] - Export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
      * @returns {string} CSV row string
      */
-    generateEventCSVRow(event, index) {
+    generateEventCSVRow(event, index, options = {}) {
+        const { timeZone = null } = options;
+
         // Convert platforms array to string for CSV
         let platformsString = '';
         if (Array.isArray(event.platforms)) {
@@ -268,14 +292,26 @@ export class FileGenerator {
             `"${this.escapeCsvField(event.label || '')}"`,
             `"${this.escapeCsvField(platformsString)}"`,
             `"${this.escapeCsvField(event.description || '').replace(/\n/g, ' ')}"`,
-            `"${event.imageSrc || ''}"`,
+            `"${EventMedia.joinUrls(EventMedia.getImageUrls(event))}"`,
             event.hasVideo ? 'Yes' : 'No',
             `"${duration}"`,
             `"${event.videoSrc || ''}"`,
             'Event Data',
-            `"${this.escapeCsvField(event.timestamp || '')}"`
+            `"${this.escapeCsvField(event.timestamp || '')}"`,
+            `"${DateResolver.formatPostTime(event, timeZone)}"`,
+            `"${timeZone || event.timeZone || ''}"`
         ];
 
+        if (options.captionColumns) {
+            row.push(...CaptionParser.toCsvFields(event).map(field => `"${this.escapeCsvField(field)}"`));
+        }
+        if (options.statusColumns) {
+            row.push(...PostStatus.toCsvFields(event).map(field => `"${this.escapeCsvField(field)}"`));
+        }
+        if (options.mediaColumns) {
+            row.push(...MediaProbe.toCsvFields(event.mediaInfo).map(field => `"${this.escapeCsvField(field)}"`));
+        }
+
         return row.join(',');
     }
 
@@ -284,9 +320,10 @@ export class FileGenerator {
      * @param {Object} video - Video object
      * @param {number} index - Video index
      * @param {number} eventCount - Number of events (for indexing)
+     * @param {Object} [options] - Export options ({ captionColumns, statusColumns, mediaColumns })
      * @returns {string} CSV row string
      */
-    generateVideoCSVRow(video, index, eventCount) {
+    generateVideoCSVRow(video, index, eventCount, options = {}) {
         const row = [
             `V${index + 1}`,
             `"Captured Video ${index + 1}"`,
@@ -298,9 +335,22 @@ export class FileGenerator {
             '',
             'Yes',
             `"${video.type} (Captured)"`,
+            '',
+            '',
             ''
         ];
 
+        // Keep captured video rows aligned with the optional columns
+        if (options.captionColumns) {
+            row.push(...CaptionParser.CSV_HEADERS.map(() => ''));
+        }
+        if (options.statusColumns) {
+            row.push(...PostStatus.CSV_HEADERS.map(() => ''));
+        }
+        if (options.mediaColumns) {
+            row.push(...MediaProbe.toCsvFields(video).map(field => `"${this.escapeCsvField(field)}"`));
+        }
+
         return row.join(',');
     }
 
@@ -308,9 +358,12 @@ export class FileGenerator {
      * Generate organized filename for media downloads
      * @param {Object} event - Event object
      * @param {number} index - Event index
+     * @param {string} [imageUrl] - Image being saved, defaults to the event's first image
+     * @param {number|null} [slide] - 0-based carousel slide, numbered into the filename
+     * @param {string} [videoUrl] - Video being saved, defaults to the event's video
      * @returns {string} Generated filename
      */
-    generateMediaFilename(event, index) {
+    generateMediaFilename(event, index, imageUrl = event.imageSrc, slide = null, videoUrl = event.videoSrc) {
         const timestamp = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
         const paddedIndex = String(index + 1).padStart(3, '0');
 
@@ -321,15 +374,15 @@ export class FileGenerator {
 
         // Determine file extension
         let extension = WorkflowConfig.FILENAME_PATTERNS.IMAGE_EXTENSION; // default
-        if (event.imageSrc) {
+        if (imageUrl) {
             // Try to get extension from URL
-            const urlMatch = event.imageSrc.match(/\.([a-zA-Z0-9]+)(?:\?|$)/);
+            const urlMatch = imageUrl.match(/\.([a-zA-Z0-9]+)(?:\?|$)/);
             if (urlMatch) {
                 extension = urlMatch[1].toLowerCase();
             }
-        } else if (event.videoSrc && event.videoSrc !== WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER) {
+        } else if (videoUrl && videoUrl !== WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER) {
             // For videos
-            const urlMatch = event.videoSrc.match(/\.([a-zA-Z0-9]+)(?:\?|$)/);
+            const urlMatch = videoUrl.match(/\.([a-zA-Z0-9]+)(?:\?|$)/);
             if (urlMatch) {
                 extension = urlMatch[1].toLowerCase();
             } else {
@@ -337,25 +390,50 @@ export class FileGenerator {
             }
         }
 
-        return `${WorkflowConfig.FILENAME_PATTERNS.FOLDER_NAME}/${timestamp}_${paddedIndex}_${cleanLabel}.${extension}`;
+        // Carousel slides: _01, _02, ... after the event's own number
+        const slideSuffix = slide !== null ? `_${String(slide + 1).padStart(2, '0')}` : '';
+
+        return `${WorkflowConfig.FILENAME_PATTERNS.FOLDER_NAME}/${timestamp}_${paddedIndex}_${cleanLabel}${slideSuffix}.${extension}`;
     }
 
     /**
      * Create media items array from events
+     * Carousel posts produce one numbered item per slide. Cloudinary URLs are rewritten for the
+     * media preset, and filenames follow the rewritten URL's format.
      * @param {Array} events - Array of event objects
+     * @param {string} [mediaPreset] - Key of WorkflowConfig.CLOUDINARY.PRESETS
      * @returns {Array} Array of media item objects
      */
-    createMediaItems(events) {
+    createMediaItems(events, mediaPreset = WorkflowConfig.CLOUDINARY.DEFAULT_PRESET) {
         return events
-            .map((event, index) => ({
-                url: event.imageSrc || event.videoSrc,
-                filename: this.generateMediaFilename(event, index),
-                type: event.imageSrc ? 'image' : 'video',
-                label: event.label || 'Unknown',
-                description: event.description || '',
-                platforms: event.platforms || '',
-                timestamp: event.timestamp || ''
-            }))
+            .flatMap((event, index) => {
+                const details = {
+                    label: event.label || 'Unknown',
+                    description: event.description || '',
+                    platforms: event.platforms || '',
+                    timestamp: event.timestamp || ''
+                };
+
+                const imageUrls = EventMedia.getImageUrls(event);
+                if (imageUrls.length === 0) {
+                    const url = CloudinaryResolver.resolve(event.videoSrc, mediaPreset);
+                    return [{
+                        ...details,
+                        url,
+                        filename: this.generateMediaFilename(event, index, null, null, url),
+                        type: CloudinaryResolver.isImageUrl(url) ? 'image' : 'video'
+                    }];
+                }
+
+                const isCarousel = imageUrls.length > 1;
+                return imageUrls.map(imageUrl => CloudinaryResolver.resolve(imageUrl, mediaPreset)).map((url, slide) => ({
+                    ...details,
+                    url,
+                    filename: this.generateMediaFilename(event, index, url, isCarousel ? slide : null),
+                    type: 'image',
+                    slide: isCarousel ? `${slide + 1}/${imageUrls.length}` : ''
+                }));
+            })
             .filter(item => item.url && item.url !== WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER);
     }
 
@@ -363,15 +441,19 @@ export class FileGenerator {
      * Create captured video items array
      * @param {Array} capturedVideos - Array of captured video objects
      * @param {string} timestamp - Timestamp string
+     * @param {string} [mediaPreset] - Key of WorkflowConfig.CLOUDINARY.PRESETS
      * @returns {Array} Array of captured video item objects
      */
-    createCapturedVideoItems(capturedVideos, timestamp) {
+    createCapturedVideoItems(capturedVideos, timestamp, mediaPreset = WorkflowConfig.CLOUDINARY.DEFAULT_PRESET) {
         return capturedVideos.map((video, index) => {
-            const filename = `${WorkflowConfig.FILENAME_PATTERNS.FOLDER_NAME}/captured_video_${index + 1}_${timestamp}.mp4`;
+            const url = CloudinaryResolver.resolve(video.url, mediaPreset);
+            const isImage = CloudinaryResolver.isImageUrl(url);
+            const extension = isImage ? url.match(/\.([a-zA-Z0-9]+)(?:\?|$)/)[1].toLowerCase() : 'mp4';
+            const filename = `${WorkflowConfig.FILENAME_PATTERNS.FOLDER_NAME}/captured_video_${index + 1}_${timestamp}.${extension}`;
             return {
-                url: video.url,
+                url,
                 filename: filename,
-                type: 'video',
+                type: isImage ? 'image' : 'video',
                 label: `Captured Video ${index + 1}`,
                 description: `Duration: ${Math.round(video.duration || 0)}s`,
                 platforms: '',
@@ -380,6 +462,140 @@ export class FileGenerator {
         });
     }
 
+    /**
+     * Generate the CSV change report for a session comparison, one row per changed event
+     * @param {Object} comparison - Result of SessionComparison.compare
+     * @returns {string} CSV content as string
+     */
+    generateComparisonCSV(comparison) {
+        const headers = ['Change', 'Label', 'Before Time', 'After Time', 'Before Caption', 'After Caption', 'Before Image', 'After Image', 'Event ID', 'Previous Event ID'];
+        const csvRows = [headers.join(',')];
+
+        comparison.entries.forEach(entry => {
+            const before = SessionComparison.summarizeEvent(entry.beforeEvent) || {};
+            const after = SessionComparison.summarizeEvent(entry.afterEvent) || {};
+            const row = [
+                entry.kinds.map(kind => SessionComparison.getKindLabel(kind)).join('; '),
+                entry.label,
+                before.time,
+                after.time,
+                (before.caption || '').replace(/\n/g, ' '),
+                (after.caption || '').replace(/\n/g, ' '),
+                before.thumbnail,
+                after.thumbnail,
+                entry.eventId,
+                entry.previousId
+            ];
+            csvRows.push(row.map(field => `"${this.escapeCsvField(field || '')}"`).join(','));
+        });
+
+        return csvRows.join('\n');
+    }
+
+    /**
+     * Generate the Auto Pilot run report CSV, one row per queued event
+     * @param {Object} report - Result of AutoPilotReport.build
+     * @returns {string} CSV content as string
+     */
+    generateAutoPilotReportCSV(report) {
+        const headers = ['Event ID', 'Label', 'Scheduled For', 'Event URL', 'Status', 'Attempted Fields', 'Filled Fields', 'Error', 'Duration (s)', 'Attempts'];
+        const csvRows = [headers.join(',')];
+
+        report.items.forEach(item => {
+            const row = [
+                item.eventId,
+                item.label,
+                item.scheduledFor,
+                item.eventUrl,
+                item.status,
+                item.attemptedFields.join('; '),
+                item.filledFields.join('; '),
+                item.error,
+                (item.durationMs / 1000).toFixed(1),
+                String(item.attemptCount)
+            ];
+            csvRows.push(row.map(field => `"${this.escapeCsvField(field || '')}"`).join(','));
+        });
+
+        return csvRows.join('\n');
+    }
+
+    /**
+     * Generate the HTML change report for a session comparison, with before/after thumbnails side by side
+     * @param {Object} comparison - Result of SessionComparison.compare
+     * @returns {string} HTML content as string
+     */
+    generateComparisonHtml(comparison) {
+        const { before, after, counts } = comparison;
+        const describe = (session) => `${this.escapeHtml(session.name)} (${session.eventCount} events, captured ${new Date(session.capturedAt).toLocaleString()})`;
+        const stats = Object.entries(counts)
+            .map(([kind, count]) => `<div class="stat"><strong>${count}</strong> ${SessionComparison.getKindLabel(kind)}</div>`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Blaze Calendar Changes - ${this.escapeHtml(before.name)} vs ${this.escapeHtml(after.name)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 1200px; margin: 0 auto; padding: 20px; background-color: #f5f5f5; color: #333; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; border-radius: 10px; margin-bottom: 20px; }
+        .header p { margin: 4px 0; }
+        .stats { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 20px; }
+        .stat { background: white; padding: 10px 14px; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        .change { background: white; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); padding: 12px; margin-bottom: 12px; }
+        .change-title { font-weight: bold; margin-bottom: 8px; }
+        .kind { display: inline-block; font-size: 11px; padding: 2px 8px; border-radius: 10px; background: #eef; margin-right: 4px; }
+        .kind-added { background: #d4f5e2; } .kind-removed { background: #fadbd8; }
+        .sides { display: grid; grid-template-columns: 1fr 1fr; gap: 12px; }
+        .side { background: #f8f9fa; border-radius: 6px; padding: 8px; font-size: 12px; }
+        .side img { width: 100%; max-height: 180px; object-fit: cover; border-radius: 4px; }
+        .side .missing { color: #999; font-style: italic; }
+        .side-heading { font-size: 11px; text-transform: uppercase; color: #888; margin-bottom: 4px; }
+        .caption { white-space: pre-wrap; word-break: break-word; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>Blaze Calendar Changes</h1>
+        <p>Before: ${describe(before)}</p>
+        <p>After: ${describe(after)}</p>
+        <p>Generated on ${new Date().toLocaleString()}</p>
+    </div>
+    <div class="stats">${stats}</div>
+    ${comparison.entries.map(entry => this.generateComparisonEntry(entry)).join('') || '<p>No changes between these sessions.</p>'}${this.generateHtmlFooter()}`;
+    }
+
+    /**
+     * Generate one changed event of the HTML change report
+     * @param {Object} entry - Comparison entry
+     * @returns {string} Entry HTML
+     */
+    generateComparisonEntry(entry) {
+        const kinds = entry.kinds
+            .map(kind => `<span class="kind kind-${kind}">${SessionComparison.getKindLabel(kind)}</span>`)
+            .join('');
+        const side = (heading, event) => {
+            const summary = SessionComparison.summarizeEvent(event);
+            if (!summary) {
+                return `<div class="side"><div class="side-heading">${heading}</div><div class="missing">Not in this session</div></div>`;
+            }
+            return `<div class="side">
+                <div class="side-heading">${heading}</div>
+                ${summary.thumbnail ? `<img src="${this.escapeHtml(summary.thumbnail).replace(/"/g, '&quot;')}" alt="" loading="lazy">` : '<div class="missing">No image</div>'}
+                <div><strong>${this.escapeHtml(summary.time)}</strong></div>
+                <div class="caption">${this.escapeHtml(summary.caption)}</div>
+            </div>`;
+        };
+
+        return `
+    <div class="change">
+        <div class="change-title">${kinds} ${this.escapeHtml(entry.label)}</div>
+        <div class="sides">${side('Before', entry.beforeEvent)}${side('After', entry.afterEvent)}</div>
+    </div>`;
+    }
+
     /**
      * Convert a blob to a data URL
      * @param {Blob} blob - Blob to convert
@@ -0,0 +1,204 @@
+import { SelectorConstants } from '../constants/SelectorConstants.js';
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { DateResolver } from './DateResolver.js';
+
+/**
+ * LiveCardObserver - Watches the Blaze calendar and streams card changes to the extension (runs inside the page)
+ * A MutationObserver marks the cards that changed; after a short debounce only those cards are
+ * re-extracted and the added / updated / removed events are posted over a long-lived runtime port.
+ * The observer stops when the port disconnects (side panel closed or live scan turned off).
+ */
+export class LiveCardObserver {
+    constructor(dataExtractor) {
+        this.dataExtractor = dataExtractor;
+        this.port = null;
+        this.root = null;
+        this.observer = null;
+        this.rootObserver = null;
+        this.flushTimer = null;
+        this.cards = new Map(); // Card element -> last extracted event
+        this.dirtyCards = new Set(); // Cards with mutations since the last flush
+        this.sentIds = []; // Event IDs in page order, as last posted
+        this.sentSignatures = new Map(); // Event ID -> content signature, as last posted
+    }
+
+    /**
+     * Connect to the extension and start watching; posts a snapshot of every card first
+     * @param {string} portName - Name the extension listens for in runtime.onConnect
+     * @returns {Object} { watching, count }
+     */
+    start(portName) {
+        this.stop();
+
+        this.port = chrome.runtime.connect({ name: portName });
+        this.port.onDisconnect.addListener(() => this.stop());
+
+        this.attach();
+        this.flush(true);
+
+        return { watching: true, count: this.sentIds.length };
+    }
+
+    /**
+     * Stop watching and forget all card state
+     */
+    stop() {
+        this.observer?.disconnect();
+        this.rootObserver?.disconnect();
+        clearTimeout(this.flushTimer);
+
+        const port = this.port;
+        this.port = null;
+        this.observer = null;
+        this.rootObserver = null;
+        this.root = null;
+        this.flushTimer = null;
+        this.cards = new Map();
+        this.dirtyCards.clear();
+        this.sentIds = [];
+        this.sentSignatures.clear();
+
+        port?.disconnect();
+    }
+
+    /**
+     * Observe the calendar container, and its parent so a swapped-out calendar is picked up again
+     */
+    attach() {
+        this.root = document.querySelector(SelectorConstants.CALENDAR_ROOT) || document.body;
+
+        this.observer = new MutationObserver(records => this.handleMutations(records));
+        this.observer.observe(this.root, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+            attributes: true,
+            attributeFilter: ['src', 'href', 'aria-label', 'data-testid']
+        });
+
+        if (this.root.parentElement) {
+            this.rootObserver = new MutationObserver(() => {
+                if (this.root.isConnected) return;
+                this.observer.disconnect();
+                this.rootObserver.disconnect();
+                this.attach();
+                this.scheduleFlush();
+            });
+            this.rootObserver.observe(this.root.parentElement, { childList: true });
+        }
+    }
+
+    /**
+     * Mark the cards touched by a batch of mutations and schedule a flush
+     * Added and removed cards are found by the flush itself, so only edits inside cards are tracked.
+     * @param {Array<MutationRecord>} records - Mutation records
+     */
+    handleMutations(records) {
+        records.forEach(record => {
+            const element = record.target.nodeType === Node.ELEMENT_NODE ? record.target : record.target.parentElement;
+            const card = element?.closest(SelectorConstants.EVENT_CONTAINER);
+            if (card) {
+                this.dirtyCards.add(card);
+            }
+        });
+        this.scheduleFlush();
+    }
+
+    /**
+     * Flush once mutations settle, so a re-render of many cards is sent as one update
+     */
+    scheduleFlush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), WorkflowConfig.DELAYS.LIVE_SCAN_DEBOUNCE);
+    }
+
+    /**
+     * Re-extract new and changed cards and post what differs from the last message
+     * @param {boolean} [snapshot] - Post every event instead of a diff
+     */
+    flush(snapshot = false) {
+        this.flushTimer = null;
+        if (!this.port) return;
+
+        const view = this.dataExtractor.viewDetector.detect();
+        view.prepare();
+
+        const containers = this.dataExtractor.findEventContainers();
+        const extracted = new Set();
+        const events = containers.map((container, index) => {
+            const cached = this.cards.get(container);
+            if (cached && !this.dirtyCards.has(container)) {
+                cached.cardIndex = index + 1;
+                return cached;
+            }
+            const event = this.dataExtractor.extractSingleEventDataSync(container, index, view);
+            extracted.add(event);
+            return event;
+        });
+
+        this.dirtyCards.clear();
+        this.cards = new Map(containers.map((container, index) => [container, events[index]]));
+
+        // IDs depend on duplicate numbering across the whole page, so always assign them together
+        this.dataExtractor.assignCardIds(events, containers, view);
+        this.dataExtractor.resolveFullDates([...extracted]);
+
+        const ids = events.map(event => event.id);
+        const previousIds = new Set(this.sentIds);
+        const currentIds = new Set(ids);
+
+        const added = events.filter(event => !previousIds.has(event.id));
+        const updated = events.filter(event =>
+            previousIds.has(event.id) && extracted.has(event) &&
+            this.sentSignatures.get(event.id) !== this.getSignature(event)
+        );
+        const removed = this.sentIds.filter(id => !currentIds.has(id));
+        const reordered = ids.join('|') !== this.sentIds.join('|');
+
+        if (!snapshot && added.length === 0 && updated.length === 0 && removed.length === 0 && !reordered) {
+            return;
+        }
+
+        [...added, ...updated].forEach(event => this.sentSignatures.set(event.id, this.getSignature(event)));
+        removed.forEach(id => this.sentSignatures.delete(id));
+        this.sentIds = ids;
+
+        const message = snapshot
+            ? { type: 'snapshot', events }
+            : { type: 'changes', order: ids, added, updated, removed };
+        this.post({ ...message, view: view.name, timeZone: this.dataExtractor.detectTimeZone(), period: this.readPeriod() });
+    }
+
+    /**
+     * Date range the calendar is showing, so the extension can tell a deleted post
+     * from one that only left the screen because the user changed week
+     * @returns {Object|null} { start, end } as YYYY-MM-DD, or null when unreadable
+     */
+    readPeriod() {
+        const period = DateResolver.resolvePeriod(this.dataExtractor.viewDetector.readPeriod());
+        return period ? { start: DateResolver.toIsoDate(period.start), end: DateResolver.toIsoDate(period.end) } : null;
+    }
+
+    /**
+     * Content signature of an event, ignoring its position on the page
+     * @param {Object} event - Extracted event
+     * @returns {string} Signature
+     */
+    getSignature(event) {
+        const { cardIndex, ...content } = event;
+        return JSON.stringify(content);
+    }
+
+    /**
+     * Post a message, stopping if the extension side has gone away
+     * @param {Object} message - JSON-serializable message
+     */
+    post(message) {
+        try {
+            this.port.postMessage(message);
+        } catch (error) {
+            console.warn('Live scan port closed:', error.message);
+            this.stop();
+        }
+    }
+}
@@ -0,0 +1,112 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+
+/**
+ * MediaFingerprint - Small perceptual hashes of images and video frames (runs in the side panel)
+ * A 64-bit difference hash survives resizing and recompression, so a card thumbnail and the
+ * video's first frame or poster hash alike. The extension's host permissions let the panel
+ * read Blaze / Cloudinary media without tainting the canvas.
+ */
+export class MediaFingerprint {
+    /**
+     * Fingerprint an image
+     * @param {string} url - Image URL
+     * @returns {Promise<string|null>} 16-digit hex hash, or null if the image can't be read
+     */
+    static async fromImage(url) {
+        if (!url) return null;
+        try {
+            const response = await MediaFingerprint.withTimeout(fetch(url));
+            const bitmap = await createImageBitmap(await response.blob());
+            const hash = MediaFingerprint.hash(bitmap);
+            bitmap.close();
+            return hash;
+        } catch (error) {
+            console.warn('Could not fingerprint image:', url, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fingerprint the first decodable frame of a video
+     * @param {string} url - Video URL
+     * @returns {Promise<string|null>} 16-digit hex hash, or null if no frame could be decoded
+     */
+    static async fromVideoFrame(url) {
+        if (!url) return null;
+        const video = document.createElement('video');
+        video.crossOrigin = 'anonymous';
+        video.muted = true;
+        video.preload = 'auto';
+
+        try {
+            const frameReady = new Promise((resolve, reject) => {
+                video.addEventListener('loadeddata', () => { video.currentTime = 0.1; }, { once: true });
+                video.addEventListener('seeked', resolve, { once: true });
+                video.addEventListener('error', () => reject(new Error('Video could not be decoded')), { once: true });
+            });
+            video.src = url;
+            await MediaFingerprint.withTimeout(frameReady);
+            return MediaFingerprint.hash(video);
+        } catch (error) {
+            console.warn('Could not fingerprint video frame:', url, error.message);
+            return null;
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+        }
+    }
+
+    /**
+     * Difference hash: shrink to 9x8 grayscale and compare each pixel with its right neighbour
+     * @param {CanvasImageSource} source - Decoded image, bitmap or video
+     * @returns {string} 16-digit hex hash
+     */
+    static hash(source) {
+        const canvas = new OffscreenCanvas(9, 8);
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0, 9, 8);
+        const { data } = context.getImageData(0, 0, 9, 8);
+
+        const gray = [];
+        for (let i = 0; i < data.length; i += 4) {
+            gray.push(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+        }
+
+        let bits = '';
+        for (let row = 0; row < 8; row++) {
+            for (let col = 0; col < 8; col++) {
+                bits += gray[row * 9 + col] > gray[row * 9 + col + 1] ? '1' : '0';
+            }
+        }
+        return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+    }
+
+    /**
+     * Similarity of two hashes
+     * @param {string} a - Hash
+     * @param {string} b - Hash
+     * @returns {number} 1 for identical, about 0.5 for unrelated images
+     */
+    static similarity(a, b) {
+        let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+        let distance = 0;
+        while (diff > 0n) {
+            distance += Number(diff & 1n);
+            diff >>= 1n;
+        }
+        return 1 - distance / 64;
+    }
+
+    /**
+     * Reject if a media load takes longer than WorkflowConfig.VIDEO_MATCHING.FINGERPRINT_TIMEOUT_MS
+     * @param {Promise} promise - Load to wait for
+     * @returns {Promise} The load's result
+     */
+    static withTimeout(promise) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Timed out')), WorkflowConfig.VIDEO_MATCHING.FINGERPRINT_TIMEOUT_MS);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
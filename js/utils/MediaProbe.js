@@ -0,0 +1,232 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { StreamManifest } from './StreamManifest.js';
+
+/**
+ * MediaProbe - Reads size, MIME type, dimensions, duration and codec of a media URL before it is
+ * downloaded (runs in the side panel)
+ * A ranged request for the first bytes gives the size (from Content-Range) and content type
+ * and usually the codec; decoding the image or loading the video's metadata gives the rest.
+ * Every step is best effort: fields it can't read stay null.
+ */
+export class MediaProbe {
+    /**
+     * CSV column headers for the optional media columns, in the order of toCsvFields
+     */
+    static CSV_HEADERS = ['Media Size (bytes)', 'MIME Type', 'Width', 'Height', 'Media Duration (s)', 'Codec'];
+
+    /**
+     * Codec IDs as they appear in the first bytes of MP4 (sample entries) and WebM (CodecID) files
+     */
+    static CODEC_SIGNATURES = [
+        ['avc1', 'H.264'], ['avc3', 'H.264'], ['V_MPEG4/ISO/AVC', 'H.264'],
+        ['hvc1', 'H.265'], ['hev1', 'H.265'], ['V_MPEGH/ISO/HEVC', 'H.265'],
+        ['av01', 'AV1'], ['V_AV1', 'AV1'],
+        ['vp09', 'VP9'], ['V_VP9', 'VP9'],
+        ['vp08', 'VP8'], ['V_VP8', 'VP8']
+    ];
+
+    /**
+     * Probe one media URL
+     * @param {string} url - Media URL
+     * @param {string} kind - 'image' or 'video'
+     * @returns {Promise<Object>} { url, size, mimeType, width, height, duration, codec, probedAt }
+     */
+    static async probe(url, kind) {
+        const info = { url, size: null, mimeType: null, width: null, height: null, duration: null, codec: null };
+
+        // A stream's first bytes are its manifest, which says nothing about the media
+        if (!StreamManifest.getKind(url)) {
+            Object.assign(info, await MediaProbe.readHeader(url));
+        }
+        Object.assign(info, kind === 'video' ? await MediaProbe.readVideo(url) : await MediaProbe.readImage(url));
+
+        return { ...info, probedAt: new Date().toISOString() };
+    }
+
+    /**
+     * Size, content type and codec from a request for the first WorkflowConfig.MEDIA_PROBE.HEADER_BYTES
+     * Servers that ignore the range send the whole file, so the body is cut off once enough has arrived.
+     * @param {string} url - Media URL
+     * @returns {Promise<Object>} { size, mimeType, codec } - only the fields that could be read
+     */
+    static async readHeader(url) {
+        const { HEADER_BYTES } = WorkflowConfig.MEDIA_PROBE;
+        const controller = new AbortController();
+
+        try {
+            const response = await MediaProbe.withTimeout(
+                fetch(url, { headers: { Range: `bytes=0-${HEADER_BYTES - 1}` }, signal: controller.signal }),
+                () => controller.abort()
+            );
+            if (!response.ok) {
+                throw new Error(`Request failed (${response.status})`);
+            }
+
+            const contentType = response.headers.get('Content-Type') || '';
+            const totalSize = (response.headers.get('Content-Range') || '').match(/\/(\d+)$/);
+            const length = response.status === 200 ? response.headers.get('Content-Length') : null;
+            const bytes = await MediaProbe.withTimeout(MediaProbe.readBytes(response, HEADER_BYTES), () => controller.abort());
+            controller.abort();
+
+            const result = {
+                size: totalSize ? Number(totalSize[1]) : (length ? Number(length) : null),
+                mimeType: contentType.split(';')[0].trim().toLowerCase() || null
+            };
+            const codec = MediaProbe.getCodec(contentType, bytes);
+            return codec ? { ...result, codec } : result;
+        } catch (error) {
+            controller.abort();
+            console.warn('Could not read media header:', url, error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Read up to maxBytes of a response body
+     * @param {Response} response - Fetch response
+     * @param {number} maxBytes - Bytes wanted
+     * @returns {Promise<Uint8Array>} The bytes read
+     */
+    static async readBytes(response, maxBytes) {
+        const reader = response.body.getReader();
+        const bytes = new Uint8Array(maxBytes);
+        let length = 0;
+
+        while (length < maxBytes) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const chunk = value.subarray(0, maxBytes - length);
+            bytes.set(chunk, length);
+            length += chunk.length;
+        }
+        reader.cancel().catch(() => {});
+        return bytes.subarray(0, length);
+    }
+
+    /**
+     * Video codec from the content type's codecs parameter, else from the file's first bytes
+     * @param {string} contentType - Content-Type header
+     * @param {Uint8Array} bytes - First bytes of the file
+     * @returns {string|null} Codec name (e.g. 'H.264'), or null when unknown
+     */
+    static getCodec(contentType, bytes) {
+        const declared = contentType.match(/codecs="?([^",;]+)/i);
+        // Declared codecs may use the short WebM names ("vp9")
+        const text = declared ? declared[1].replace(/^vp([89])$/i, 'vp0$1') : new TextDecoder('latin1').decode(bytes);
+
+        const match = MediaProbe.CODEC_SIGNATURES.find(([signature]) => text.includes(signature));
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Image dimensions
+     * @param {string} url - Image URL
+     * @returns {Promise<Object>} { width, height }, or {} when the image can't be decoded
+     */
+    static async readImage(url) {
+        const image = new Image();
+        try {
+            image.src = url;
+            await MediaProbe.withTimeout(image.decode(), () => image.removeAttribute('src'));
+            return { width: image.naturalWidth, height: image.naturalHeight };
+        } catch (error) {
+            console.warn('Could not decode image:', url, error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Video duration and resolution from its metadata
+     * @param {string} url - Video URL
+     * @returns {Promise<Object>} { width, height, duration }, or {} when the metadata can't be loaded
+     */
+    static async readVideo(url) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'metadata';
+
+        try {
+            const metadataReady = new Promise((resolve, reject) => {
+                video.addEventListener('loadedmetadata', resolve, { once: true });
+                video.addEventListener('error', () => reject(new Error('Video metadata could not be loaded')), { once: true });
+            });
+            video.src = url;
+            await MediaProbe.withTimeout(metadataReady);
+
+            return {
+                width: video.videoWidth || null,
+                height: video.videoHeight || null,
+                duration: Number.isFinite(video.duration) ? Math.round(video.duration * 10) / 10 : null
+            };
+        } catch (error) {
+            console.warn('Could not read video metadata:', url, error.message);
+            return {};
+        } finally {
+            video.removeAttribute('src');
+            video.load();
+        }
+    }
+
+    /**
+     * Values for the optional media CSV columns (see CSV_HEADERS)
+     * @param {Object} [info] - Probe result, or a captured video carrying the same fields
+     * @returns {Array<string>} Unquoted column values
+     */
+    static toCsvFields(info = {}) {
+        return ['size', 'mimeType', 'width', 'height', 'duration', 'codec']
+            .map(field => info?.[field] === null || info?.[field] === undefined ? '' : String(info[field]));
+    }
+
+    /**
+     * One-line summary for the detail view
+     * @param {Object} [info] - Probe result
+     * @returns {string} e.g. "1080×1920 · 0:15 · H.264 · video/mp4 · 4.2 MB", or '' when nothing is known
+     */
+    static describe(info) {
+        if (!info) return '';
+        const seconds = info.duration !== null && info.duration !== undefined ? Math.round(info.duration) : null;
+        const duration = seconds !== null ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}` : '';
+
+        return [
+            info.width && info.height ? `${info.width}×${info.height}` : '',
+            duration,
+            info.codec,
+            info.mimeType,
+            MediaProbe.formatSize(info.size)
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Human-readable file size
+     * @param {number|null} bytes - Size in bytes
+     * @returns {string} e.g. "4.2 MB", or '' when unknown
+     */
+    static formatSize(bytes) {
+        if (bytes === null || bytes === undefined) return '';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unit = 0;
+        while (size >= 1024 && unit < units.length - 1) {
+            size /= 1024;
+            unit++;
+        }
+        return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+    }
+
+    /**
+     * Reject if a probe step takes longer than WorkflowConfig.MEDIA_PROBE.TIMEOUT_MS
+     * @param {Promise} promise - Step to wait for
+     * @param {Function} [onTimeout] - Cancels the step
+     * @returns {Promise} The step's result
+     */
+    static withTimeout(promise, onTimeout = () => {}) {
+        let timer = null;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                onTimeout();
+                reject(new Error('Timed out'));
+            }, WorkflowConfig.MEDIA_PROBE.TIMEOUT_MS);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
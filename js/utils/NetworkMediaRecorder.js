@@ -0,0 +1,135 @@
+/**
+ * NetworkMediaRecorder - Records the media requests the page makes while a detail view is open
+ * (runs inside the page). Combines resource timing entries with the responses reported by
+ * networkMediaHook.js, so the real MP4 / image URLs are known even when the player only shows
+ * a blob: URL. Every recording belongs to the one event whose detail view is open.
+ */
+export class NetworkMediaRecorder {
+    /**
+     * Must match MESSAGE_SOURCE in networkMediaHook.js
+     */
+    static MESSAGE_SOURCE = 'agencysmm-network-media';
+
+    static VIDEO_URL = /\.(mp4|webm|mov|m4v)(\?|#|$)/i;
+    static STREAM_URL = /\.(m3u8|mpd)(\?|#|$)/i;
+    static SEGMENT_URL = /\.(m4s|ts|aac)(\?|#|$)/i;
+    static IMAGE_URL = /\.(jpe?g|png|gif|webp|avif)(\?|#|$)/i;
+
+    constructor() {
+        this.eventId = null;
+        this.requests = []; // { url, contentType, initiatorType }
+        this.observer = null;
+        this.onMessage = (event) => {
+            if (event.source !== window || event.data?.source !== NetworkMediaRecorder.MESSAGE_SOURCE) return;
+            this.requests.push({ url: event.data.url, contentType: event.data.contentType, initiatorType: '' });
+        };
+    }
+
+    /**
+     * Start recording for an event, dropping anything recorded before
+     * @param {string} eventId - Event whose detail view is about to open
+     */
+    begin(eventId) {
+        this.stop();
+        this.eventId = eventId;
+        this.requests = [];
+
+        window.addEventListener('message', this.onMessage);
+        if (typeof PerformanceObserver !== 'undefined') {
+            this.observer = new PerformanceObserver(list => this.addEntries(list.getEntries()));
+            this.observer.observe({ type: 'resource' });
+        }
+    }
+
+    /**
+     * Stop recording and return the media the event's detail view loaded
+     * @returns {Object} { eventId, videoUrls, imageUrls } - progressive videos before stream manifests
+     */
+    end() {
+        if (this.observer) {
+            this.addEntries(this.observer.takeRecords());
+        }
+        const media = NetworkMediaRecorder.summarize(this.eventId, this.requests);
+        this.stop();
+        return media;
+    }
+
+    /**
+     * Stop listening without reading the recording
+     */
+    stop() {
+        window.removeEventListener('message', this.onMessage);
+        this.observer?.disconnect();
+        this.observer = null;
+    }
+
+    /**
+     * Add resource timing entries to the recording
+     * @param {Array<PerformanceResourceTiming>} entries - Resource entries
+     */
+    addEntries(entries) {
+        entries.forEach(entry => this.requests.push({ url: entry.name, contentType: '', initiatorType: entry.initiatorType }));
+    }
+
+    /**
+     * Sort recorded requests into video and image URLs
+     * @param {string} eventId - Event the recording belongs to
+     * @param {Array<Object>} requests - Recorded requests
+     * @returns {Object} { eventId, videoUrls, imageUrls }
+     */
+    static summarize(eventId, requests) {
+        const videos = new Set();
+        const streams = new Set();
+        const images = new Set();
+
+        requests.forEach(request => {
+            if (!/^https?:/i.test(request.url || '')) return;
+            const kind = NetworkMediaRecorder.classify(request);
+            if (kind === 'video') videos.add(request.url);
+            if (kind === 'stream') streams.add(request.url);
+            if (kind === 'image') images.add(request.url);
+        });
+
+        return { eventId, videoUrls: [...videos, ...streams], imageUrls: [...images] };
+    }
+
+    /**
+     * Classify one request by content type, or by URL and initiator when the type is unknown
+     * @param {Object} request - { url, contentType, initiatorType }
+     * @returns {string|null} 'video', 'stream', 'image' or null (not media, or a stream segment)
+     */
+    static classify({ url, contentType, initiatorType }) {
+        const type = (contentType || '').toLowerCase();
+        if (NetworkMediaRecorder.SEGMENT_URL.test(url) || type.includes('mp2t') || type.includes('iso.segment')) return null;
+        if (type.includes('mpegurl') || type.includes('dash+xml') || NetworkMediaRecorder.STREAM_URL.test(url)) return 'stream';
+        if (type.startsWith('video/') || NetworkMediaRecorder.VIDEO_URL.test(url) || initiatorType === 'video') return 'video';
+        if (type.startsWith('image/') || NetworkMediaRecorder.IMAGE_URL.test(url)) return 'image';
+        return null;
+    }
+
+    /**
+     * Replace what the DOM couldn't tell (missing or blob: sources) with recorded URLs
+     * @param {Object} detail - Result of DataExtractor.extractDetailViewData
+     * @param {Object} media - Result of end()
+     * @returns {Object} Detail with real URLs and the recording as networkMedia
+     */
+    static applyTo(detail, media) {
+        const isBlob = (url) => typeof url === 'string' && url.startsWith('blob:');
+        const result = { ...detail, networkMedia: media };
+
+        if ((!detail.videoSrc || isBlob(detail.videoSrc)) && media.videoUrls.length > 0) {
+            result.videoSrc = media.videoUrls[0];
+        }
+
+        // Each blob: image is swapped for a recorded image the DOM doesn't already show
+        const domImages = detail.imageSrcs || [];
+        const blobCount = domImages.filter(isBlob).length;
+        if (blobCount > 0) {
+            const extra = media.imageUrls.filter(url => !domImages.includes(url)).slice(0, blobCount);
+            result.imageSrcs = [...domImages.filter(url => !isBlob(url)), ...extra];
+            result.imageSrc = result.imageSrcs[0] || null;
+        }
+
+        return result;
+    }
+}
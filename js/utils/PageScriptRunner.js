@@ -0,0 +1,45 @@
+/**
+ * PageScriptRunner - Runs PageExtractionCommands inside the active Blaze tab
+ * Injects a small loader that imports js/utils/pageExtractionBundle.js from the extension
+ * (listed in web_accessible_resources) and calls the requested command with JSON arguments.
+ */
+export class PageScriptRunner {
+    constructor(controller) {
+        this.controller = controller;
+        this.bundlePath = 'js/utils/pageExtractionBundle.js';
+    }
+
+    /**
+     * Run a bundle command in the current tab
+     * @param {string} command - Name of a PageExtractionCommands entry
+     * @param {...*} args - JSON-serializable arguments for the command
+     * @returns {Promise<*>} The command's result
+     */
+    async run(command, ...args) {
+        const results = await chrome.scripting.executeScript({
+            target: { tabId: this.controller.tabId },
+            func: async (bundleUrl, command, args) => {
+                try {
+                    const { PageExtractionCommands } = await import(bundleUrl);
+                    if (!PageExtractionCommands[command]) {
+                        throw new Error(`Unknown page command: ${command}`);
+                    }
+                    return { result: await PageExtractionCommands[command](...args) };
+                } catch (error) {
+                    // Errors don't cross the injection boundary, so report them as data
+                    return { error: error.message || String(error) };
+                }
+            },
+            args: [chrome.runtime.getURL(this.bundlePath), command, args]
+        });
+
+        const response = results[0]?.result;
+        if (!response) {
+            throw new Error(`Page command ${command} returned no result`);
+        }
+        if (response.error) {
+            throw new Error(response.error);
+        }
+        return response.result;
+    }
+}
@@ -0,0 +1,118 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+
+/**
+ * PageWaiter - Condition-based waits for page scripts (runs inside the page)
+ * Each wait resolves as soon as its condition holds, or after the timeout
+ * (WorkflowConfig.RETRY.TIMEOUT_MS by default). Timeouts resolve instead of rejecting,
+ * so callers read whatever the page has by then rather than failing the extraction.
+ */
+export class PageWaiter {
+    /**
+     * Wait until a predicate is true, re-checking whenever the DOM under root changes
+     * A slow poll covers property changes (checked, readyState) that don't cause mutations.
+     * @param {Function} predicate - Returns a truthy value once the condition holds
+     * @param {Object} [options] - { root, timeout }
+     * @returns {Promise<*>} The predicate's truthy value, or null on timeout
+     */
+    static waitFor(predicate, { root = document.documentElement, timeout = WorkflowConfig.RETRY.TIMEOUT_MS } = {}) {
+        const initial = predicate();
+        if (initial) return Promise.resolve(initial);
+
+        return new Promise(resolve => {
+            const check = () => {
+                const value = predicate();
+                if (value) finish(value);
+            };
+            const finish = (value) => {
+                observer.disconnect();
+                clearInterval(poll);
+                clearTimeout(timer);
+                resolve(value);
+            };
+
+            const observer = new MutationObserver(check);
+            observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+            const poll = setInterval(check, WorkflowConfig.DELAYS.WAIT_POLL);
+            const timer = setTimeout(() => finish(null), timeout);
+        });
+    }
+
+    /**
+     * Wait for an element matching a selector
+     * @param {string} selector - CSS selector
+     * @param {Object} [options] - { root, timeout }
+     * @returns {Promise<Element|null>} The element, or null on timeout
+     */
+    static waitForSelector(selector, options = {}) {
+        const scope = options.root || document;
+        return PageWaiter.waitFor(() => scope.querySelector(selector), options);
+    }
+
+    /**
+     * Wait until no element matches a selector (e.g. a closing dialog)
+     * @param {string} selector - CSS selector
+     * @param {Object} [options] - { root, timeout }
+     * @returns {Promise<boolean>} True once gone, false on timeout
+     */
+    static async waitForAbsence(selector, options = {}) {
+        const scope = options.root || document;
+        return (await PageWaiter.waitFor(() => !scope.querySelector(selector), options)) === true;
+    }
+
+    /**
+     * Wait until a video knows its duration and dimensions
+     * @param {HTMLVideoElement} video - Video element
+     * @param {Object} [options] - { timeout }
+     * @returns {Promise<boolean>} True once metadata is loaded, false on error or timeout
+     */
+    static waitForVideoMetadata(video, { timeout = WorkflowConfig.RETRY.TIMEOUT_MS } = {}) {
+        if (video.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            return Promise.resolve(true);
+        }
+
+        return new Promise(resolve => {
+            const finish = (loaded) => {
+                video.removeEventListener('loadedmetadata', onLoaded);
+                video.removeEventListener('error', onError);
+                clearTimeout(timer);
+                resolve(loaded);
+            };
+            const onLoaded = () => finish(true);
+            const onError = () => finish(false);
+
+            video.addEventListener('loadedmetadata', onLoaded);
+            video.addEventListener('error', onError);
+            const timer = setTimeout(() => finish(false), timeout);
+        });
+    }
+
+    /**
+     * Wait until the DOM under root stops changing for a quiet period
+     * @param {Node} [root] - Subtree to watch
+     * @param {Object} [options] - { quietMs, timeout }
+     * @returns {Promise<boolean>} True once quiet, false if it was still changing at the timeout
+     */
+    static waitForQuiet(root = document.documentElement, {
+        quietMs = WorkflowConfig.DELAYS.DOM_QUIET,
+        timeout = WorkflowConfig.RETRY.TIMEOUT_MS
+    } = {}) {
+        return new Promise(resolve => {
+            let quietTimer = null;
+            const finish = (quiet) => {
+                observer.disconnect();
+                clearTimeout(quietTimer);
+                clearTimeout(timeoutTimer);
+                resolve(quiet);
+            };
+            const restartQuietTimer = () => {
+                clearTimeout(quietTimer);
+                quietTimer = setTimeout(() => finish(true), quietMs);
+            };
+
+            const observer = new MutationObserver(restartQuietTimer);
+            observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+            const timeoutTimer = setTimeout(() => finish(false), timeout);
+            restartQuietTimer();
+        });
+    }
+}
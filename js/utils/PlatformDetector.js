@@ -1,3 +1,5 @@
+import { SelectorConstants } from '../constants/SelectorConstants.js';
+
 /**
  * PlatformDetector - Specialized class for detecting social media platforms from DOM elements
  * Handles the complex logic of identifying platforms from CSS classes, SVG content, and attributes
@@ -64,7 +66,7 @@ export class PlatformDetector {
             return ['Blog'];
         }
 
-        if (this.containsKeywords(lowerLabel, ['story'])) {
+        if (this.containsKeywords(lowerLabel, ['story', 'reel'])) {
             return ['Instagram'];
         }
 
@@ -78,74 +80,49 @@ export class PlatformDetector {
      */
     findPlatformIcons(container) {
         const allPlatformElements = Array.from(
-            container.querySelectorAll('[class*="Icon_platform"]')
+            container.querySelectorAll(SelectorConstants.PLATFORM_ICON)
         );
 
         // Filter out container elements, keep only actual platform icons
-        return allPlatformElements.filter(el =>
-            el.classList.contains('Icon_platformIcon__d7da4') &&
-            !el.classList.contains('Icon_platformIconsContainer__d7da4')
-        );
+        return allPlatformElements.filter(el => {
+            const classes = this.getClassName(el);
+            return classes.includes('Icon_platformIcon') && !classes.includes('Icon_platformIconsContainer');
+        });
     }
 
     // Detection Strategies
 
     /**
-     * Strategy 1: Detect by exact CSS class matches
+     * Strategy 1: Detect by CSS class prefixes on the icon or its ChannelIcon child
      */
     detectByCssClasses(iconElement) {
-        const classes = iconElement.className;
+        const classNames = [iconElement, ...iconElement.querySelectorAll('[class]')]
+            .map(el => this.getClassName(el))
+            .join(' ');
 
-        if (classes.includes('Icon_facebook__d7da4')) return 'Facebook';
-        if (classes.includes('Icon_instagram__d7da4')) return 'Instagram';
-        if (classes.includes('Icon_youtube__d7da4')) return 'YouTube';
-        if (classes.includes('Icon_x__d7da4') || classes.includes('Icon_twitter__d7da4')) return 'X';
-        if (classes.includes('Icon_linkedin__d7da4')) return 'LinkedIn';
+        const match = this.getPlatformPatterns()
+            .find(pattern => pattern.CLASSES.some(prefix => classNames.includes(prefix)));
 
-        return '';
+        return match ? match.NAME : '';
     }
 
     /**
-     * Strategy 2: Detect by SVG content patterns
+     * Strategy 2: Detect by SVG path prefixes and brand colors
      */
     detectBySvgContent(iconElement) {
         const svgElement = iconElement.querySelector('svg');
         if (!svgElement) return '';
 
         const svgContent = svgElement.outerHTML;
+        const upperSvgContent = svgContent.toUpperCase();
 
-        // LinkedIn patterns (most distinctive)
-        if (this.containsSvgPatterns(svgContent, [
-            'M14.3921 4.77426',
-            'M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z'
-        ])) {
-            return 'LinkedIn';
-        }
-
-        // Instagram patterns
-        if (this.containsSvgPatterns(svgContent, [
-            'M12.0833 1H3.91667C2.30608 1 1 2.30608 1 3.91667V12.0833C1 13.6939 2.30608 15 3.91667 15H12.0833',
-            'M14.9808 7.9989'
-        ])) {
-            return 'Instagram';
-        }
-
-        // Facebook patterns
-        if (svgContent.includes('M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z')) {
-            return 'Facebook';
-        }
-
-        // YouTube patterns
-        if (svgContent.includes('M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814z')) {
-            return 'YouTube';
-        }
-
-        // Twitter/X patterns
-        if (svgContent.includes('M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z')) {
-            return 'X';
-        }
+        const match = this.getPlatformPatterns().find(pattern =>
+            this.containsSvgPatterns(svgContent, pattern.SVG_PATTERNS) ||
+            (pattern.SVG_COLORS.length > 0 &&
+                pattern.SVG_COLORS.every(color => upperSvgContent.includes(color.toUpperCase())))
+        );
 
-        return '';
+        return match ? match.NAME : '';
     }
 
     /**
@@ -162,7 +139,7 @@ export class PlatformDetector {
         if (lowerAriaLabel.includes('facebook')) return 'Facebook';
         if (lowerAriaLabel.includes('instagram')) return 'Instagram';
         if (lowerAriaLabel.includes('youtube')) return 'YouTube';
-        if (lowerAriaLabel.includes('twitter') || lowerAriaLabel.includes('x')) return 'X';
+        if (lowerAriaLabel.includes('twitter') || lowerAriaLabel === 'x') return 'X';
 
         return '';
     }
@@ -171,7 +148,7 @@ export class PlatformDetector {
      * Strategy 4: Conservative fallback checks
      */
     detectByConservativeFallback(iconElement) {
-        const classes = iconElement.className;
+        const classes = this.getClassName(iconElement);
 
         // Only use these if very specific to avoid false positives
         if (classes.includes('linkedin') && !classes.includes('icon') && !classes.includes('social')) return 'LinkedIn';
@@ -204,4 +181,21 @@ export class PlatformDetector {
     containsSvgPatterns(svgContent, patterns) {
         return patterns.some(pattern => svgContent.includes(pattern));
     }
+
+    /**
+     * Get the platform pattern definitions
+     * @returns {Array<Object>} Pattern objects with NAME, CLASSES, SVG_PATTERNS and SVG_COLORS
+     */
+    getPlatformPatterns() {
+        return Object.values(SelectorConstants.PLATFORM_PATTERNS);
+    }
+
+    /**
+     * Read an element's class attribute as a string (SVG elements expose an SVGAnimatedString)
+     * @param {Element} element - Element to read
+     * @returns {string} Class attribute value
+     */
+    getClassName(element) {
+        return element.getAttribute?.('class') || '';
+    }
 }
@@ -0,0 +1,57 @@
+/**
+ * PostStatus - Display labels and CSV columns for an event's status, approval state and author
+ * DataExtractor reads the raw values from Blaze's card badges and detail view; the popup grid,
+ * its filters and the CSV exporters all go through here so they show the same values.
+ */
+export class PostStatus {
+    static STATUS_LABELS = {
+        draft: 'Draft',
+        scheduled: 'Scheduled',
+        published: 'Published',
+        failed: 'Failed',
+        needs_connection: 'Needs connection'
+    };
+
+    static APPROVAL_LABELS = {
+        pending: 'Pending approval',
+        approved: 'Approved',
+        changes_requested: 'Changes requested',
+        rejected: 'Rejected'
+    };
+
+    /**
+     * CSV column headers for the optional status columns, in the order of toCsvFields
+     */
+    static CSV_HEADERS = ['Status', 'Approval', 'Author'];
+
+    /**
+     * Human-readable post status
+     * @param {string} status - Status key (e.g. 'needs_connection')
+     * @returns {string} Label, or '' when there is no status
+     */
+    static getStatusLabel(status) {
+        return PostStatus.STATUS_LABELS[status] || status || '';
+    }
+
+    /**
+     * Human-readable approval state
+     * @param {string} approval - Approval key (e.g. 'changes_requested')
+     * @returns {string} Label, or '' when there is no approval state
+     */
+    static getApprovalLabel(approval) {
+        return PostStatus.APPROVAL_LABELS[approval] || approval || '';
+    }
+
+    /**
+     * Values for the optional status CSV columns (see CSV_HEADERS)
+     * @param {Object} event - Event carrying status, approval and author
+     * @returns {Array<string>} Unquoted column values
+     */
+    static toCsvFields(event) {
+        return [
+            event.status || '',
+            event.approval || '',
+            event.author || ''
+        ];
+    }
+}
@@ -0,0 +1,110 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { ErrorMessages } from '../constants/ErrorMessages.js';
+
+/**
+ * RetryPolicy - Retries page automation steps with exponential backoff
+ * Each operation type (detail extraction, card click, download) has its own attempt limit and
+ * backoff in WorkflowConfig.RETRY.POLICIES. Errors are classified first: a card that isn't
+ * rendered yet is worth another try, a closed tab or an expired Blaze login is not.
+ */
+export class RetryPolicy {
+    /**
+     * Errors no retry can fix - the tab is gone, unreachable or logged out
+     * Page errors only cross the injection boundary as messages, so they are matched by text.
+     */
+    static FATAL_ERRORS = [
+        /No tab with id/i,
+        /tab was closed/i,
+        /Frame with ID \d+ was removed/i,
+        /Cannot access (contents of|a chrome)/i,
+        /Invalid (url|filename)/i,
+        ErrorMessages.LOGGED_OUT,
+        ErrorMessages.INVALID_SITE
+    ];
+
+    /**
+     * Run a task, retrying retryable failures with exponential backoff
+     * @param {string} operation - Policy name from WorkflowConfig.RETRY.POLICIES ('detail', 'click', 'download', 'segment')
+     * @param {Function} task - Async function to run; receives the attempt number (1-based)
+     * @param {Object} [options] - { onAttempt } called with each attempt record
+     *        { attempt, startedAt, durationMs, error, fatal } as soon as the attempt ends
+     * @returns {Promise<*>} The task's result
+     * @throws The last attempt's error once attempts run out or a fatal error occurs
+     */
+    static async run(operation, task, { onAttempt } = {}) {
+        const policy = RetryPolicy.getPolicy(operation);
+
+        for (let attempt = 1; ; attempt++) {
+            const startedAt = new Date();
+            try {
+                const result = await task(attempt);
+                onAttempt?.(RetryPolicy.createRecord(attempt, startedAt, null));
+                return result;
+            } catch (error) {
+                const record = RetryPolicy.createRecord(attempt, startedAt, error);
+                onAttempt?.(record);
+
+                if (record.fatal || attempt >= policy.MAX_ATTEMPTS) {
+                    throw error;
+                }
+
+                const delay = RetryPolicy.getDelay(policy, attempt);
+                console.warn(`${operation} attempt ${attempt}/${policy.MAX_ATTEMPTS} failed, retrying in ${delay}ms:`, error.message);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    /**
+     * Whether an error means retrying is pointless
+     * @param {Error|string} error - Error or error message
+     * @returns {boolean} True for fatal errors
+     */
+    static isFatal(error) {
+        const message = typeof error === 'string' ? error : error?.message || '';
+        return RetryPolicy.FATAL_ERRORS.some(pattern =>
+            typeof pattern === 'string' ? message.includes(pattern) : pattern.test(message)
+        );
+    }
+
+    /**
+     * Policy for an operation type, falling back to the global attempt limit
+     * @param {string} operation - Policy name
+     * @returns {Object} { MAX_ATTEMPTS, BASE_DELAY_MS, MAX_DELAY_MS }
+     */
+    static getPolicy(operation) {
+        return {
+            MAX_ATTEMPTS: WorkflowConfig.RETRY.MAX_ATTEMPTS,
+            BASE_DELAY_MS: WorkflowConfig.RETRY.BASE_DELAY_MS,
+            MAX_DELAY_MS: WorkflowConfig.RETRY.MAX_DELAY_MS,
+            ...WorkflowConfig.RETRY.POLICIES[operation]
+        };
+    }
+
+    /**
+     * Backoff before the next attempt: the base delay doubled per failed attempt, capped
+     * @param {Object} policy - Policy from getPolicy
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    static getDelay(policy, attempt) {
+        return Math.min(policy.BASE_DELAY_MS * 2 ** (attempt - 1), policy.MAX_DELAY_MS);
+    }
+
+    /**
+     * Attempt record kept in job reports
+     * @param {number} attempt - Attempt number (1-based)
+     * @param {Date} startedAt - When the attempt started
+     * @param {Error|null} error - Failure, or null on success
+     * @returns {Object} { attempt, startedAt, durationMs, error, fatal }
+     */
+    static createRecord(attempt, startedAt, error) {
+        return {
+            attempt,
+            startedAt: startedAt.toISOString(),
+            durationMs: Date.now() - startedAt.getTime(),
+            error: error ? error.message || String(error) : '',
+            fatal: error ? RetryPolicy.isFatal(error) : false
+        };
+    }
+}
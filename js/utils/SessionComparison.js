@@ -0,0 +1,97 @@
+import { DateResolver } from './DateResolver.js';
+import { EventDiff } from './EventDiff.js';
+import { EventMedia } from './EventMedia.js';
+
+/**
+ * SessionComparison - Compares two saved capture sessions for the change report
+ * Builds on EventDiff and sorts each modified event into the kinds of change account
+ * managers ask about: rescheduled, re-captioned, media or platforms changed.
+ */
+export class SessionComparison {
+    /**
+     * Change kinds by EventDiff field, in report order
+     */
+    static CHANGE_KINDS = {
+        time: { kind: 'rescheduled', label: 'Rescheduled' },
+        caption: { kind: 'recaptioned', label: 'Re-captioned' },
+        media: { kind: 'media', label: 'Media changed' },
+        platforms: { kind: 'platforms', label: 'Platforms changed' }
+    };
+
+    /**
+     * Compare two sessions
+     * @param {Object} beforeSession - Older session record (with events)
+     * @param {Object} afterSession - Newer session record (with events)
+     * @returns {Object} { before, after, entries, counts } where each entry is
+     *          { type, kinds, label, eventId, previousId, changes, beforeEvent, afterEvent }
+     */
+    static compare(beforeSession, afterSession) {
+        const beforeById = new Map(beforeSession.events.map(event => [event.id, event]));
+        const afterById = new Map(afterSession.events.map(event => [event.id, event]));
+
+        const entries = EventDiff.diff(beforeSession.events, afterSession.events).map(entry => {
+            const beforeEvent = entry.type === 'added' ? null : beforeById.get(entry.previousId || entry.eventId);
+            const afterEvent = entry.type === 'removed' ? null : afterById.get(entry.eventId);
+            const kinds = entry.type === 'modified'
+                ? entry.changes.map(change => SessionComparison.CHANGE_KINDS[change.field].kind)
+                : [entry.type];
+
+            return { ...entry, kinds, beforeEvent, afterEvent };
+        });
+
+        const counts = { added: 0, removed: 0, rescheduled: 0, recaptioned: 0, media: 0, platforms: 0 };
+        entries.forEach(entry => entry.kinds.forEach(kind => counts[kind]++));
+
+        return {
+            before: SessionComparison.describeSession(beforeSession),
+            after: SessionComparison.describeSession(afterSession),
+            entries: SessionComparison.sortEntries(entries),
+            counts
+        };
+    }
+
+    /**
+     * Human label for a change kind
+     * @param {string} kind - 'added', 'removed', 'rescheduled', 'recaptioned', 'media' or 'platforms'
+     * @returns {string} Label
+     */
+    static getKindLabel(kind) {
+        if (kind === 'added') return 'Added';
+        if (kind === 'removed') return 'Removed';
+        return Object.values(SessionComparison.CHANGE_KINDS).find(entry => entry.kind === kind)?.label || kind;
+    }
+
+    /**
+     * The parts of an event the report shows next to each other
+     * @param {Object|null} event - Event, or null when it is missing on that side
+     * @returns {Object|null} { thumbnail, time, caption }
+     */
+    static summarizeEvent(event) {
+        if (!event) return null;
+        return {
+            thumbnail: EventMedia.getImageUrls(event)[0] || '',
+            time: DateResolver.formatPostTime(event) || event.timestamp || '',
+            caption: event.fullDescription || event.description || ''
+        };
+    }
+
+    /**
+     * Session fields shown in the report header
+     * @param {Object} session - Session record
+     * @returns {Object} { id, name, capturedAt, eventCount }
+     */
+    static describeSession(session) {
+        return { id: session.id, name: session.name, capturedAt: session.capturedAt, eventCount: session.events.length };
+    }
+
+    /**
+     * Order entries by the post's date so the report reads like the calendar
+     * @param {Array<Object>} entries - Comparison entries
+     * @returns {Array<Object>} Sorted entries
+     */
+    static sortEntries(entries) {
+        const dateOf = (entry) => (entry.afterEvent || entry.beforeEvent)?.scheduledAt ||
+            (entry.afterEvent || entry.beforeEvent)?.fullDate || '';
+        return [...entries].sort((a, b) => dateOf(a).localeCompare(dateOf(b)));
+    }
+}
@@ -0,0 +1,95 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+
+/**
+ * SessionStore - IndexedDB storage for capture sessions
+ * Sessions hold whole captures (events, captured videos, inspector items), which can outgrow
+ * chrome.storage quotas, so they live in the extension's own IndexedDB database.
+ */
+export class SessionStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Opens the database, creating the sessions store on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.dbPromise) {
+            const { DB_NAME, DB_VERSION, STORE_NAME } = WorkflowConfig.SESSIONS;
+
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Let the next call retry instead of caching the failure
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Runs one request against the sessions store and resolves once its transaction commits
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store, returns an IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        const { STORE_NAME } = WorkflowConfig.SESSIONS;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Session transaction aborted'));
+        });
+    }
+
+    /**
+     * Inserts or replaces a session
+     * @param {Object} session - Session record with an `id`
+     * @returns {Promise<string>} The session ID
+     */
+    save(session) {
+        return this.run('readwrite', store => store.put(session));
+    }
+
+    /**
+     * Reads one session
+     * @param {string} id - Session ID
+     * @returns {Promise<Object|undefined>} Session record
+     */
+    get(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    /**
+     * Reads every session, newest capture first
+     * @returns {Promise<Array<Object>>} Session records
+     */
+    async getAll() {
+        const sessions = await this.run('readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.capturedAt.localeCompare(a.capturedAt));
+    }
+
+    /**
+     * Deletes a session
+     * @param {string} id - Session ID
+     * @returns {Promise<void>}
+     */
+    delete(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+}
@@ -0,0 +1,71 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { RetryPolicy } from './RetryPolicy.js';
+import { StreamManifest } from './StreamManifest.js';
+
+/**
+ * StreamDownloader - Downloads an HLS / DASH stream and joins its segments into one file
+ * (runs in the offscreen document). Segments of one rendition share a container, so the init
+ * segment followed by the media segments in order is a playable file: MPEG-TS segments give a
+ * .ts file, fragmented MP4 segments a .mp4. StreamManifest only picks renditions that carry
+ * their own audio, so the file has sound whenever the stream does.
+ */
+export class StreamDownloader {
+    static MIME_TYPES = { mp4: 'video/mp4', webm: 'video/webm', ts: 'video/mp2t', aac: 'audio/aac' };
+
+    /**
+     * Download a stream's best rendition
+     * @param {string} url - Manifest URL
+     * @param {Function} [onProgress] - Called with (done, total) segment counts
+     * @returns {Promise<Object>} { blob, extension } - extension is the track's container
+     */
+    async download(url, onProgress = () => {}) {
+        const { track } = await StreamManifest.resolve(url);
+        const parts = [track.init, ...track.segments].filter(Boolean);
+
+        let done = 0;
+        onProgress(done, parts.length);
+        const buffers = await this.fetchAll(parts, () => onProgress(++done, parts.length));
+
+        return {
+            blob: new Blob(buffers, { type: StreamDownloader.MIME_TYPES[track.container] }),
+            extension: track.container
+        };
+    }
+
+    /**
+     * Fetch segments with WorkflowConfig.DOWNLOAD.SEGMENT_CONCURRENCY requests in flight
+     * @param {Array<Object>} parts - Segments as { url, range }
+     * @param {Function} onFetched - Called after each segment arrives
+     * @returns {Promise<Array<ArrayBuffer>>} Segment data in the original order
+     */
+    async fetchAll(parts, onFetched) {
+        const buffers = new Array(parts.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < parts.length) {
+                const index = next++;
+                buffers[index] = await RetryPolicy.run('segment', () => this.fetchSegment(parts[index]));
+                onFetched();
+            }
+        };
+
+        const workers = Math.min(WorkflowConfig.DOWNLOAD.SEGMENT_CONCURRENCY, parts.length);
+        await Promise.all(Array.from({ length: workers }, worker));
+        return buffers;
+    }
+
+    /**
+     * Fetch one segment, or one byte range of a file
+     * @param {Object} part - { url, range }
+     * @returns {Promise<ArrayBuffer>} Segment data
+     */
+    async fetchSegment({ url, range }) {
+        const headers = range ? { Range: `bytes=${range.start}-${range.end}` } : {};
+        const response = await fetch(url, { headers });
+        if (!response.ok) {
+            throw new Error(`Segment request failed (${response.status})`);
+        }
+        return response.arrayBuffer();
+    }
+}
@@ -0,0 +1,432 @@
+/**
+ * StreamManifest - Reads HLS (.m3u8) and DASH (.mpd) manifests into a download plan
+ * Picks the highest-bandwidth rendition that carries its audio in the same segments, so joining
+ * them gives one playable file. Streams that only offer audio as a separate rendition are
+ * rejected: their tracks would need muxing. The track lists its init segment and media segments
+ * (with byte ranges where the manifest uses them) in playback order.
+ * DASH parsing needs DOMParser, so resolve() runs in the offscreen document, not the service worker.
+ */
+export class StreamManifest {
+    static HLS_URL = /\.m3u8(\?|#|$)/i;
+    static DASH_URL = /\.mpd(\?|#|$)/i;
+
+    /**
+     * Audio codecs in a DASH CODECS list, marking a representation that muxes audio with its video
+     */
+    static AUDIO_CODECS = /(^|,)\s*(mp4a|opus|vorbis|ac-3|ec-3|flac)/i;
+
+    static SEPARATE_AUDIO_ERROR = 'Stream keeps its audio in a separate track and can\'t be saved as one file';
+
+    /**
+     * Stream type of a URL
+     * @param {string} url - Media URL
+     * @param {string} [contentType] - Response content type, if known
+     * @returns {string|null} 'hls', 'dash' or null for anything else
+     */
+    static getKind(url, contentType = '') {
+        const type = (contentType || '').toLowerCase();
+        if (StreamManifest.HLS_URL.test(url || '') || type.includes('mpegurl')) return 'hls';
+        if (StreamManifest.DASH_URL.test(url || '') || type.includes('dash+xml')) return 'dash';
+        return null;
+    }
+
+    /**
+     * Fetch a manifest and work out which segments to download
+     * @param {string} url - Manifest URL
+     * @returns {Promise<Object>} { kind, track } - track as
+     *   { container, bandwidth, resolution, init: { url, range } | null, segments: [{ url, range }] }
+     */
+    static async resolve(url) {
+        const { text, finalUrl, contentType } = await StreamManifest.fetchText(url);
+        const kind = StreamManifest.getKind(finalUrl, contentType) || StreamManifest.getKind(url);
+
+        if (kind === 'dash') {
+            return { kind, track: StreamManifest.parseDash(text, finalUrl) };
+        }
+        if (kind !== 'hls' && !text.startsWith('#EXTM3U')) {
+            throw new Error('Not an HLS or DASH manifest');
+        }
+
+        const playlist = StreamManifest.parseHls(text, finalUrl);
+        if (!playlist.variants) {
+            return { kind: 'hls', track: playlist };
+        }
+
+        // Master playlist: follow the best variant whose audio is muxed into its own segments
+        const variant = StreamManifest.pickHlsVariant(playlist);
+        const track = StreamManifest.parseHls((await StreamManifest.fetchText(variant.url)).text, variant.url);
+        return { kind: 'hls', track: { ...track, bandwidth: variant.bandwidth, resolution: variant.resolution } };
+    }
+
+    /**
+     * Parse an HLS master or media playlist
+     * @param {string} text - Playlist text
+     * @param {string} baseUrl - Playlist URL, for resolving relative URIs
+     * @returns {Object} Master: { variants, audio }; media: a track (see resolve())
+     */
+    static parseHls(text, baseUrl) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        if (lines[0] !== '#EXTM3U') {
+            throw new Error('Not an HLS playlist');
+        }
+
+        if (lines.some(line => line.startsWith('#EXT-X-STREAM-INF'))) {
+            return StreamManifest.parseHlsMaster(lines, baseUrl);
+        }
+
+        const segments = [];
+        let init = null;
+        let pendingRange = null;
+        let nextOffset = 0;
+
+        lines.forEach(line => {
+            if (line.startsWith('#EXT-X-KEY')) {
+                const { METHOD } = StreamManifest.parseAttributes(line);
+                if (METHOD && METHOD !== 'NONE') {
+                    throw new Error('Encrypted streams can\'t be downloaded');
+                }
+            } else if (line.startsWith('#EXT-X-MAP')) {
+                const { URI, BYTERANGE } = StreamManifest.parseAttributes(line);
+                init = { url: new URL(URI, baseUrl).href, range: BYTERANGE ? StreamManifest.parseByteRange(BYTERANGE, 0) : null };
+            } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+                pendingRange = StreamManifest.parseByteRange(line.slice('#EXT-X-BYTERANGE:'.length), nextOffset);
+                nextOffset = pendingRange.end + 1;
+            } else if (!line.startsWith('#')) {
+                segments.push({ url: new URL(line, baseUrl).href, range: pendingRange });
+                pendingRange = null;
+            }
+        });
+
+        if (segments.length === 0) {
+            throw new Error('Playlist has no segments');
+        }
+
+        return {
+            container: init ? 'mp4' : StreamManifest.getSegmentContainer(segments[0].url),
+            bandwidth: 0,
+            resolution: null,
+            init,
+            segments
+        };
+    }
+
+    /**
+     * @param {Array<string>} lines - Playlist lines
+     * @param {string} baseUrl - Playlist URL
+     * @returns {Object} { variants: [{ url, bandwidth, resolution, audioGroup }], audio: [{ url, groupId, isDefault }] } -
+     *   audio url is null for renditions carried inside the variant's own segments
+     */
+    static parseHlsMaster(lines, baseUrl) {
+        const variants = [];
+        const audio = [];
+
+        lines.forEach((line, index) => {
+            if (line.startsWith('#EXT-X-STREAM-INF')) {
+                const attributes = StreamManifest.parseAttributes(line);
+                const uri = lines.slice(index + 1).find(next => !next.startsWith('#'));
+                if (!uri) return;
+                variants.push({
+                    url: new URL(uri, baseUrl).href,
+                    bandwidth: parseInt(attributes.BANDWIDTH) || 0,
+                    resolution: attributes.RESOLUTION || null,
+                    audioGroup: attributes.AUDIO || null
+                });
+            } else if (line.startsWith('#EXT-X-MEDIA')) {
+                const attributes = StreamManifest.parseAttributes(line);
+                if (attributes.TYPE !== 'AUDIO') return;
+                audio.push({
+                    url: attributes.URI ? new URL(attributes.URI, baseUrl).href : null,
+                    groupId: attributes['GROUP-ID'],
+                    isDefault: attributes.DEFAULT === 'YES'
+                });
+            }
+        });
+
+        return { variants, audio };
+    }
+
+    /**
+     * Parse a DASH MPD (first period)
+     * @param {string} text - MPD XML
+     * @param {string} baseUrl - MPD URL
+     * @returns {Object} Track (see resolve())
+     */
+    static parseDash(text, baseUrl) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const mpd = doc.documentElement;
+        if (!mpd || mpd.localName !== 'MPD') {
+            throw new Error('Not a DASH manifest');
+        }
+        if (mpd.getAttribute('type') === 'dynamic') {
+            throw new Error('Live DASH streams can\'t be downloaded');
+        }
+
+        const period = StreamManifest.children(mpd, 'Period')[0];
+        if (!period) {
+            throw new Error('DASH manifest has no periods');
+        }
+        const periodDuration = StreamManifest.parseIsoDuration(period.getAttribute('duration') || mpd.getAttribute('mediaPresentationDuration'));
+        const periodBase = StreamManifest.resolveBaseUrl(period, StreamManifest.resolveBaseUrl(mpd, baseUrl));
+
+        const candidates = { video: [], audio: [] };
+        StreamManifest.children(period, 'AdaptationSet').forEach(set => {
+            if (StreamManifest.children(set, 'ContentProtection').length > 0) return;
+            const setBase = StreamManifest.resolveBaseUrl(set, periodBase);
+
+            StreamManifest.children(set, 'Representation').forEach(representation => {
+                const mimeType = representation.getAttribute('mimeType') || set.getAttribute('mimeType') || '';
+                const contentType = set.getAttribute('contentType') || mimeType.split('/')[0];
+                if (!candidates[contentType]) return;
+
+                const width = representation.getAttribute('width') || set.getAttribute('width');
+                const height = representation.getAttribute('height') || set.getAttribute('height');
+                candidates[contentType].push({
+                    set,
+                    representation,
+                    baseUrl: StreamManifest.resolveBaseUrl(representation, setBase),
+                    mimeType,
+                    codecs: representation.getAttribute('codecs') || set.getAttribute('codecs') || '',
+                    bandwidth: parseInt(representation.getAttribute('bandwidth')) || 0,
+                    resolution: width && height ? `${width}x${height}` : null
+                });
+            });
+        });
+
+        if (candidates.video.length === 0) {
+            throw new Error('DASH manifest has no video representation');
+        }
+
+        // With separate audio adaptation sets, only a representation that also lists an audio codec has sound
+        const muxed = candidates.audio.length > 0
+            ? candidates.video.filter(candidate => StreamManifest.AUDIO_CODECS.test(candidate.codecs))
+            : candidates.video;
+        const best = StreamManifest.pickBest(muxed);
+        if (!best) {
+            throw new Error(StreamManifest.SEPARATE_AUDIO_ERROR);
+        }
+
+        return {
+            container: StreamManifest.getMimeContainer(best.mimeType),
+            bandwidth: best.bandwidth,
+            resolution: best.resolution,
+            ...StreamManifest.getDashSegments(best, periodDuration)
+        };
+    }
+
+    /**
+     * Segment URLs of a DASH representation (SegmentTemplate, SegmentList or a single file)
+     * @param {Object} candidate - { set, representation, baseUrl, bandwidth }
+     * @param {number} periodDuration - Period length in seconds
+     * @returns {Object} { init, segments }
+     */
+    static getDashSegments({ set, representation, baseUrl, bandwidth }, periodDuration) {
+        const find = (name) => StreamManifest.children(representation, name)[0] || StreamManifest.children(set, name)[0];
+        const template = find('SegmentTemplate');
+        const list = find('SegmentList');
+
+        if (template) {
+            const fill = (pattern, number, time) => pattern.replace(/\$(RepresentationID|Bandwidth|Number|Time|)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+                if (name === '') return '$';
+                const value = { RepresentationID: representation.getAttribute('id'), Bandwidth: bandwidth, Number: number, Time: time }[name];
+                return width ? String(value).padStart(parseInt(width), '0') : String(value);
+            });
+            const timescale = parseInt(template.getAttribute('timescale')) || 1;
+            const startNumber = parseInt(template.getAttribute('startNumber') ?? '1');
+            const initPattern = template.getAttribute('initialization');
+            const mediaPattern = template.getAttribute('media');
+            const segments = [];
+
+            const timeline = StreamManifest.children(template, 'SegmentTimeline')[0];
+            if (timeline) {
+                let time = 0;
+                let number = startNumber;
+                const entries = StreamManifest.children(timeline, 'S');
+                entries.forEach((entry, index) => {
+                    time = entry.hasAttribute('t') ? parseInt(entry.getAttribute('t')) : time;
+                    const duration = parseInt(entry.getAttribute('d'));
+                    let repeat = parseInt(entry.getAttribute('r') || '0');
+                    if (repeat < 0) {
+                        // Repeat until the next entry or the end of the period
+                        const end = entries[index + 1]?.hasAttribute('t')
+                            ? parseInt(entries[index + 1].getAttribute('t'))
+                            : periodDuration * timescale;
+                        repeat = Math.ceil((end - time) / duration) - 1;
+                    }
+                    for (let i = 0; i <= repeat; i++) {
+                        segments.push({ url: new URL(fill(mediaPattern, number++, time), baseUrl).href, range: null });
+                        time += duration;
+                    }
+                });
+            } else {
+                const duration = parseInt(template.getAttribute('duration'));
+                if (!duration || !periodDuration) {
+                    throw new Error('DASH manifest doesn\'t give a segment count');
+                }
+                const count = Math.ceil(periodDuration * timescale / duration);
+                for (let i = 0; i < count; i++) {
+                    segments.push({ url: new URL(fill(mediaPattern, startNumber + i, i * duration), baseUrl).href, range: null });
+                }
+            }
+
+            return {
+                init: initPattern ? { url: new URL(fill(initPattern, startNumber, 0), baseUrl).href, range: null } : null,
+                segments
+            };
+        }
+
+        if (list) {
+            const initElement = StreamManifest.children(list, 'Initialization')[0];
+            return {
+                init: initElement
+                    ? { url: new URL(initElement.getAttribute('sourceURL') || '', baseUrl).href, range: StreamManifest.parseDashRange(initElement.getAttribute('range')) }
+                    : null,
+                segments: StreamManifest.children(list, 'SegmentURL').map(segment => ({
+                    url: new URL(segment.getAttribute('media') || '', baseUrl).href,
+                    range: StreamManifest.parseDashRange(segment.getAttribute('mediaRange'))
+                }))
+            };
+        }
+
+        // SegmentBase or a bare BaseURL: the representation is one complete file
+        return { init: null, segments: [{ url: baseUrl, range: null }] };
+    }
+
+    /**
+     * Highest-bandwidth rendition, larger resolution breaking ties
+     * @param {Array<Object>} renditions - Renditions with bandwidth and resolution
+     * @returns {Object|null} Best rendition
+     */
+    static pickBest(renditions) {
+        const area = (resolution) => (resolution || '0x0').split('x').reduce((a, b) => a * (parseInt(b) || 0), 1);
+        return [...renditions].sort((a, b) => (b.bandwidth - a.bandwidth) || (area(b.resolution) - area(a.resolution)))[0] || null;
+    }
+
+    /**
+     * Best HLS variant that plays with sound on its own
+     * @param {Object} playlist - Master playlist { variants, audio }
+     * @returns {Object} Variant
+     */
+    static pickHlsVariant({ variants, audio }) {
+        if (variants.length === 0) {
+            throw new Error('Stream has no playable renditions');
+        }
+        const variant = StreamManifest.pickBest(variants.filter(candidate => !StreamManifest.hasSeparateAudio(audio, candidate.audioGroup)));
+        if (!variant) {
+            throw new Error(StreamManifest.SEPARATE_AUDIO_ERROR);
+        }
+        return variant;
+    }
+
+    /**
+     * Whether an HLS variant's audio group plays from its own playlist (default rendition first)
+     * @param {Array<Object>} renditions - Master playlist audio renditions
+     * @param {string|null} groupId - Variant's AUDIO group
+     * @returns {boolean} False when the audio is muxed into the variant's segments
+     */
+    static hasSeparateAudio(renditions, groupId) {
+        if (!groupId) return false;
+        const group = renditions.filter(rendition => rendition.groupId === groupId);
+        const rendition = group.find(candidate => candidate.isDefault) || group[0];
+        return Boolean(rendition?.url);
+    }
+
+    /**
+     * Parse an HLS attribute list (KEY=value,KEY="quoted value")
+     * @param {string} line - Tag line
+     * @returns {Object} Attributes by name
+     */
+    static parseAttributes(line) {
+        const attributes = {};
+        const list = line.slice(line.indexOf(':') + 1);
+        for (const [, name, value] of list.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+            attributes[name] = value.replace(/^"|"$/g, '');
+        }
+        return attributes;
+    }
+
+    /**
+     * Parse an HLS byte range ("length[@offset]")
+     * @param {string} value - Byte range
+     * @param {number} defaultOffset - Offset when none is given (right after the previous range)
+     * @returns {Object} { start, end } inclusive
+     */
+    static parseByteRange(value, defaultOffset) {
+        const [length, offset] = value.split('@').map(part => parseInt(part));
+        const start = offset === undefined ? defaultOffset : offset;
+        return { start, end: start + length - 1 };
+    }
+
+    /**
+     * Parse a DASH byte range ("start-end")
+     * @param {string|null} value - Byte range
+     * @returns {Object|null} { start, end } inclusive
+     */
+    static parseDashRange(value) {
+        if (!value) return null;
+        const [start, end] = value.split('-').map(part => parseInt(part));
+        return { start, end };
+    }
+
+    /**
+     * Parse an ISO 8601 duration (PT1H2M3.5S)
+     * @param {string|null} value - Duration
+     * @returns {number} Seconds, 0 if missing
+     */
+    static parseIsoDuration(value) {
+        const match = (value || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/);
+        if (!match) return 0;
+        const [, days, hours, minutes, seconds] = match.map(part => parseFloat(part) || 0);
+        return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+    }
+
+    /**
+     * Resolve an element's BaseURL child against its parent's base
+     */
+    static resolveBaseUrl(element, parentBase) {
+        const base = StreamManifest.children(element, 'BaseURL')[0]?.textContent?.trim();
+        return base ? new URL(base, parentBase).href : parentBase;
+    }
+
+    /**
+     * Direct children with a given local name (MPD elements are namespaced)
+     */
+    static children(element, name) {
+        return Array.from(element.children).filter(child => child.localName === name);
+    }
+
+    /**
+     * Container of an HLS segment without an init segment, from its extension
+     * @returns {string} 'aac', 'mp4' or 'ts'
+     */
+    static getSegmentContainer(url) {
+        const path = new URL(url).pathname.toLowerCase();
+        if (/\.(aac|adts)$/.test(path)) return 'aac';
+        if (/\.(mp4|m4s|m4v|m4a)$/.test(path)) return 'mp4';
+        return 'ts';
+    }
+
+    /**
+     * Container of a DASH representation from its MIME type
+     * @returns {string} 'webm' or 'mp4'
+     */
+    static getMimeContainer(mimeType) {
+        return mimeType.includes('webm') ? 'webm' : 'mp4';
+    }
+
+    /**
+     * Fetch a manifest as text
+     * @param {string} url - Manifest URL
+     * @returns {Promise<Object>} { text, finalUrl, contentType } - finalUrl after redirects
+     */
+    static async fetchText(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Manifest request failed (${response.status})`);
+        }
+        return {
+            text: await response.text(),
+            finalUrl: response.url || url,
+            contentType: response.headers.get('content-type') || ''
+        };
+    }
+}
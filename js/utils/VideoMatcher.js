@@ -0,0 +1,203 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { MediaFingerprint } from './MediaFingerprint.js';
+
+/**
+ * VideoMatcher - Scores captured videos against events using several signals
+ * Duration alone swaps reels of equal length, so each candidate pair is also scored on
+ * thumbnail similarity (video frame or poster vs. card thumbnail), URL fragments shared with
+ * the card image and how close the video sat to the card on screen. Pairs are assigned best
+ * first; each link carries a confidence, and weak or ambiguous links are marked for confirmation.
+ */
+export class VideoMatcher {
+    /**
+     * URL pieces too common to identify an asset
+     */
+    static COMMON_URL_TOKENS = new Set(['upload', 'uploads', 'video', 'videos', 'image', 'images', 'thumbnail', 'thumbnails', 'public', 'private', 'original']);
+
+    /**
+     * Match videos to the events still showing the video placeholder
+     * @param {Array<Object>} events - Events
+     * @param {Array<Object>} videos - Captured videos ({ url, duration, poster, nearbyCards })
+     * @returns {Promise<Array<Object>>} Links as { eventId, url, confidence, signals, needsConfirmation }
+     */
+    static async match(events, videos) {
+        const claimedUrls = new Set(events.flatMap(event => [event.videoSrc, event.videoMatch?.url]).filter(Boolean));
+        const targets = events.filter(event =>
+            event.hasVideo &&
+            event.videoSrc === WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER &&
+            event.videoMatch?.status !== 'pending'
+        );
+        const available = videos.filter(video => video.url && !claimedUrls.has(video.url));
+
+        // Duration rules out impossible pairs before any media is fetched
+        const candidates = [];
+        targets.forEach(event => available.forEach(video => {
+            if (event.rejectedVideoUrls?.includes(video.url)) return;
+            const duration = VideoMatcher.scoreDuration(event, video);
+            if (duration === 0) return;
+            candidates.push({ event, video, signals: { duration, thumbnail: null, url: VideoMatcher.scoreUrl(event, video), proximity: VideoMatcher.scoreProximity(event, video) } });
+        }));
+        if (candidates.length === 0) return [];
+
+        await VideoMatcher.scoreThumbnails(candidates);
+        candidates.forEach(candidate => { candidate.confidence = VideoMatcher.getConfidence(candidate.signals); });
+
+        return VideoMatcher.assign(candidates);
+    }
+
+    /**
+     * Best-first assignment: each event and each video is used once
+     * @param {Array<Object>} candidates - Scored candidate pairs
+     * @returns {Array<Object>} Links
+     */
+    static assign(candidates) {
+        const { MIN_CONFIDENCE, AUTO_CONFIRM_CONFIDENCE, MIN_MARGIN } = WorkflowConfig.VIDEO_MATCHING;
+        const sorted = candidates.filter(candidate => candidate.confidence >= MIN_CONFIDENCE)
+            .sort((a, b) => b.confidence - a.confidence);
+        const usedEvents = new Set();
+        const usedVideos = new Set();
+        const links = [];
+
+        sorted.forEach(candidate => {
+            if (usedEvents.has(candidate.event.id) || usedVideos.has(candidate.video.url)) return;
+            usedEvents.add(candidate.event.id);
+            usedVideos.add(candidate.video.url);
+
+            // How far ahead of the next best option for this event or this video
+            const runnerUp = Math.max(0, ...sorted
+                .filter(other => other !== candidate && (other.event === candidate.event || other.video === candidate.video))
+                .map(other => other.confidence));
+            const margin = candidate.confidence - runnerUp;
+
+            links.push({
+                eventId: candidate.event.id,
+                url: candidate.video.url,
+                confidence: Math.round(candidate.confidence * 100) / 100,
+                signals: candidate.signals,
+                needsConfirmation: candidate.confidence < AUTO_CONFIRM_CONFIDENCE || margin < MIN_MARGIN
+            });
+        });
+
+        return links;
+    }
+
+    /**
+     * Weighted average of the available signals, scaled down when few signals were available
+     * @param {Object} signals - { duration, thumbnail, url, proximity }, each 0..1 or null
+     * @returns {number} Confidence 0..1
+     */
+    static getConfidence(signals) {
+        const weights = WorkflowConfig.VIDEO_MATCHING.WEIGHTS;
+        let weighted = 0;
+        let coverage = 0;
+
+        Object.entries(weights).forEach(([name, weight]) => {
+            if (signals[name] === null || signals[name] === undefined) return;
+            weighted += signals[name] * weight;
+            coverage += weight;
+        });
+
+        return coverage === 0 ? 0 : (weighted / coverage) * (0.5 + 0.5 * coverage);
+    }
+
+    /**
+     * Duration agreement
+     * @returns {number|null} 1 for equal, 0 beyond the tolerance, null if either duration is unknown
+     */
+    static scoreDuration(event, video) {
+        const eventDuration = VideoMatcher.parseDuration(event.videoDuration);
+        const videoDuration = Math.round(video.duration || 0);
+        if (!eventDuration || !videoDuration) return null;
+
+        const tolerance = WorkflowConfig.LIMITS.DURATION_MATCH_TOLERANCE_SECONDS;
+        const diff = Math.abs(videoDuration - eventDuration);
+        return diff > tolerance ? 0 : 1 - diff / (tolerance + 1);
+    }
+
+    /**
+     * Asset IDs shared between the video URL (or poster) and the card image URL
+     * @returns {number|null} 1 when they share one, null otherwise (different CDNs are normal)
+     */
+    static scoreUrl(event, video) {
+        const cardTokens = new Set(VideoMatcher.getUrlTokens(event.imageSrc));
+        if (cardTokens.size === 0) return null;
+
+        const videoTokens = [...VideoMatcher.getUrlTokens(video.url), ...VideoMatcher.getUrlTokens(video.poster)];
+        return videoTokens.some(token => cardTokens.has(token)) ? 1 : null;
+    }
+
+    /**
+     * On-screen closeness of the video element to the event's card when the video was scanned
+     * @returns {number|null} 1 inside the card, falling to 0 at PROXIMITY_RANGE_PX, null if positions are unknown
+     */
+    static scoreProximity(event, video) {
+        if (!Array.isArray(video.nearbyCards)) return null;
+
+        const nearby = video.nearbyCards.find(card => card.eventId === event.id);
+        if (!nearby) return 0;
+        return Math.max(0, 1 - nearby.distance / WorkflowConfig.VIDEO_MATCHING.PROXIMITY_RANGE_PX);
+    }
+
+    /**
+     * Fill in thumbnail similarity for every candidate, fetching each image or video once
+     * @param {Array<Object>} candidates - Candidate pairs
+     */
+    static async scoreThumbnails(candidates) {
+        const fingerprints = new Map();
+        const fingerprint = (key, load) => {
+            if (!fingerprints.has(key)) fingerprints.set(key, load());
+            return fingerprints.get(key);
+        };
+
+        await Promise.all(candidates.map(async candidate => {
+            const { event, video } = candidate;
+            if (!event.imageSrc) return;
+
+            const [cardHash, videoHash] = await Promise.all([
+                fingerprint(event.imageSrc, () => MediaFingerprint.fromImage(event.imageSrc)),
+                video.poster
+                    ? fingerprint(video.poster, () => MediaFingerprint.fromImage(video.poster))
+                    : fingerprint(video.url, () => MediaFingerprint.fromVideoFrame(video.url))
+            ]);
+            if (!cardHash || !videoHash) return;
+
+            // Unrelated images still agree on about half the bits
+            const similarity = MediaFingerprint.similarity(cardHash, videoHash);
+            candidate.signals.thumbnail = Math.max(0, (similarity - 0.5) / 0.5);
+        }));
+    }
+
+    /**
+     * Identifying pieces of a media URL (long IDs from the path, without extensions or version segments)
+     * @param {string} url - URL
+     * @returns {Array<string>} Tokens
+     */
+    static getUrlTokens(url) {
+        if (!url) return [];
+        try {
+            return new URL(url).pathname.toLowerCase()
+                .split(/[\/._\-,=]+/)
+                .filter(token => token.length >= 8 && /\d/.test(token) && !/^v\d+$/.test(token) && !VideoMatcher.COMMON_URL_TOKENS.has(token));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Parse duration string to seconds
+     * @param {string} durationStr - Duration string (e.g., "1:30" or "90")
+     * @returns {number} Duration in seconds
+     */
+    static parseDuration(durationStr) {
+        if (!durationStr) return 0;
+
+        const durationMatch = durationStr.match(/^(\d+):(\d+)$/);
+        if (durationMatch) {
+            return parseInt(durationMatch[1]) * 60 + parseInt(durationMatch[2]);
+        }
+
+        // Try as seconds only
+        const seconds = parseInt(durationStr);
+        return isNaN(seconds) ? 0 : seconds;
+    }
+}
@@ -1,91 +1,61 @@
 import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+import { SelectorConstants } from '../constants/SelectorConstants.js';
+import { VideoMatcher } from './VideoMatcher.js';
+import { StreamManifest } from './StreamManifest.js';
 
 /**
- * VideoProcessor - Handles video-related operations including URL extraction and duration matching
- * Manages the connection between captured videos and events based on duration
+ * VideoProcessor - Handles video-related operations including URL extraction and video matching
+ * Manages the connection between captured videos and events (scored by VideoMatcher)
  */
 export class VideoProcessor {
 
     /**
-     * Connect captured videos to events based on duration matching
+     * Connect captured videos to events using VideoMatcher's duration, thumbnail, URL and position signals
+     * Confident links fill in videoSrc; weak or ambiguous ones are left as pending suggestions
      * @param {Array} events - Array of event objects
      * @param {Array} capturedVideos - Array of captured video objects
-     * @returns {number} Number of connections made
+     * @returns {Promise<Object>} { connected, pending } counts
      */
-    connectVideosToEvents(events, capturedVideos = []) {
+    async connectVideosToEvents(events, capturedVideos = []) {
         if (!events || !capturedVideos || capturedVideos.length === 0) {
             console.log('No videos to connect');
-            return 0;
+            return { connected: 0, pending: 0 };
         }
 
-        console.log('🔗 Attempting to connect videos to events by duration matching...');
+        console.log('🔗 Attempting to connect videos to events...');
 
-        const eventsWithVideos = events.filter(event => event.hasVideo);
-        const availableVideos = [...capturedVideos];
-        let connectionsMade = 0;
+        const links = await VideoMatcher.match(events, capturedVideos);
+        let connected = 0;
+        let pending = 0;
 
-        console.log(`📊 Found ${eventsWithVideos.length} events with videos and ${availableVideos.length} captured videos`);
+        links.forEach(link => {
+            const event = events.find(candidate => candidate.id === link.eventId);
+            if (!event) return;
 
-        eventsWithVideos.forEach(event => {
-            if (event.videoSrc !== WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER) {
-                // Event already has a real video URL
-                return;
-            }
-
-            const matchingVideo = this.findBestVideoMatch(event, availableVideos);
-            if (matchingVideo) {
-                this.connectVideoToEvent(event, matchingVideo.video, matchingVideo.diff);
-                availableVideos.splice(matchingVideo.index, 1);
-                connectionsMade++;
+            if (link.needsConfirmation) {
+                event.videoMatch = { url: link.url, confidence: link.confidence, signals: link.signals, status: 'pending' };
+                pending++;
+                console.log(`❔ Needs confirmation: Event "${event.label}" → ${link.url} (confidence ${link.confidence})`);
             } else {
-                console.log(`❌ No match found for: Event "${event.label}" (${this.parseDuration(event.videoDuration)}s)`);
-            }
-        });
-
-        console.log(`🎉 Video-Event connections completed: ${connectionsMade} connections made`);
-        return connectionsMade;
-    }
-
-    /**
-     * Find the best video match for an event based on duration
-     * @param {Object} event - Event object
-     * @param {Array} availableVideos - Array of available video objects
-     * @returns {Object|null} Best matching video with index and duration difference
-     */
-    findBestVideoMatch(event, availableVideos) {
-        const eventDuration = this.parseDuration(event.videoDuration);
-        if (eventDuration === 0) {
-            console.log(`⏰ Event "${event.label}" has no valid duration (${event.videoDuration})`);
-            return null;
-        }
-
-        let bestMatch = null;
-        let bestMatchDiff = Infinity;
-
-        availableVideos.forEach((video, index) => {
-            const videoDuration = Math.round(video.duration || 0);
-            const durationDiff = Math.abs(videoDuration - eventDuration);
-
-            // Only consider matches within tolerance
-            if (durationDiff <= WorkflowConfig.LIMITS.DURATION_MATCH_TOLERANCE_SECONDS &&
-                durationDiff < bestMatchDiff) {
-                bestMatch = { video, index, diff: durationDiff };
-                bestMatchDiff = durationDiff;
+                this.connectVideoToEvent(event, link);
+                connected++;
             }
         });
 
-        return bestMatch;
+        console.log(`🎉 Video-Event connections completed: ${connected} connected, ${pending} awaiting confirmation`);
+        return { connected, pending };
     }
 
     /**
      * Connect a video to an event
      * @param {Object} event - Event object
-     * @param {Object} video - Video object
-     * @param {number} durationDiff - Duration difference in seconds
+     * @param {Object} link - VideoMatcher link ({ url, confidence, signals })
+     * @param {string} [status] - 'auto' for matched links, 'confirmed' for links the user accepted
      */
-    connectVideoToEvent(event, video, durationDiff) {
-        event.videoSrc = video.url;
-        console.log(`✅ Connected: Event "${event.label}" (${this.parseDuration(event.videoDuration)}s) → Video ${video.index || 0 + 1} (${Math.round(video.duration)}s, diff: ${durationDiff}s)`);
+    connectVideoToEvent(event, link, status = 'auto') {
+        event.videoSrc = link.url;
+        event.videoMatch = { url: link.url, confidence: link.confidence, signals: link.signals, status };
+        console.log(`✅ Connected: Event "${event.label}" → ${link.url} (confidence ${link.confidence}, ${status})`);
     }
 
     /**
@@ -94,29 +64,21 @@ export class VideoProcessor {
      * @returns {number} Duration in seconds
      */
     parseDuration(durationStr) {
-        if (!durationStr) return 0;
-
-        const durationMatch = durationStr.match(/^(\d+):(\d+)$/);
-        if (durationMatch) {
-            return parseInt(durationMatch[1]) * 60 + parseInt(durationMatch[2]);
-        }
-
-        // Try as seconds only
-        const seconds = parseInt(durationStr);
-        return isNaN(seconds) ? 0 : seconds;
+        return VideoMatcher.parseDuration(durationStr);
     }
 
     /**
      * Scan the page for video elements and extract their sources
      * @param {Array} capturedEvents - Array of already captured events
+     * @param {Array<Object>} cards - Event cards on the page as { id, container } (DataExtractor.identifyEventCards)
      * @returns {Object} Scan results containing video sources and event status
      */
-    scanForVideos(capturedEvents = []) {
+    scanForVideos(capturedEvents = [], cards = []) {
         // Scan for all video elements and their sources
-        const videoSources = this.extractVideoSources();
+        const videoSources = this.extractVideoSources(cards);
 
         // Check which events have videos loaded
-        const eventStatus = this.checkEventVideoStatus(capturedEvents);
+        const eventStatus = this.checkEventVideoStatus(capturedEvents, cards);
 
         return {
             videoSources,
@@ -127,27 +89,40 @@ export class VideoProcessor {
 
     /**
      * Extract video sources from all video elements on the page
+     * @param {Array<Object>} cards - Event cards on the page as { id, container }
      * @returns {Array} Array of video source objects
      */
-    extractVideoSources() {
-        const videos = Array.from(document.querySelectorAll('video'));
+    extractVideoSources(cards = []) {
+        const videos = Array.from(document.querySelectorAll(SelectorConstants.VIDEO_ELEMENT));
         const videoSources = [];
 
+        const isVideoFile = (src) => src && (src.includes('.mp4') || StreamManifest.getKind(src));
+
         videos.forEach((video, index) => {
             // Get direct src attribute
-            if (video.src && video.src.includes('.mp4')) {
-                videoSources.push(this.createVideoSourceObject(video, 'direct', index));
+            if (isVideoFile(video.src)) {
+                videoSources.push(this.createVideoSourceObject(video, 'direct', index, null, cards));
             }
 
             // Get sources from <source> elements
             const sources = video.querySelectorAll('source');
             sources.forEach((source, sourceIndex) => {
-                if (source.src && source.src.includes('.mp4')) {
-                    videoSources.push(this.createVideoSourceObject(video, 'source', index, sourceIndex));
+                if (isVideoFile(source.src)) {
+                    videoSources.push(this.createVideoSourceObject(video, 'source', index, sourceIndex, cards));
                 }
             });
         });
 
+        // Players that stream through a blob: src still load their manifest over the network
+        const listed = new Set(videoSources.map(source => source.url));
+        performance.getEntriesByType('resource')
+            .map(entry => entry.name)
+            .filter(url => StreamManifest.getKind(url) && !listed.has(url))
+            .forEach(url => {
+                listed.add(url);
+                videoSources.push({ url, type: 'stream', elementIndex: null, sourceIndex: null, duration: 0, currentTime: 0, poster: null, nearbyCards: null });
+            });
+
         return videoSources;
     }
 
@@ -157,9 +132,10 @@ export class VideoProcessor {
      * @param {string} type - Source type ('direct' or 'source')
      * @param {number} elementIndex - Index of video element
      * @param {number} sourceIndex - Index of source element (for type 'source')
+     * @param {Array<Object>} cards - Event cards on the page as { id, container }
      * @returns {Object} Video source object
      */
-    createVideoSourceObject(videoElement, type, elementIndex, sourceIndex = null) {
+    createVideoSourceObject(videoElement, type, elementIndex, sourceIndex = null, cards = []) {
         const src = type === 'direct' ? videoElement.src :
                    videoElement.querySelectorAll('source')[sourceIndex]?.src;
 
@@ -169,29 +145,56 @@ export class VideoProcessor {
             elementIndex: elementIndex,
             sourceIndex: sourceIndex,
             duration: videoElement.duration || 0,
-            currentTime: videoElement.currentTime || 0
+            currentTime: videoElement.currentTime || 0,
+            poster: videoElement.poster || null,
+            nearbyCards: this.findNearbyCards(videoElement, cards)
         };
     }
 
+    /**
+     * Event cards closest to a video element on screen, for VideoMatcher's proximity signal
+     * @param {Element} videoElement - Video element
+     * @param {Array<Object>} cards - Event cards on the page as { id, container }
+     * @returns {Array<Object>|null} Nearest cards as { eventId, distance } in px (0 inside the card),
+     *   or null when the video isn't laid out
+     */
+    findNearbyCards(videoElement, cards) {
+        const videoRect = videoElement.getBoundingClientRect();
+        if (videoRect.width === 0 && videoRect.height === 0) return null;
+
+        const centerX = videoRect.left + videoRect.width / 2;
+        const centerY = videoRect.top + videoRect.height / 2;
+
+        return cards
+            .map(({ id, container }) => {
+                if (container.contains(videoElement)) return { eventId: id, distance: 0 };
+
+                const rect = container.getBoundingClientRect();
+                const dx = Math.max(rect.left - centerX, 0, centerX - rect.right);
+                const dy = Math.max(rect.top - centerY, 0, centerY - rect.bottom);
+                return { eventId: id, distance: Math.round(Math.hypot(dx, dy)) };
+            })
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, WorkflowConfig.VIDEO_MATCHING.NEARBY_CARDS);
+    }
+
     /**
      * Check which events have videos loaded and which don't
      * @param {Array} capturedEvents - Array of captured events
+     * @param {Array<Object>} cards - Event cards on the page as { id, container }
      * @returns {Object} Object with events with/without videos
      */
-    checkEventVideoStatus(capturedEvents) {
-        const containers = Array.from(document.querySelectorAll('[class*="CalendarEventCard_eventContainer"]'))
-            .filter(el => el.offsetWidth > 0 && el.offsetHeight > 0);
-
+    checkEventVideoStatus(capturedEvents, cards) {
         const eventsWithVideos = [];
         const eventsWithoutVideos = [];
 
-        containers.forEach((container, index) => {
-            const hasVideoElement = !!container.querySelector('video');
-            const label = container.querySelector('span[class*="Text_root_"]')?.textContent?.trim() ||
+        cards.forEach(({ id, container }, index) => {
+            const hasVideoElement = !!container.querySelector(SelectorConstants.VIDEO_ELEMENT);
+            const label = container.querySelector(SelectorConstants.TEXT_ROOT)?.textContent?.trim() ||
                          `Event ${index + 1}`;
 
             // Check if this event was marked as having video in captured data
-            const matchingEvent = capturedEvents.find(event => event.cardIndex === index + 1);
+            const matchingEvent = capturedEvents.find(event => event.id === id);
             const hasVideoDetected = matchingEvent && (matchingEvent.hasVideo || matchingEvent.videoSrc === WorkflowConfig.VIDEO_DETECTION.DETECTED_PLACEHOLDER);
 
             const hasVideo = hasVideoElement || hasVideoDetected;
@@ -199,20 +202,18 @@ export class VideoProcessor {
             if (hasVideo) {
                 eventsWithVideos.push({
                     index: index + 1,
+                    eventId: id,
                     label: label,
                     hasVideo: true,
                     source: hasVideoElement ? 'loaded' : 'detected'
                 });
-                // Restore original content if it was hidden
-                this.restoreHiddenContent(container);
             } else {
                 eventsWithoutVideos.push({
                     index: index + 1,
+                    eventId: id,
                     label: label,
                     hasVideo: false
                 });
-                // Hide content for events without videos
-                this.hideEventContent(container);
             }
         });
 
@@ -222,29 +223,6 @@ export class VideoProcessor {
         };
     }
 
-    /**
-     * Restore original content for events that were previously hidden
-     * @param {Element} container - Event container element
-     */
-    restoreHiddenContent(container) {
-        if (container.dataset.wasHidden === 'true') {
-            delete container.dataset.wasHidden;
-            // Note: We can't restore original content, but at least we mark it as visible
-        }
-    }
-
-    /**
-     * Hide content for events without videos
-     * @param {Element} container - Event container element
-     */
-    hideEventContent(container) {
-        if (!container.dataset.wasHidden) {
-            container.dataset.wasHidden = 'true';
-            container.dataset.originalContent = container.innerHTML;
-            container.innerHTML = '<div style="display: none;"></div>';
-        }
-    }
-
     /**
      * Filter out duplicate videos from captured videos list
      * @param {Array} capturedVideos - Array of captured video objects
@@ -0,0 +1,133 @@
+import { WorkflowConfig } from '../constants/WorkflowConfig.js';
+
+/**
+ * VideoScanOverlay - Marks scanned event cards with and without a loaded video (runs inside the page)
+ * The marks live in one fixed layer appended to <body> and follow the cards' on-screen
+ * positions, so Blaze's own DOM (and its React tree) is never touched. Cards without a video
+ * are dimmed, cards with one are outlined; the layer can be removed at any time.
+ */
+export class VideoScanOverlay {
+    static LAYER_ID = 'agencysmm-video-scan-overlay';
+
+    static STYLES = {
+        withVideo: { background: 'transparent', border: '2px solid #2ecc71', label: '🎥 Video loaded', labelBackground: '#2ecc71' },
+        withoutVideo: { background: 'rgba(0, 0, 0, 0.55)', border: '2px solid #ff3b30', label: 'No video loaded', labelBackground: '#ff3b30' }
+    };
+
+    constructor() {
+        this.layer = null;
+        this.marks = [];
+        this.frame = null;
+        this.refreshTimer = null;
+        this.handleViewportChange = () => this.scheduleReposition();
+    }
+
+    /**
+     * Draw the marks, replacing any earlier ones
+     * @param {Array<Object>} cards - Event cards on the page as { id, container }
+     * @param {Array<string>} videoEventIds - IDs of the events that have a video
+     */
+    show(cards, videoEventIds) {
+        this.clear();
+        const withVideo = new Set(videoEventIds);
+
+        this.layer = document.createElement('div');
+        this.layer.id = VideoScanOverlay.LAYER_ID;
+        this.layer.style.cssText = 'position: fixed; inset: 0; pointer-events: none; z-index: 2147483000;';
+
+        this.marks = cards.map(({ id, container }) => {
+            const mark = this.createMark(VideoScanOverlay.STYLES[withVideo.has(id) ? 'withVideo' : 'withoutVideo']);
+            this.layer.appendChild(mark);
+            return { container, mark };
+        });
+        this.layer.appendChild(this.createClearButton());
+        document.body.appendChild(this.layer);
+
+        // Scrolling inner calendar containers doesn't bubble, so listen in the capture phase
+        window.addEventListener('scroll', this.handleViewportChange, true);
+        window.addEventListener('resize', this.handleViewportChange);
+        // Cards also move when the calendar re-renders on its own
+        this.refreshTimer = setInterval(this.handleViewportChange, WorkflowConfig.VIDEO_DETECTION.OVERLAY_REFRESH_MS);
+
+        this.reposition();
+    }
+
+    /**
+     * One card's mark: a box with a small status label
+     * @param {Object} style - Entry of VideoScanOverlay.STYLES
+     * @returns {Element} Mark element
+     */
+    createMark(style) {
+        const mark = document.createElement('div');
+        mark.style.cssText = `position: fixed; display: none; box-sizing: border-box; border-radius: 6px; background: ${style.background}; border: ${style.border};`;
+
+        const label = document.createElement('span');
+        label.textContent = style.label;
+        label.style.cssText = `position: absolute; top: 2px; left: 2px; padding: 1px 6px; border-radius: 4px; font: bold 10px sans-serif; color: #fff; background: ${style.labelBackground};`;
+        mark.appendChild(label);
+
+        return mark;
+    }
+
+    /**
+     * Button that removes the layer from the page itself
+     * @returns {Element} Button element
+     */
+    createClearButton() {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = '✕ Clear video highlight';
+        button.style.cssText = 'position: fixed; top: 12px; right: 12px; pointer-events: auto; padding: 6px 12px; border: none; border-radius: 16px; background: #1a1a1a; color: #fff; font: bold 12px sans-serif; cursor: pointer; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);';
+        button.addEventListener('click', () => this.clear());
+        return button;
+    }
+
+    /**
+     * Move each mark over its card; cards that left the DOM or the layout lose their mark
+     */
+    reposition() {
+        this.marks.forEach(({ container, mark }) => {
+            const rect = container.isConnected ? container.getBoundingClientRect() : null;
+            if (!rect || (rect.width === 0 && rect.height === 0)) {
+                mark.style.display = 'none';
+                return;
+            }
+            mark.style.display = 'block';
+            mark.style.top = `${rect.top}px`;
+            mark.style.left = `${rect.left}px`;
+            mark.style.width = `${rect.width}px`;
+            mark.style.height = `${rect.height}px`;
+        });
+    }
+
+    /**
+     * Reposition on the next animation frame, at most once per frame
+     */
+    scheduleReposition() {
+        if (this.frame) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.reposition();
+        });
+    }
+
+    /**
+     * Remove the marks and stop following the cards
+     * Also removes a layer left by an earlier copy of the page bundle.
+     * @returns {Object} { success: true }
+     */
+    clear() {
+        window.removeEventListener('scroll', this.handleViewportChange, true);
+        window.removeEventListener('resize', this.handleViewportChange);
+        clearInterval(this.refreshTimer);
+        cancelAnimationFrame(this.frame);
+        this.refreshTimer = null;
+        this.frame = null;
+
+        this.layer?.remove();
+        document.getElementById(VideoScanOverlay.LAYER_ID)?.remove();
+        this.layer = null;
+        this.marks = [];
+        return { success: true };
+    }
+}
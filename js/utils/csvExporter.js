@@ -1,3 +1,9 @@
+import { DateResolver } from './DateResolver.js';
+import { CaptionParser } from './CaptionParser.js';
+import { PostStatus } from './PostStatus.js';
+import { MediaProbe } from './MediaProbe.js';
+import { EventMedia } from './EventMedia.js';
+
 /**
  * CSV Export functionality for the extension
  */
@@ -5,19 +11,24 @@ export class CSVExporter {
   /**
    * Downloads a single event data as CSV
    * @param {Object} eventData - Event data object
+   * @param {Object} [options] - Export options
+   * @param {string|null} [options.timeZone] - Zone for scheduled times, null for the event's workspace zone
+   * @param {boolean} [options.captionColumns] - Append parsed caption columns
+   * @param {boolean} [options.statusColumns] - Append status, approval and author columns
    */
-  static exportSingleEvent(eventData) {
+  static exportSingleEvent(eventData, options = {}) {
     const filename = this.generateFilename(eventData);
-    const csvData = this.buildCSVContent([eventData]);
+    const csvData = this.buildCSVContent([eventData], options);
     this.downloadCSV(csvData, filename);
   }
 
   /**
    * Downloads all events data as CSV
    * @param {Array} events - Array of event data objects
+   * @param {Object} [options] - Export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
    */
-  static exportAllEvents(events) {
-    const csvData = this.buildCSVContent(events);
+  static exportAllEvents(events, options = {}) {
+    const csvData = this.buildCSVContent(events, options);
     const filename = `all_events_data.csv`;
     this.downloadCSV(csvData, filename);
   }
@@ -25,21 +36,59 @@ export class CSVExporter {
   /**
    * Downloads all events data as CSV in Blaze format
    * @param {Array} events - Array of event data objects
+   * @param {Object} [options] - Export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
    */
-  static exportAllEventsForBlaze(events) {
-    const csvData = this.buildBlazeCSVContent(events);
+  static exportAllEventsForBlaze(events, options = {}) {
+    const csvData = this.buildBlazeCSVContent(events, options);
     const filename = `blaze_events_data.csv`;
     this.downloadCSV(csvData, filename);
   }
 
+  /**
+   * Downloads the live scan change feed as CSV
+   * @param {Array} entries - Change feed entries ({ at, type, eventId, previousId, label, changes })
+   */
+  static exportChangeFeed(entries) {
+    const csvData = this.buildChangeFeedCSVContent(entries);
+    const filename = `change_feed_${new Date().toISOString().replace(/[:.]/g, '-')}.csv`;
+    this.downloadCSV(csvData, filename);
+  }
+
+  /**
+   * Builds change feed CSV content - one row per changed field, one row per added/removed event
+   * @param {Array} entries - Change feed entries
+   * @returns {string} CSV formatted string
+   */
+  static buildChangeFeedCSVContent(entries) {
+    const headers = ['Timestamp', 'Change', 'Event ID', 'Previous Event ID', 'Label', 'Field', 'Before', 'After'];
+    const rows = entries.flatMap(entry => {
+      const base = [entry.at, entry.type, entry.eventId, entry.previousId, entry.label];
+      const changes = entry.changes.length > 0 ? entry.changes : [{ label: '', before: '', after: '' }];
+      return changes.map(change => [...base, change.label, change.before, change.after]);
+    });
+
+    return [headers.join(','), ...rows.map(fields => this.formatCSVRow(fields))].join('\n');
+  }
+
+  /**
+   * Quotes each field and escapes the quotes inside it
+   * Captions can contain quotes, and counts can be 0, so only null/undefined become empty.
+   * @param {Array} fields - Row values
+   * @returns {string} CSV formatted row
+   */
+  static formatCSVRow(fields) {
+    return fields.map(field => `"${String(field ?? '').replace(/"/g, '""')}"`).join(',');
+  }
+
   /**
    * Builds CSV content from event data
    * @param {Array} events - Array of event objects
+   * @param {Object} [options] - Export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
    * @returns {string} CSV formatted string
    */
-  static buildCSVContent(events) {
-    const headers = this.getCSVHeaders();
-    const rows = events.map(event => this.formatEventRow(event));
+  static buildCSVContent(events, options = {}) {
+    const headers = this.getCSVHeaders(options);
+    const rows = events.map(event => this.formatEventRow(event, options));
 
     return [headers, ...rows].join('\n');
   }
@@ -47,20 +96,22 @@ export class CSVExporter {
   /**
    * Builds CSV content in Blaze format from event data
    * @param {Array} events - Array of event objects
+   * @param {Object} [options] - Export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
    * @returns {string} CSV formatted string
    */
-  static buildBlazeCSVContent(events) {
-    const headers = this.getBlazeCSVHeaders();
-    const rows = events.map(event => this.formatBlazeEventRow(event));
+  static buildBlazeCSVContent(events, options = {}) {
+    const headers = this.getBlazeCSVHeaders(options);
+    const rows = events.map(event => this.formatBlazeEventRow(event, options));
 
     return [headers, ...rows].join('\n');
   }
 
   /**
    * Returns the CSV column headers
+   * @param {Object} [options] - Export options ({ captionColumns, statusColumns, mediaColumns })
    * @returns {string} Comma-separated headers
    */
-  static getCSVHeaders() {
+  static getCSVHeaders(options = {}) {
     const headers = [
       'Label',
       'Platforms',
@@ -69,17 +120,30 @@ export class CSVExporter {
       'Has Video',
       'Duration',
       'Video URL',
-      'Timestamp'
+      'Timestamp',
+      'Scheduled At',
+      'Time Zone'
     ];
 
+    if (options.captionColumns) {
+      headers.push(...CaptionParser.CSV_HEADERS);
+    }
+    if (options.statusColumns) {
+      headers.push(...PostStatus.CSV_HEADERS);
+    }
+    if (options.mediaColumns) {
+      headers.push(...MediaProbe.CSV_HEADERS);
+    }
+
     return headers.join(',');
   }
 
   /**
    * Returns the Blaze CSV column headers
+   * @param {Object} [options] - Export options ({ captionColumns, statusColumns, mediaColumns })
    * @returns {string} Comma-separated headers
    */
-  static getBlazeCSVHeaders() {
+  static getBlazeCSVHeaders(options = {}) {
     const headers = [
       'postAtSpecificTime',
       'content',
@@ -89,52 +153,69 @@ export class CSVExporter {
       'videoUrls'
     ];
 
+    if (options.captionColumns) {
+      headers.push(...CaptionParser.CSV_HEADERS);
+    }
+    if (options.statusColumns) {
+      headers.push(...PostStatus.CSV_HEADERS);
+    }
+    if (options.mediaColumns) {
+      headers.push(...MediaProbe.CSV_HEADERS);
+    }
+
     return headers.join(',');
   }
 
   /**
    * Formats a single event into CSV row format
    * @param {Object} event - Event data object
+   * @param {Object} [options] - Export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
    * @returns {string} CSV formatted row
    */
-  static formatEventRow(event) {
+  static formatEventRow(event, options = {}) {
+    const { timeZone = null } = options;
     const fields = [
       event.label,
       event.platforms,
       event.description,
-      event.imageSrc,
+      EventMedia.joinUrls(EventMedia.getImageUrls(event)),
       event.hasVideo,
       event.videoDuration,
       event.videoSrc,
-      event.timestamp
+      event.timestamp,
+      DateResolver.formatPostTime(event, timeZone),
+      timeZone || event.timeZone
     ];
 
-    return fields.map(field => `"${field || ''}"`).join(',');
+    if (options.captionColumns) {
+      fields.push(...CaptionParser.toCsvFields(event));
+    }
+    if (options.statusColumns) {
+      fields.push(...PostStatus.toCsvFields(event));
+    }
+    if (options.mediaColumns) {
+      fields.push(...MediaProbe.toCsvFields(event.mediaInfo));
+    }
+
+    return this.formatCSVRow(fields);
   }
 
   /**
    * Formats a single event into Blaze CSV row format
    * @param {Object} event - Event data object
+   * @param {Object} [options] - Export options ({ timeZone, captionColumns, statusColumns, mediaColumns })
    * @returns {string} CSV formatted row
    */
-  static formatBlazeEventRow(event) {
-    // postAtSpecificTime: Use timestamp but add current day in YYYY-MM-DD HH:mm:ss format
-    const postAtSpecificTime = this.formatTimestampForBlaze(event.timestamp);
+  static formatBlazeEventRow(event, options = {}) {
+    // postAtSpecificTime: Scheduled date and time in YYYY-MM-DD HH:mm:ss format
+    const postAtSpecificTime = this.formatTimestampForBlaze(event, options.timeZone);
 
     // content: From description
     const content = event.description || '';
 
-    // link: Always empty
-    const link = '';
-
-    // imageUrls: From imageSrc
-    const imageUrls = event.imageSrc || '';
-
-    // gifUrl: Always blank
-    const gifUrl = '';
-
-    // videoUrls: From videoSrc if exists and not placeholder
-    const videoUrls = (event.videoSrc && event.videoSrc !== 'VIDEO DETECTADO') ? event.videoSrc : '';
+    // link: OG preview or caption link; imageUrls: carousel slides in order;
+    // gifUrl: first GIF image; videoUrls: resolved videoSrc, never the placeholder
+    const { link, imageUrls, gifUrl, videoUrls } = EventMedia.toBlazeFields(event);
 
     const fields = [
       postAtSpecificTime,
@@ -145,7 +226,17 @@ export class CSVExporter {
       videoUrls
     ];
 
-    return fields.map(field => `"${field || ''}"`).join(',');
+    if (options.captionColumns) {
+      fields.push(...CaptionParser.toCsvFields(event));
+    }
+    if (options.statusColumns) {
+      fields.push(...PostStatus.toCsvFields(event));
+    }
+    if (options.mediaColumns) {
+      fields.push(...MediaProbe.toCsvFields(event.mediaInfo));
+    }
+
+    return this.formatCSVRow(fields);
   }
 
   /**
@@ -184,48 +275,13 @@ export class CSVExporter {
   }
 
   /**
-   * Formats timestamp for Blaze CSV format
-   * Converts timestamp like "10:30 AM" to "YYYY-MM-DD HH:mm:ss" using current date
-   * @param {string} timestamp - Original timestamp string
-   * @returns {string} Formatted timestamp
+   * Formats an event's scheduled time for Blaze CSV format
+   * @param {Object} event - Event data object with scheduledAt/timeZone, or fullDate/date and timestamp
+   * @param {string|null} [timeZone] - Output zone, null for the event's workspace zone
+   * @returns {string} "YYYY-MM-DD HH:mm:ss", or '' when the date or time is unknown
    */
-  static formatTimestampForBlaze(timestamp) {
-    if (!timestamp) return '';
-
-    try {
-      // Get current date
-      const now = new Date();
-      const year = now.getFullYear();
-      const month = String(now.getMonth() + 1).padStart(2, '0');
-      const day = String(now.getDate()).padStart(2, '0');
-
-      // Parse the time part (e.g., "10:30 AM" -> hours and minutes)
-      const timeMatch = timestamp.match(/(\d{1,2}):(\d{2})\s*(AM|PM)/i);
-      if (!timeMatch) {
-        // If no AM/PM format, try 24-hour format or just use current time
-        return `${year}-${month}-${day} ${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}:${String(now.getSeconds()).padStart(2, '0')}`;
-      }
-
-      let hours = parseInt(timeMatch[1]);
-      const minutes = timeMatch[2];
-      const ampm = timeMatch[3].toUpperCase();
-
-      // Convert to 24-hour format
-      if (ampm === 'PM' && hours !== 12) {
-        hours += 12;
-      } else if (ampm === 'AM' && hours === 12) {
-        hours = 0;
-      }
-
-      const hours24 = String(hours).padStart(2, '0');
-
-      return `${year}-${month}-${day} ${hours24}:${minutes}:00`;
-    } catch (error) {
-      console.error('Error formatting timestamp for Blaze:', error);
-      // Fallback to current time
-      const now = new Date();
-      return now.toISOString().slice(0, 19).replace('T', ' ');
-    }
+  static formatTimestampForBlaze(event, timeZone = null) {
+    return DateResolver.formatPostTime(event, timeZone);
   }
 
   /**
@@ -1,6 +1,13 @@
 import { SelectorConstants } from '../constants/SelectorConstants.js';
+import { ErrorMessages } from '../constants/ErrorMessages.js';
 import { WorkflowConfig } from '../constants/WorkflowConfig.js';
 import { PlatformDetector } from './PlatformDetector.js';
+import { CalendarViewDetector } from './CalendarViewDetector.js';
+import { EventIdentity } from './EventIdentity.js';
+import { DateResolver } from './DateResolver.js';
+import { CaptionParser } from './CaptionParser.js';
+import { EventMedia } from './EventMedia.js';
+import { PageWaiter } from './PageWaiter.js';
 
 /**
  * DataExtractor - Handles DOM scraping and data extraction from Blaze event cards
@@ -9,37 +16,91 @@ import { PlatformDetector } from './PlatformDetector.js';
 export class DataExtractor {
     constructor() {
         this.platformDetector = new PlatformDetector();
+        this.viewDetector = new CalendarViewDetector();
     }
 
     /**
      * Extract events data from the current page
-     * @returns {Promise<Array>} Array of extracted event data
+     * @param {Object} [options] - Extraction options
+     * @param {boolean} [options.scroll=true] - Scroll calendar columns so lazy cards render
+     * @param {boolean} [options.expand=true] - Click "more" buttons so captions are complete
+     * @returns {Promise<Object>} Detected calendar view name, workspace time zone and array of extracted event data
      */
-    async extractEventsData() {
-        const eventContainers = this.findVisibleEventContainers();
-        const events = [];
+    async extractEventsData(options = {}) {
+        const { scroll = true, expand = true } = options;
 
-        console.log(`Found ${eventContainers.length} visible event containers`);
+        // Pick the date-resolution strategy for the current calendar layout
+        const view = this.viewDetector.detect();
+        const scrollColumns = view.prepare();
 
-        // Process each event: expand text, then extract data
-        for (let index = 0; index < eventContainers.length; index++) {
-            const container = eventContainers[index];
+        if (scroll) {
+            await this.scrollColumns(scrollColumns);
+        }
 
-            // Step 1: Click "more" button to expand full text if exists
-            const moreButton = container.querySelector(SelectorConstants.TRUNCATED_TEXT_MORE_BUTTON);
-            if (moreButton) {
-                console.log(`📝 Clicking "more" button for event ${index + 1}`);
-                moreButton.click();
-                // Wait for text to expand
-                await this.delay(300);
+        const eventContainers = this.findEventContainers();
+        console.log(`📊 Found ${eventContainers.length} event containers in DOM`);
+
+        if (expand) {
+            await this.expandAllEventTexts(eventContainers);
+        }
+
+        const events = eventContainers.map((container, index) =>
+            this.extractSingleEventDataSync(container, index, view)
+        );
+        this.assignCardIds(events, eventContainers, view);
+        this.resolveFullDates(events);
+
+        console.log(`✅ Extracted ${events.length} events from ${view.name} view`);
+        return { view: view.name, timeZone: this.detectTimeZone(), events };
+    }
+
+    /**
+     * Give each event a full YYYY-MM-DD date, taking the year from the period Blaze is showing
+     * @param {Array<Object>} events - Events with a year-less `date` label (mutated)
+     */
+    resolveFullDates(events) {
+        const period = DateResolver.resolvePeriod(this.viewDetector.readPeriod());
+        const reference = period?.start || new Date();
+
+        events.forEach(event => {
+            event.fullDate = DateResolver.toIsoDate(DateResolver.resolveLabelDate(event.date, reference));
+        });
+    }
+
+    /**
+     * Read the workspace time zone Blaze shows on the page
+     * @returns {string|null} IANA time zone name, or null when the page doesn't show one
+     */
+    detectTimeZone() {
+        const labels = Array.from(document.querySelectorAll(SelectorConstants.TIME_ZONE_LABEL));
+        for (const label of labels) {
+            const text = `${label.getAttribute('title') || ''} ${label.textContent || ''}`;
+            const name = text.match(/\b(?:[A-Z][A-Za-z_]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?|UTC)\b/)?.[0];
+            if (name && DateResolver.isValidTimeZone(name)) {
+                return name;
             }
+        }
+        return null;
+    }
 
-            // Step 2: Extract all data now that text is expanded
-            const eventData = this.extractSingleEventDataSync(container, index);
-            events.push(eventData);
+    /**
+     * Scroll each calendar column to the bottom and back so every card gets rendered
+     * @param {Array<Element>} columns - Scrollable column elements
+     */
+    async scrollColumns(columns) {
+        for (const column of columns) {
+            column.scrollTop = column.scrollHeight;
+            await PageWaiter.waitForQuiet(column, { quietMs: WorkflowConfig.DELAYS.SCROLL_RENDER_QUIET });
+            column.scrollTop = 0;
         }
+    }
 
-        return events;
+    /**
+     * Find all event containers on the page, including cards scrolled out of view
+     * @returns {Array<Element>} Array of event container elements
+     */
+    findEventContainers() {
+        return Array.from(document.querySelectorAll(SelectorConstants.EVENT_CONTAINER));
     }
 
     /**
@@ -65,8 +126,8 @@ export class DataExtractor {
 
         // Click all "more" buttons at once
         const clickPromises = eventContainers.map(async (container, index) => {
-            const moreButton = container.querySelector(SelectorConstants.TRUNCATED_TEXT_MORE_BUTTON);
-            if (moreButton && moreButton.offsetWidth > 0 && moreButton.offsetHeight > 0) {
+            const moreButton = this.findVisibleMoreButton(container);
+            if (moreButton) {
                 console.log(`📝 Clicking "more" button for event ${index + 1}`);
                 moreButton.click();
                 return true;
@@ -81,13 +142,14 @@ export class DataExtractor {
         if (clickedCount > 0) {
             console.log(`📝 Clicked ${clickedCount} "more" buttons, waiting for expansion...`);
 
-            // Wait for all expansions to complete
-            await this.delay(WorkflowConfig.DELAYS.TEXT_EXPANSION);
+            // Wait until no card shows a "more" button any more
+            const expanded = await PageWaiter.waitFor(
+                () => eventContainers.every(container => !this.findVisibleMoreButton(container))
+            );
 
-            // Additional wait to ensure all text is loaded
-            await this.delay(500);
-
-            console.log('📝 All text expansions should now be complete');
+            console.log(expanded
+                ? '📝 All text expansions are complete'
+                : '📝 Some captions did not expand in time, reading them as they are');
         } else {
             console.log('📝 No "more" buttons found to click');
         }
@@ -97,14 +159,19 @@ export class DataExtractor {
      * Extract data from a single event container (synchronous, after expansion)
      * @param {Element} container - The event container element
      * @param {number} index - The index of this container
+     * @param {Object} [view] - Calendar view strategy used to resolve the card's date
      * @returns {Object} Extracted event data
      */
-    extractSingleEventDataSync(container, index) {
+    extractSingleEventDataSync(container, index, view = null) {
         // Extract basic information (text should already be expanded)
         const label = this.extractEventLabel(container);
         const platforms = this.extractPlatforms(container, label);
         const timestamp = this.extractTimestamp(container);
+        const date = view ? view.resolveDate(container) : '';
         const description = this.extractDescription(container);
+        const status = this.extractPostStatus(container) || SelectorConstants.DEFAULT_POST_STATUS;
+        const approval = this.extractApprovalState(container);
+        const author = this.extractAuthor(container);
 
         // Extract media information
         const imageData = this.extractImageData(container);
@@ -118,8 +185,15 @@ export class DataExtractor {
             label,
             platforms,
             timestamp,
+            date,
             description,
+            ...CaptionParser.parse(description),
+            status,
+            approval,
+            author,
             imageSrc: imageData.src,
+            imageSrcs: imageData.srcs,
+            linkUrl: this.extractLinkUrl(container),
             videoSrc: videoData.src,
             hasVideo: videoData.hasVideo,
             videoDuration: videoData.duration,
@@ -159,7 +233,13 @@ export class DataExtractor {
             platforms,
             timestamp,
             description,
+            ...CaptionParser.parse(description),
+            status: this.extractPostStatus(container) || SelectorConstants.DEFAULT_POST_STATUS,
+            approval: this.extractApprovalState(container),
+            author: this.extractAuthor(container),
             imageSrc: imageData.src,
+            imageSrcs: imageData.srcs,
+            linkUrl: this.extractLinkUrl(container),
             videoSrc: videoData.src,
             hasVideo: videoData.hasVideo,
             videoDuration: videoData.duration,
@@ -175,28 +255,25 @@ export class DataExtractor {
      * @param {Element} container - Event container element
      */
     async expandEventText(container) {
-        const moreButton = container.querySelector(SelectorConstants.TRUNCATED_TEXT_MORE_BUTTON);
-        if (moreButton && moreButton.offsetWidth > 0 && moreButton.offsetHeight > 0) {
+        const moreButton = this.findVisibleMoreButton(container);
+        if (moreButton) {
             moreButton.click();
 
-            // Wait for expansion and check if it actually expanded
-            await this.delay(WorkflowConfig.DELAYS.TEXT_EXPANSION);
-
-            // Sometimes the expansion is asynchronous, wait a bit more
-            let attempts = 0;
-            const maxAttempts = 5;
-            while (attempts < maxAttempts) {
-                const stillTruncated = container.querySelector(SelectorConstants.TRUNCATED_TEXT_MORE_BUTTON);
-                if (!stillTruncated || stillTruncated.offsetWidth === 0 || stillTruncated.offsetHeight === 0) {
-                    // Text appears to be expanded
-                    break;
-                }
-                await this.delay(100);
-                attempts++;
-            }
+            // The expansion is asynchronous: wait until the button is gone or hidden
+            await PageWaiter.waitFor(() => !this.findVisibleMoreButton(container), { root: container });
         }
     }
 
+    /**
+     * Find a card's "more" button if it is showing
+     * @param {Element} container - Event container element
+     * @returns {Element|null} The visible button, or null when the caption is already expanded
+     */
+    findVisibleMoreButton(container) {
+        const moreButton = container.querySelector(SelectorConstants.TRUNCATED_TEXT_MORE_BUTTON);
+        return moreButton && moreButton.offsetWidth > 0 && moreButton.offsetHeight > 0 ? moreButton : null;
+    }
+
     /**
      * Extract event label from container
      * @param {Element} container - Event container element
@@ -269,7 +346,7 @@ export class DataExtractor {
         // First try the truncated text element (after expansion)
         const descDiv = container.querySelector(SelectorConstants.TRUNCATED_TEXT);
         if (descDiv?.textContent?.trim()) {
-            const text = descDiv.textContent.trim();
+            const text = this.stripMoreSuffix(descDiv.textContent.trim());
             console.log('📝 Truncated text element found:', text.substring(0, 100) + (text.length > 100 ? '...' : ''));
             // If the text doesn't end with "..." it might be fully expanded
             if (!text.endsWith('...')) {
@@ -278,6 +355,14 @@ export class DataExtractor {
             }
         }
 
+        // Then the other caption containers Blaze has used
+        for (const selector of SelectorConstants.CAPTION_FALLBACKS) {
+            const text = this.stripMoreSuffix(container.querySelector(selector)?.textContent?.trim() || '');
+            if (text.length > 10) {
+                return text;
+            }
+        }
+
         // Fallback: try to find the longest text content in the event container
         // Look for text spans and other elements that might contain the full content
         const allTextElements = container.querySelectorAll(`${SelectorConstants.TEXT_ROOT}, p, div, span`);
@@ -319,16 +404,52 @@ export class DataExtractor {
         return '';
     }
 
+    /**
+     * Remove the trailing "more" label left by an unexpanded caption
+     * @param {string} text - Caption text
+     * @returns {string} Caption without the "more" suffix
+     */
+    stripMoreSuffix(text) {
+        return text.replace(/\s*more\s*$/i, '').trim();
+    }
+
     /**
      * Extract image data from container
+     * Carousel cards hold one image per slide; all of them are returned in slide order.
      * @param {Element} container - Event container element
-     * @returns {Object} Image data object
+     * @returns {Object} Image data object ({ src, srcs })
      */
     extractImageData(container) {
-        const img = container.querySelector('img');
-        const src = img && !img.src.startsWith('data:') && img.offsetWidth > 0 ? img.src : null;
+        // Cards scrolled out of view still carry their image, so don't require a rendered size
+        let images = Array.from(container.querySelectorAll(SelectorConstants.CONTENT_IMAGE));
+        if (images.length === 0) {
+            images = Array.from(container.querySelectorAll('img[src]'));
+        }
 
-        return { src };
+        const srcs = this.collectImageSources(images);
+        return { src: srcs[0] || null, srcs };
+    }
+
+    /**
+     * Extract the URL of a link post's OG preview
+     * @param {Element} root - Card or detail view element
+     * @returns {string} Link URL or ''
+     */
+    extractLinkUrl(root) {
+        return root.querySelector(SelectorConstants.LINK_PREVIEW)?.href || '';
+    }
+
+    /**
+     * Read image URLs, skipping avatars and repeated carousel slides
+     * @param {Array<Element>} images - img elements in page order
+     * @returns {Array<string>} Unique image URLs
+     */
+    collectImageSources(images) {
+        return EventMedia.uniqueUrls(
+            images
+                .filter(img => !img.matches(SelectorConstants.AVATAR_IMAGE))
+                .map(img => img.currentSrc || img.src)
+        );
     }
 
     /**
@@ -409,6 +530,70 @@ export class DataExtractor {
         return '';
     }
 
+    /**
+     * Read the status badges inside an element
+     * @param {Element} root - Card or detail view element
+     * @returns {Array<string>} Lowercase badge test ID, text and aria-labels, one string per badge
+     */
+    readBadgeTexts(root) {
+        return Array.from(root.querySelectorAll(SelectorConstants.STATUS_BADGE))
+            .map(badge => {
+                const ariaLabels = Array.from(badge.querySelectorAll('[aria-label]'))
+                    .map(el => el.getAttribute('aria-label'));
+                return [badge.getAttribute('data-testid') || '', badge.textContent || '', ...ariaLabels]
+                    .join(' ')
+                    .trim()
+                    .toLowerCase();
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Find the first pattern whose keywords appear in any badge
+     * @param {Array<string>} badgeTexts - Output of readBadgeTexts
+     * @param {Array<Object>} patterns - Patterns with KEYWORDS
+     * @returns {Object|null} Matching pattern or null
+     */
+    matchBadgePattern(badgeTexts, patterns) {
+        return patterns.find(pattern =>
+            badgeTexts.some(text => pattern.KEYWORDS.some(keyword => text.includes(keyword)))
+        ) || null;
+    }
+
+    /**
+     * Extract post status (draft, scheduled, published, failed, needs_connection)
+     * @param {Element} root - Card or detail view element
+     * @returns {string} Status, or '' when no status badge is shown
+     */
+    extractPostStatus(root) {
+        const corner = root.querySelector(SelectorConstants.STATUS_CORNER) || root;
+        const match = this.matchBadgePattern(this.readBadgeTexts(corner), SelectorConstants.POST_STATUS_PATTERNS);
+        return match?.STATUS || '';
+    }
+
+    /**
+     * Extract approval state (pending, approved, changes_requested, rejected)
+     * @param {Element} root - Card or detail view element
+     * @returns {string} Approval state, or '' when none is shown
+     */
+    extractApprovalState(root) {
+        const match = this.matchBadgePattern(this.readBadgeTexts(root), SelectorConstants.APPROVAL_PATTERNS);
+        return match?.STATE || '';
+    }
+
+    /**
+     * Extract the post's author from an avatar or "Created by" label
+     * @param {Element} root - Card or detail view element
+     * @returns {string} Author name or ''
+     */
+    extractAuthor(root) {
+        const authorEl = root.querySelector(SelectorConstants.AUTHOR);
+        if (!authorEl) return '';
+
+        const name = authorEl.getAttribute('alt') || authorEl.getAttribute('title') || authorEl.textContent || '';
+        return name.replace(/^\s*(created|posted|scheduled)\s+by\s*/i, '').trim();
+    }
+
     /**
      * Extract event URL from container
      * @param {Element} container - Event container element
@@ -427,7 +612,7 @@ export class DataExtractor {
      */
     extractMetadata(container, index) {
         const cardClasses = container.className || '';
-        const isNew = cardClasses.includes('CalendarEventCard_new__335fa');
+        const isNew = cardClasses.includes(SelectorConstants.NEW_CARD_CLASS);
 
         return {
             cardIndex: index + 1,
@@ -436,6 +621,174 @@ export class DataExtractor {
         };
     }
 
+    /**
+     * Compute the stable ID of every event card currently in the DOM
+     * Uses the same fields and duplicate numbering as extractEventsData, so IDs match captured events
+     * @returns {Array<Object>} Entries of { id, container } in page order
+     */
+    identifyEventCards() {
+        const view = this.viewDetector.detect();
+        view.prepare();
+
+        const containers = this.findEventContainers();
+        const identities = EventIdentity.assignIds(containers.map(container => this.readCardIdentity(container, view)));
+
+        return containers.map((container, index) => ({ id: identities[index].id, container }));
+    }
+
+    /**
+     * Give extracted events the IDs of their cards
+     * @param {Array<Object>} events - Events in page order (mutated)
+     * @param {Array<Element>} containers - Their card containers, in the same order
+     * @param {Object} view - Calendar view strategy from CalendarViewDetector
+     */
+    assignCardIds(events, containers, view) {
+        const identities = EventIdentity.assignIds(containers.map(container => this.readCardIdentity(container, view)));
+        events.forEach((event, index) => {
+            event.id = identities[index].id;
+        });
+    }
+
+    /**
+     * The card fields an ID is built from
+     * The caption is read from the caption element itself, truncated or not: extractDescription
+     * falls back to other card text while a caption is still truncated, which would give a
+     * collapsed card a different ID from its expanded capture.
+     * @param {Element} container - Event container element
+     * @param {Object} view - Calendar view strategy from CalendarViewDetector
+     * @returns {Object} { eventUrl, date, timestamp, label, description }
+     */
+    readCardIdentity(container, view) {
+        const caption = container.querySelector(SelectorConstants.TRUNCATED_TEXT)?.textContent?.trim();
+
+        return {
+            eventUrl: this.extractEventUrl(container),
+            date: view.resolveDate(container),
+            timestamp: this.extractTimestamp(container),
+            label: this.extractEventLabel(container),
+            description: caption || this.extractDescription(container)
+        };
+    }
+
+    /**
+     * Find an event card on the page by its stable ID
+     * @param {string} eventId - ID assigned at capture time
+     * @returns {Element|null} Event container element or null
+     */
+    findEventCard(eventId) {
+        if (!eventId) return null;
+        const card = this.identifyEventCards().find(entry => entry.id === eventId);
+        return card ? card.container : null;
+    }
+
+    /**
+     * Find an event card or explain why it isn't there
+     * A missing card may just not be rendered yet; a login page means the Blaze session ended.
+     * @param {string} eventId - ID assigned at capture time
+     * @returns {Element} Card container
+     */
+    requireEventCard(eventId) {
+        const container = this.findEventCard(eventId);
+        if (!container) {
+            throw new Error(this.isLoginPage() ? ErrorMessages.LOGGED_OUT : ErrorMessages.EVENT_CARD_NOT_FOUND);
+        }
+        return container;
+    }
+
+    /**
+     * Check whether Blaze is showing its login page instead of the calendar
+     * @returns {boolean} True when logged out
+     */
+    isLoginPage() {
+        return /\/(login|sign-?in)\b/i.test(window.location.pathname) ||
+            !!document.querySelector(SelectorConstants.LOGIN_FORM);
+    }
+
+    /**
+     * Open an event card's detail view
+     * @param {string} eventId - ID assigned at capture time
+     */
+    openEventCard(eventId) {
+        const container = this.requireEventCard(eventId);
+
+        const linkEl = container.closest('a') || container.querySelector('a');
+        (linkEl || container).click();
+    }
+
+    /**
+     * Scroll an event card into view and tick its checkbox
+     * @param {string} eventId - ID assigned at capture time
+     */
+    async selectEventCard(eventId) {
+        const container = this.requireEventCard(eventId);
+
+        container.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+        await this.checkEventCheckbox(container);
+    }
+
+    /**
+     * Wait for the detail view opened by openEventCard to finish loading
+     * Resolves once the view has rendered and stopped changing and its video (if any) knows its
+     * metadata, or after WorkflowConfig.RETRY.TIMEOUT_MS - whatever has loaded by then is read.
+     * Throws if the view never appears, so the caller can retry the click.
+     */
+    async waitForDetailView() {
+        const detailView = await PageWaiter.waitForSelector(SelectorConstants.DETAIL_VIEW);
+        if (!detailView) {
+            throw new Error(this.isLoginPage() ? ErrorMessages.LOGGED_OUT : ErrorMessages.DETAIL_VIEW_NOT_READY);
+        }
+
+        await PageWaiter.waitForQuiet(detailView);
+
+        const video = detailView.querySelector(SelectorConstants.VIDEO_ELEMENT);
+        if (video) {
+            await PageWaiter.waitForVideoMetadata(video);
+        }
+    }
+
+    /**
+     * Extract video, image and full caption from the open detail view
+     * @returns {Object} Detail view data
+     */
+    extractDetailViewData() {
+        const videoEl = document.querySelector(SelectorConstants.VIDEO_ELEMENT);
+        const videoSrc = videoEl?.src || videoEl?.querySelector(SelectorConstants.VIDEO_SOURCE)?.src || null;
+
+        const imageSrcs = this.collectImageSources(Array.from(document.querySelectorAll(SelectorConstants.DETAIL_IMAGE)));
+        const imageSrc = imageSrcs[0] || null;
+
+        const descEl = document.querySelector(SelectorConstants.DETAIL_DESCRIPTION);
+        const fullDescription = this.stripMoreSuffix(descEl?.textContent?.trim() || '');
+
+        // Only read status fields from an actual detail view, never from the calendar behind it
+        const detailView = document.querySelector(SelectorConstants.DETAIL_VIEW);
+
+        return {
+            videoSrc,
+            imageSrc,
+            imageSrcs,
+            fullDescription,
+            status: detailView ? this.extractPostStatus(detailView) : '',
+            approval: detailView ? this.extractApprovalState(detailView) : '',
+            author: detailView ? this.extractAuthor(detailView) : '',
+            linkUrl: detailView ? this.extractLinkUrl(detailView) : '',
+            extracted: true
+        };
+    }
+
+    /**
+     * Close the detail view with its close button, or Escape when there is none
+     */
+    async closeDetailView() {
+        const closeBtn = document.querySelector(SelectorConstants.DETAIL_CLOSE_BUTTON);
+        if (closeBtn) {
+            closeBtn.click();
+        } else {
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', keyCode: 27 }));
+        }
+        await PageWaiter.waitForAbsence(SelectorConstants.DETAIL_VIEW);
+    }
+
     /**
      * Check and select checkbox for event
      * @param {Element} container - Event container element
@@ -446,7 +799,7 @@ export class DataExtractor {
 
         if (checkbox && !checkbox.checked && labelElement) {
             labelElement.click();
-            await this.delay(WorkflowConfig.DELAYS.CHECKBOX_CLICK);
+            await PageWaiter.waitFor(() => checkbox.checked, { root: container });
         }
     }
 
@@ -462,18 +815,9 @@ export class DataExtractor {
                              document.querySelector(`label[for="${checkbox.id}"]`);
                 if (label) {
                     label.click();
-                    await this.delay(WorkflowConfig.DELAYS.VIDEO_LOAD_CHECK);
+                    await PageWaiter.waitFor(() => !checkbox.checked);
                 }
             }
         }
     }
-
-    /**
-     * Utility method for delays
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise} Promise that resolves after delay
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
@@ -0,0 +1,47 @@
+/**
+ * Network Media Hook Module
+ * Injected into the page's main world so it sees the requests Blaze's own code makes.
+ * Wraps fetch and XMLHttpRequest and posts every media response (video, image or stream
+ * manifest) to the window, where NetworkMediaRecorder picks it up in the extension's world.
+ */
+
+(function () {
+    // Prevent multiple injections
+    if (window.AgencySMMNetworkMediaHook) {
+        return;
+    }
+
+    const MESSAGE_SOURCE = 'agencysmm-network-media';
+    const MEDIA_TYPE = /^(video|image)\/|mpegurl|dash\+xml/i;
+
+    const report = (url, contentType) => {
+        if (!url || !MEDIA_TYPE.test(contentType || '')) return;
+        window.postMessage({ source: MESSAGE_SOURCE, url: String(url), contentType }, window.location.origin);
+    };
+
+    const originalFetch = window.fetch;
+    window.fetch = function (...args) {
+        return originalFetch.apply(this, args).then(response => {
+            try {
+                report(response.url, response.headers.get('content-type'));
+            } catch (e) {
+                // Opaque responses have no readable headers
+            }
+            return response;
+        });
+    };
+
+    const originalOpen = XMLHttpRequest.prototype.open;
+    XMLHttpRequest.prototype.open = function (...args) {
+        this.addEventListener('load', () => {
+            try {
+                report(this.responseURL, this.getResponseHeader('content-type'));
+            } catch (e) {
+                // Header access can fail for cross-origin requests
+            }
+        });
+        return originalOpen.apply(this, args);
+    };
+
+    window.AgencySMMNetworkMediaHook = { MESSAGE_SOURCE };
+})();
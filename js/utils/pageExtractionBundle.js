@@ -0,0 +1,117 @@
+import { DataExtractor } from './dataExtractor.js';
+import { VideoProcessor } from './VideoProcessor.js';
+import { LiveCardObserver } from './LiveCardObserver.js';
+import { PageWaiter } from './PageWaiter.js';
+import { NetworkMediaRecorder } from './NetworkMediaRecorder.js';
+import { VideoScanOverlay } from './VideoScanOverlay.js';
+import { SelectorConstants } from '../constants/SelectorConstants.js';
+
+/**
+ * Page Extraction Bundle - The single extraction entry point loaded into the Blaze tab
+ * PageScriptRunner imports this module inside the page and calls one of the commands below,
+ * so capture, live scan, AutoPilot and video scan all share DataExtractor, PlatformDetector
+ * and SelectorConstants. Commands take and return plain JSON-serializable values.
+ */
+const dataExtractor = new DataExtractor();
+const videoProcessor = new VideoProcessor();
+const liveCardObserver = new LiveCardObserver(dataExtractor);
+const networkMediaRecorder = new NetworkMediaRecorder();
+const videoScanOverlay = new VideoScanOverlay();
+
+export const PageExtractionCommands = {
+    /**
+     * Full capture: scrolls columns and expands captions before extracting
+     */
+    captureEvents: () => dataExtractor.extractEventsData(),
+
+    /**
+     * Lightweight capture - no scrolling or caption expansion
+     */
+    scanEvents: () => dataExtractor.extractEventsData({ scroll: false, expand: false }),
+
+    /**
+     * Live scan: keep watching the calendar and stream card changes over a runtime port
+     * The module stays loaded in the page, so the observer outlives this call.
+     * @param {string} portName - Port name the extension is listening for
+     */
+    watchEvents: (portName) => liveCardObserver.start(portName),
+
+    /**
+     * Stop the live scan observer
+     */
+    stopWatchingEvents: () => {
+        liveCardObserver.stop();
+        return { watching: false };
+    },
+
+    /**
+     * Open a card's detail view, read it once it has loaded and optionally close it again
+     * @param {string} eventId - Stable event ID from the capture
+     * @param {Object} options - close after reading; networkMedia to also record the media
+     *        requests made while the view loads and prefer them over blob: / missing sources
+     */
+    extractEventDetail: async (eventId, { close = false, networkMedia = false } = {}) => {
+        if (networkMedia) {
+            networkMediaRecorder.begin(eventId);
+        }
+
+        try {
+            dataExtractor.openEventCard(eventId);
+            await dataExtractor.waitForDetailView();
+
+            let detail = dataExtractor.extractDetailViewData();
+            if (networkMedia) {
+                detail = NetworkMediaRecorder.applyTo(detail, networkMediaRecorder.end());
+            }
+            if (close) {
+                await dataExtractor.closeDetailView();
+            }
+            return detail;
+        } finally {
+            networkMediaRecorder.stop();
+        }
+    },
+
+    /**
+     * Scroll a card into view and tick its checkbox
+     * @param {string} eventId - Stable event ID from the capture
+     */
+    selectEventCard: async (eventId) => {
+        await dataExtractor.selectEventCard(eventId);
+        return { success: true };
+    },
+
+    /**
+     * Collect page video sources and which cards have a video, and mark the cards on screen
+     * @param {Array} capturedEvents - Events from the last capture
+     */
+    scanVideos: (capturedEvents) => {
+        const cards = dataExtractor.identifyEventCards();
+        const result = videoProcessor.scanForVideos(capturedEvents, cards);
+        videoScanOverlay.show(cards, result.eventsWithVideos.map(event => event.eventId));
+        return result;
+    },
+
+    /**
+     * Remove the video scan marks
+     */
+    clearVideoScanHighlight: () => videoScanOverlay.clear(),
+
+    /**
+     * Read the calendar period currently on screen
+     */
+    readCalendarPeriod: () => dataExtractor.viewDetector.readPeriod(),
+
+    /**
+     * Wait until the calendar stops re-rendering, e.g. after switching period
+     */
+    waitForCalendarQuiet: () => PageWaiter.waitForQuiet(
+        document.querySelector(SelectorConstants.CALENDAR_ROOT) || document.body
+    ),
+
+    /**
+     * Click the previous/next period control
+     * @param {string} direction - 'previous' or 'next'
+     */
+    navigateCalendarPeriod: (direction) => dataExtractor.viewDetector.navigate(direction)
+};
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CloudinaryResolver } from '../js/utils/CloudinaryResolver.js';
+
+const UNDERLAY = 'u_fetch:aHR0cHM6Ly9ibGF6ZS1tZWRpYS11cGxvYWRzLWZvci1kZXYuczMudXMtd2VzdC0xLmFtYXpvbmF3cy5jb20vNWR6eHd2cDd1aHRqamVvNTE0eHdjc2xjcDZybGF5aGtfcGx0bnNhbjBiZ3h1cW1kcm1tY2Z6X3VuZGVybGF5LWVkYWQ2MDkwNTdiMWVkMjk1YzBmLnBuZw==';
+const OVERLAY = 'l_fetch:aHR0cHM6Ly9ibGF6ZS1tZWRpYS11cGxvYWRzLWZvci1kZXYuczMudXMtd2VzdC0xLmFtYXpvbmF3cy5jb20vNWR6eHd2cDd1aHRqamVvNTE0eHdjc2xjcDZybGF5aGtfcGx0bnNhbjBiZ3h1cW1kcm1tY2Z6X292ZXJsYXktNDQxMTM2N2YwODllYjY1YzIxZWQucG5n';
+const CANVAS = 'w_1080,h_1920,c_fill,b_transparent,g_north_west,x_1166,y_0';
+const LAYERED = `https://res.cloudinary.com/almanac/video/upload/${CANVAS}/${UNDERLAY}/fl_layer_apply/${OVERLAY}/fl_layer_apply/q_auto:eco/uploads/painting_home_facade-2e606cb198357173b6a8.mp4`;
+const LAYERS = `${CANVAS}/${UNDERLAY}/fl_layer_apply/${OVERLAY}/fl_layer_apply`;
+
+test('parse splits a delivery URL into its parts', () => {
+    const parts = CloudinaryResolver.parse('https://res.cloudinary.com/demo/image/upload/w_400,c_scale/v1699/folder/photo.webp?x=1');
+
+    assert.equal(parts.cloudName, 'demo');
+    assert.equal(parts.resourceType, 'image');
+    assert.deepEqual(parts.transformations, ['w_400,c_scale']);
+    assert.equal(parts.version, 'v1699');
+    assert.equal(parts.publicId, 'folder/photo');
+    assert.equal(parts.format, 'webp');
+    assert.equal(CloudinaryResolver.build(parts), 'https://res.cloudinary.com/demo/image/upload/w_400,c_scale/v1699/folder/photo.webp?x=1');
+});
+
+test('the original preset drops the transformations of a plain URL', () => {
+    assert.equal(
+        CloudinaryResolver.resolve('https://res.cloudinary.com/demo/video/upload/w_320,q_auto/v1/clip.mp4', 'original'),
+        'https://res.cloudinary.com/demo/video/upload/v1/clip.mp4'
+    );
+});
+
+test('the original preset keeps Blaze overlay layers and drops only the delivery quality', () => {
+    assert.equal(
+        CloudinaryResolver.resolve(LAYERED, 'original'),
+        `https://res.cloudinary.com/almanac/video/upload/${LAYERS}/uploads/painting_home_facade-2e606cb198357173b6a8.mp4`
+    );
+});
+
+test('size and format presets apply after the layers', () => {
+    assert.equal(
+        CloudinaryResolver.resolve(LAYERED, 'reel_mp4'),
+        `https://res.cloudinary.com/almanac/video/upload/${LAYERS}/c_fill,w_1080,h_1920/uploads/painting_home_facade-2e606cb198357173b6a8.mp4`
+    );
+    assert.equal(
+        CloudinaryResolver.resolve(LAYERED, 'poster_jpg', { offset: 3 }),
+        `https://res.cloudinary.com/almanac/video/upload/${LAYERS}/so_3/uploads/painting_home_facade-2e606cb198357173b6a8.jpg`
+    );
+});
+
+test('format and quality components inside layered segments are removed', () => {
+    assert.deepEqual(
+        CloudinaryResolver.getLayerTransformations(['w_500,f_auto', 'l_logo,q_80', 'fl_layer_apply,g_south', 'q_auto']),
+        ['w_500', 'l_logo', 'fl_layer_apply,g_south']
+    );
+});
+
+test('signed, fetch, as-shown and non-Cloudinary URLs are left unchanged', () => {
+    [
+        'https://res.cloudinary.com/demo/image/upload/s--abc123--/w_400/v1/photo.jpg',
+        'https://res.cloudinary.com/demo/image/fetch/w_400/https://example.com/photo.jpg',
+        'https://cdn.example.com/video.mp4'
+    ].forEach(url => assert.equal(CloudinaryResolver.resolve(url, 'original'), url));
+    assert.equal(CloudinaryResolver.resolve(LAYERED, 'as_shown'), LAYERED);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSVExporter } from '../js/utils/csvExporter.js';
+
+const event = {
+    label: 'Post',
+    platforms: ['Instagram'],
+    description: 'Our "best" coat yet',
+    hashtags: [],
+    mentions: [],
+    urls: [],
+    emojis: [],
+    charCount: 19,
+    wordCount: 0,
+    mediaInfo: { size: 0, mimeType: 'image/png', width: 0, height: 0, duration: null, codec: null }
+};
+
+/**
+ * Split one CSV row into its unquoted fields
+ */
+const parseRow = (row) => [...row.matchAll(/"((?:[^"]|"")*)"/g)].map(match => match[1].replace(/""/g, '"'));
+
+test('event rows escape quotes in captions and keep zero values', () => {
+    const options = { captionColumns: true, mediaColumns: true };
+    const headers = CSVExporter.getCSVHeaders(options).split(',');
+    const fields = parseRow(CSVExporter.formatEventRow(event, options));
+
+    assert.equal(fields.length, headers.length);
+    assert.equal(fields[headers.indexOf('Description')], 'Our "best" coat yet');
+    assert.equal(fields[headers.indexOf('Words')], '0');
+    assert.equal(fields[headers.indexOf('Media Size (bytes)')], '0');
+});
+
+test('Blaze rows escape quotes in captions and keep zero values', () => {
+    const options = { captionColumns: true, mediaColumns: true };
+    const headers = CSVExporter.getBlazeCSVHeaders(options).split(',');
+    const fields = parseRow(CSVExporter.formatBlazeEventRow(event, options));
+
+    assert.equal(fields.length, headers.length);
+    assert.equal(fields[headers.indexOf('content')], 'Our "best" coat yet');
+    assert.equal(fields[headers.indexOf('Words')], '0');
+    assert.equal(fields[headers.indexOf('Width')], '0');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateResolver } from '../js/utils/DateResolver.js';
+
+const iso = (dates) => dates.map(date => DateResolver.toIsoDate(date));
+
+const period = (page, reference) => {
+    const { start, end } = DateResolver.resolvePeriod({ headers: [], dayHeaders: [], title: '', url: 'https://app.blaze.ai/', ...page }, reference);
+    return iso([start, end]);
+};
+
+test('a week spanning New Year rolls into the next year', () => {
+    const labels = ['Dec 29 Mon', 'Dec 30 Tue', 'Dec 31 Wed', 'Jan 1 Thu', 'Jan 4 Sun'];
+
+    assert.deepEqual(iso(DateResolver.resolveLabelSequence(labels, new Date(2025, 11, 29))), [
+        '2025-12-29', '2025-12-30', '2025-12-31', '2026-01-01', '2026-01-04'
+    ]);
+});
+
+test('labels resolve to the nearest year unless they carry their own', () => {
+    assert.equal(DateResolver.toIsoDate(DateResolver.resolveLabelDate('Dec 28 Sun', new Date(2026, 0, 2))), '2025-12-28');
+    assert.equal(DateResolver.toIsoDate(DateResolver.resolveLabelDate('Jan 3 Sat', new Date(2025, 11, 30))), '2026-01-03');
+    assert.equal(DateResolver.toIsoDate(DateResolver.resolveLabelDate('Dec 8, 2027', new Date(2025, 11, 30))), '2027-12-08');
+});
+
+test('the toolbar title sets the year of the period', () => {
+    assert.deepEqual(period({ title: 'January 2026', headers: ['Dec 28 Sun', 'Jan 3 Sat'] }), ['2025-12-28', '2026-01-03']);
+    assert.deepEqual(period({ title: 'Feb 2028' }), ['2028-02-01', '2028-02-29']);
+});
+
+test('without a title the crawl reference, then the URL anchor, places the labels', () => {
+    const headers = ['Dec 29 Mon', 'Jan 4 Sun'];
+
+    assert.deepEqual(period({ headers }, new Date(2030, 11, 22)), ['2030-12-29', '2031-01-04']);
+    assert.deepEqual(period({ headers, url: 'https://app.blaze.ai/calendar?date=2026-01-02' }), ['2025-12-29', '2026-01-04']);
+    assert.deepEqual(period({ url: 'https://app.blaze.ai/calendar?date=2026-01-02' }), ['2026-01-02', '2026-01-02']);
+});
+
+test('card times convert from the workspace zone to UTC, across DST and half-hour offsets', () => {
+    assert.equal(DateResolver.toInstant('2025-12-09', '7:00pm', 'America/New_York'), '2025-12-10T00:00:00.000Z');
+    assert.equal(DateResolver.toInstant('2026-03-08', '3:30am', 'America/New_York'), '2026-03-08T07:30:00.000Z');
+    assert.equal(DateResolver.toInstant('2026-01-01', '12:00am', 'Asia/Kolkata'), '2025-12-31T18:30:00.000Z');
+    assert.equal(DateResolver.toInstant('2026-01-01', '', 'UTC'), '');
+});
+
+test('scheduled times format in the requested zone or the one they were captured in', () => {
+    const event = { scheduledAt: '2025-12-10T00:00:00.000Z', timeZone: 'America/New_York' };
+
+    assert.equal(DateResolver.formatPostTime(event), '2025-12-09 19:00:00');
+    assert.equal(DateResolver.formatPostTime(event, 'Asia/Tokyo'), '2025-12-10 09:00:00');
+    assert.equal(DateResolver.formatPostTime({ fullDate: '2025-12-09', timestamp: '12:15am' }), '2025-12-09 00:15:00');
+});
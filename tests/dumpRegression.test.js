@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { DumpHarness } from './support/DumpHarness.js';
+
+/**
+ * Replays each saved Blaze debug dump and compares the extraction with its snapshot,
+ * so a Blaze markup change shows up as a failing diff instead of as broken exports
+ */
+for (const dumpPath of DumpHarness.findDumps()) {
+    test(`extraction from ${basename(dumpPath)} matches its snapshot`, async () => {
+        const snapshotPath = DumpHarness.snapshotPath(dumpPath);
+        assert.ok(existsSync(snapshotPath), `No snapshot for ${basename(dumpPath)} - run npm run test:update`);
+
+        const expected = JSON.parse(readFileSync(snapshotPath, 'utf8'));
+        const actual = await DumpHarness.replay(dumpPath);
+        assert.deepEqual(actual, expected);
+    });
+}
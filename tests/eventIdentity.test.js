@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventIdentity } from '../js/utils/EventIdentity.js';
+import { DataExtractor } from '../js/utils/dataExtractor.js';
+import { SelectorConstants } from '../js/constants/SelectorConstants.js';
+import { DumpHarness } from './support/DumpHarness.js';
+
+const card = {
+    eventUrl: null,
+    date: 'Dec 9 Tue',
+    timestamp: '7:00pm',
+    label: 'Post',
+    description: "Trust isn't built overnight, it's earned with every brushstroke and every clear update."
+};
+
+test('a truncated and an expanded caption of the same card produce the same ID', () => {
+    const expandedId = EventIdentity.createId(card);
+
+    [
+        "Trust isn't built overnight, it's earned with every brushs...",
+        "Trust isn't built overnight, it's earned with every brushs…",
+        "Trust isn't built overnight, it's earned...more",
+        "Trust isn't built overnight, it's ear… more"
+    ].forEach(description => {
+        assert.equal(EventIdentity.createId({ ...card, description }), expandedId, description);
+    });
+});
+
+test('cards with different caption openings get different IDs', () => {
+    const other = { ...card, description: 'Protecting your coastal home goes beyond just a fresh coat of paint.' };
+    assert.notEqual(EventIdentity.createId(other), EventIdentity.createId(card));
+});
+
+test('normalizeCaption strips trailing ellipsis and "more" markers', () => {
+    assert.equal(EventIdentity.normalizeCaption('Fresh  coat of paint...'), 'fresh coat of paint');
+    assert.equal(EventIdentity.normalizeCaption('Fresh coat of paint… more'), 'fresh coat of paint');
+    assert.equal(EventIdentity.normalizeCaption('Fresh coat of paint\n...More'), 'fresh coat of paint');
+});
+
+test('collapsing the captions of a captured week keeps every card ID', async () => {
+    const dumpPath = DumpHarness.findDumps().find(path => path.endsWith('2025-12-15T21-38-32-874Z.html'));
+
+    await DumpHarness.withDump(dumpPath, async () => {
+        const dataExtractor = new DataExtractor();
+        const expandedIds = dataExtractor.identifyEventCards().map(card => card.id);
+
+        document.querySelectorAll(SelectorConstants.TRUNCATED_TEXT).forEach(caption => {
+            caption.textContent = `${caption.textContent.slice(0, 35)}...`;
+        });
+        assert.deepEqual(dataExtractor.identifyEventCards().map(card => card.id), expandedIds);
+    });
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { StreamManifest } from '../js/utils/StreamManifest.js';
+
+const BASE = 'https://cdn.example.com/video/master.m3u8';
+
+const master = (audioUri) => [
+    '#EXTM3U',
+    `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="en",DEFAULT=YES${audioUri ? `,URI="${audioUri}"` : ''}`,
+    '#EXT-X-STREAM-INF:BANDWIDTH=5000000,RESOLUTION=1920x1080,AUDIO="aud"',
+    '1080/index.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2000000,RESOLUTION=1280x720',
+    '720/index.m3u8'
+].join('\n');
+
+/**
+ * Parse DASH with jsdom's DOMParser, which the offscreen document provides in the extension
+ */
+const parseDash = (xml) => {
+    const { window } = new JSDOM('');
+    globalThis.DOMParser = window.DOMParser;
+    try {
+        return StreamManifest.parseDash(xml, 'https://cdn.example.com/dash/stream.mpd');
+    } finally {
+        delete globalThis.DOMParser;
+        window.close();
+    }
+};
+
+const mpd = (videoCodecs, withAudioSet) => `<?xml version="1.0"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT10S">
+  <Period>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate timescale="1000" initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/$Number%03d$.m4s" startNumber="1">
+        <SegmentTimeline><S t="0" d="4000" r="1"/><S d="2000"/></SegmentTimeline>
+      </SegmentTemplate>
+      <Representation id="hd" bandwidth="3000000" width="1280" height="720" codecs="${videoCodecs}"/>
+    </AdaptationSet>
+    ${withAudioSet ? '<AdaptationSet mimeType="audio/mp4"><Representation id="a" bandwidth="128000" codecs="mp4a.40.2"><BaseURL>audio.mp4</BaseURL></Representation></AdaptationSet>' : ''}
+  </Period>
+</MPD>`;
+
+test('media playlists list the init segment and byte ranges in order', () => {
+    const track = StreamManifest.parseHls([
+        '#EXTM3U',
+        '#EXT-X-MAP:URI="init.mp4",BYTERANGE="800@0"',
+        '#EXTINF:4,',
+        '#EXT-X-BYTERANGE:1000@800',
+        'media.mp4',
+        '#EXTINF:4,',
+        '#EXT-X-BYTERANGE:500',
+        'media.mp4'
+    ].join('\n'), BASE);
+
+    assert.equal(track.container, 'mp4');
+    assert.deepEqual(track.init, { url: 'https://cdn.example.com/video/init.mp4', range: { start: 0, end: 799 } });
+    assert.deepEqual(track.segments.map(segment => segment.range), [{ start: 800, end: 1799 }, { start: 1800, end: 2299 }]);
+});
+
+test('encrypted HLS playlists are rejected', () => {
+    assert.throws(
+        () => StreamManifest.parseHls('#EXTM3U\n#EXT-X-KEY:METHOD=AES-128,URI="key"\n#EXTINF:4,\na.ts', BASE),
+        /Encrypted/
+    );
+});
+
+test('the best HLS variant with muxed audio wins over a higher one with separate audio', () => {
+    const variant = StreamManifest.pickHlsVariant(StreamManifest.parseHls(master('audio/en.m3u8'), BASE));
+    assert.equal(variant.url, 'https://cdn.example.com/video/720/index.m3u8');
+});
+
+test('an HLS audio group without its own URI counts as muxed', () => {
+    const variant = StreamManifest.pickHlsVariant(StreamManifest.parseHls(master(null), BASE));
+    assert.equal(variant.url, 'https://cdn.example.com/video/1080/index.m3u8');
+});
+
+test('HLS streams that only offer separate audio fail instead of saving a silent file', () => {
+    const playlist = StreamManifest.parseHls(master('audio/en.m3u8'), BASE);
+    playlist.variants = playlist.variants.filter(variant => variant.audioGroup);
+    assert.throws(() => StreamManifest.pickHlsVariant(playlist), { message: StreamManifest.SEPARATE_AUDIO_ERROR });
+});
+
+test('DASH SegmentTemplate timelines expand to numbered segments', () => {
+    const track = parseDash(mpd('avc1.64001f', false));
+
+    assert.equal(track.resolution, '1280x720');
+    assert.equal(track.init.url, 'https://cdn.example.com/dash/hd/init.mp4');
+    assert.deepEqual(track.segments.map(segment => segment.url.split('/').pop()), ['001.m4s', '002.m4s', '003.m4s']);
+});
+
+test('DASH video with audio only in its own adaptation set is rejected unless it is muxed', () => {
+    assert.throws(() => parseDash(mpd('avc1.64001f', true)), { message: StreamManifest.SEPARATE_AUDIO_ERROR });
+    assert.equal(parseDash(mpd('avc1.64001f,mp4a.40.2', true)).bandwidth, 3000000);
+});
@@ -0,0 +1,138 @@
+import { readFileSync, readdirSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JSDOM } from 'jsdom';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+/**
+ * DumpHarness - Replays saved Blaze debug dumps (DownloadManager.handleDebugDump) in jsdom
+ * Each dump is loaded as a static page at the URL it was saved from, then the page bundle's
+ * capture, PlatformDetector and VideoProcessor run against it exactly as they would in the tab.
+ * The result is plain JSON so it can be compared with the checked-in snapshot.
+ */
+export class DumpHarness {
+    static SNAPSHOT_DIR = join(ROOT, 'tests', 'snapshots');
+
+    /**
+     * Waits in the page code time out against a static copy that never re-renders, so keep them short
+     */
+    static WAIT_TIMEOUT_MS = 200;
+
+    /**
+     * Debug dumps in the repository root, oldest first
+     * @returns {Array<string>} Absolute dump paths
+     */
+    static findDumps() {
+        return readdirSync(ROOT)
+            .filter(name => /^blaze-debug-dump-.*\.html$/.test(name))
+            .sort()
+            .map(name => join(ROOT, name));
+    }
+
+    /**
+     * Snapshot file that holds the expected result for a dump
+     * @param {string} dumpPath - Dump path
+     * @returns {string} Snapshot path
+     */
+    static snapshotPath(dumpPath) {
+        return join(DumpHarness.SNAPSHOT_DIR, `${basename(dumpPath, '.html')}.json`);
+    }
+
+    /**
+     * Load a dump and run the extractors against it
+     * @param {string} dumpPath - Dump path
+     * @returns {Promise<Object>} { url, capture, detailView, platforms, videoScan }
+     */
+    static replay(dumpPath) {
+        return DumpHarness.withDump(dumpPath, async (url) => {
+            const { WorkflowConfig } = await import('../../js/constants/WorkflowConfig.js');
+            const { PageExtractionCommands } = await import('../../js/utils/pageExtractionBundle.js');
+            const { DataExtractor } = await import('../../js/utils/dataExtractor.js');
+            const { PlatformDetector } = await import('../../js/utils/PlatformDetector.js');
+            const { VideoProcessor } = await import('../../js/utils/VideoProcessor.js');
+
+            const timeout = WorkflowConfig.RETRY.TIMEOUT_MS;
+            WorkflowConfig.RETRY.TIMEOUT_MS = DumpHarness.WAIT_TIMEOUT_MS;
+            try {
+                const capture = await PageExtractionCommands.captureEvents();
+                const dataExtractor = new DataExtractor();
+                const cards = dataExtractor.identifyEventCards();
+
+                return DumpHarness.toJson({
+                    url,
+                    capture,
+                    detailView: dataExtractor.extractDetailViewData(),
+                    platforms: new PlatformDetector().detectPlatforms(document.body),
+                    videoScan: new VideoProcessor().scanForVideos(capture.events, cards)
+                });
+            } finally {
+                WorkflowConfig.RETRY.TIMEOUT_MS = timeout;
+            }
+        });
+    }
+
+    /**
+     * Load a dump as the current page and run a callback against it
+     * @param {string} dumpPath - Dump path
+     * @param {Function} run - Called with the dump's URL while its document is the global one
+     * @returns {Promise<*>} The callback's result
+     */
+    static async withDump(dumpPath, run) {
+        const html = readFileSync(dumpPath, 'utf8');
+        // handleDebugDump writes the page URL as the first line; dates are resolved from it
+        const url = html.match(/^<!-- URL: (\S+) -->/)?.[1] || 'https://app.blaze.ai/';
+        const dom = new JSDOM(html, { url, pretendToBeVisual: true });
+        const restore = DumpHarness.installGlobals(dom.window);
+
+        try {
+            return await run(url);
+        } finally {
+            restore();
+            dom.window.close();
+        }
+    }
+
+    /**
+     * Expose the dump's window as the globals the page code reads (document, window, Node, ...)
+     * Node's own globals (URL, performance, console, ...) are kept. Page logging is silenced.
+     * @param {Window} window - jsdom window
+     * @returns {Function} Puts the previous globals back
+     */
+    static installGlobals(window) {
+        const previous = new Map();
+        const define = (name, value) => {
+            previous.set(name, Object.getOwnPropertyDescriptor(globalThis, name));
+            Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+        };
+
+        define('window', window);
+        define('document', window.document);
+        Object.getOwnPropertyNames(window)
+            .filter(name => !(name in globalThis))
+            .forEach(name => {
+                const value = window[name];
+                define(name, typeof value === 'function' && !/^[A-Z]/.test(name) ? value.bind(window) : value);
+            });
+        define('console', { ...console, log: () => {}, info: () => {}, warn: () => {} });
+
+        return () => previous.forEach((descriptor, name) => {
+            if (descriptor) {
+                Object.defineProperty(globalThis, name, descriptor);
+            } else {
+                delete globalThis[name];
+            }
+        });
+    }
+
+    /**
+     * Drop what JSON can't hold (undefined fields, element references) so results compare as plain data
+     * @param {Object} value - Replay result
+     * @returns {Object} JSON-safe copy
+     */
+    static toJson(value) {
+        return JSON.parse(JSON.stringify(value, (key, field) =>
+            field && typeof field === 'object' && typeof field.nodeType === 'number' ? undefined : field
+        ));
+    }
+}
@@ -0,0 +1,16 @@
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { relative } from 'node:path';
+import { DumpHarness } from './support/DumpHarness.js';
+
+/**
+ * Rewrites the expected snapshot of every debug dump from the current extractors
+ * Run after an intended extraction change (npm run test:update) and review the JSON diff.
+ */
+mkdirSync(DumpHarness.SNAPSHOT_DIR, { recursive: true });
+
+for (const dumpPath of DumpHarness.findDumps()) {
+    const result = await DumpHarness.replay(dumpPath);
+    const snapshotPath = DumpHarness.snapshotPath(dumpPath);
+    writeFileSync(snapshotPath, `${JSON.stringify(result, null, 2)}\n`);
+    console.log(`Wrote ${relative(process.cwd(), snapshotPath)} (${result.capture.events.length} events)`);
+}
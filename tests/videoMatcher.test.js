@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VideoMatcher } from '../js/utils/VideoMatcher.js';
+import { WorkflowConfig } from '../js/constants/WorkflowConfig.js';
+
+const { DETECTED_PLACEHOLDER } = WorkflowConfig.VIDEO_DETECTION;
+
+/**
+ * Card still waiting for its video; no imageSrc, so no thumbnail is fetched
+ */
+const event = (id, videoDuration = '0:30') => ({ id, hasVideo: true, videoSrc: DETECTED_PLACEHOLDER, videoDuration, imageSrc: null });
+
+const video = (url, duration, nearbyCards) => ({ url, duration, poster: null, nearbyCards });
+
+test('reels of equal length go to the card they were scanned next to', async () => {
+    const links = await VideoMatcher.match([event('evt_a'), event('evt_b')], [
+        video('https://cdn.example.com/b.mp4', 30.2, [{ eventId: 'evt_b', distance: 0 }, { eventId: 'evt_a', distance: 600 }]),
+        video('https://cdn.example.com/a.mp4', 29.8, [{ eventId: 'evt_a', distance: 0 }, { eventId: 'evt_b', distance: 600 }])
+    ]);
+
+    assert.deepEqual(links.map(link => [link.eventId, link.url]).sort(), [
+        ['evt_a', 'https://cdn.example.com/a.mp4'],
+        ['evt_b', 'https://cdn.example.com/b.mp4']
+    ]);
+    links.forEach(link => {
+        assert.equal(link.confidence, 0.75);
+        assert.equal(link.needsConfirmation, false);
+    });
+});
+
+test('a duration match with nothing else to go on waits for confirmation', async () => {
+    const [link] = await VideoMatcher.match([event('evt_a')], [video('https://cdn.example.com/a.mp4', 31)]);
+
+    assert.equal(link.eventId, 'evt_a');
+    assert.ok(link.confidence >= WorkflowConfig.VIDEO_MATCHING.MIN_CONFIDENCE);
+    assert.equal(link.needsConfirmation, true);
+});
+
+test('videos outside the duration tolerance, rejected or already linked are not matched', async () => {
+    const rejected = { ...event('evt_b'), rejectedVideoUrls: ['https://cdn.example.com/b.mp4'] };
+    const linked = { ...event('evt_c'), videoSrc: 'https://cdn.example.com/c.mp4' };
+
+    assert.deepEqual(await VideoMatcher.match([event('evt_a', '0:10')], [video('https://cdn.example.com/a.mp4', 30)]), []);
+    assert.deepEqual(await VideoMatcher.match([rejected], [video('https://cdn.example.com/b.mp4', 30)]), []);
+    assert.deepEqual(await VideoMatcher.match([linked, event('evt_a')], [video('https://cdn.example.com/c.mp4', 30)]), []);
+});
+
+test('a close runner-up sends an otherwise confident link to the confirm list', () => {
+    const card = { id: 'evt_a' };
+    const candidates = [
+        { event: card, video: { url: 'a.mp4' }, confidence: 0.9, signals: {} },
+        { event: card, video: { url: 'b.mp4' }, confidence: 0.85, signals: {} }
+    ];
+    const [link, ...rest] = VideoMatcher.assign(candidates);
+
+    assert.equal(rest.length, 0);
+    assert.equal(link.url, 'a.mp4');
+    assert.equal(link.needsConfirmation, true);
+});
+
+test('confidence scales down when few signals are available', () => {
+    assert.equal(VideoMatcher.getConfidence({ duration: 1, thumbnail: 1, url: 1, proximity: 1 }), 1);
+    assert.equal(VideoMatcher.getConfidence({ duration: 1, thumbnail: null, url: null, proximity: null }), 0.675);
+    assert.equal(VideoMatcher.getConfidence({ duration: null, thumbnail: null, url: null, proximity: null }), 0);
+});
+
+test('URL scoring only counts long asset IDs shared by the card and the video', () => {
+    const card = { imageSrc: 'https://res.cloudinary.com/demo/image/upload/v1712/uploads/facade-2e606cb198357173b6a8.jpg' };
+
+    assert.equal(VideoMatcher.scoreUrl(card, { url: 'https://other.cdn.com/videos/2e606cb198357173b6a8.mp4' }), 1);
+    assert.equal(VideoMatcher.scoreUrl(card, { url: 'https://res.cloudinary.com/demo/video/upload/v1712/uploads/other.mp4' }), null);
+    assert.equal(VideoMatcher.parseDuration('1:05'), 65);
+});